@@ -0,0 +1,60 @@
+const { excerptHunk } = require('./diff');
+
+// Calendar descriptions are plain text, so everything is indented rather
+// than formatted
+const indent = (text, spaces) => text.split('\n').map(line => `${' '.repeat(spaces)}${line}`).join('\n');
+
+// The code a concern points at: a few lines of its hunk, or its own line
+// when the hunk isn't known (e.g. for concerns carried over from an
+// earlier review)
+function codeExcerpt(concern) {
+  if (!concern.line) return '';
+  if (concern.hunk) return excerptHunk(concern.hunk, concern.line);
+  return concern.codeSnippet ? `+${concern.codeSnippet}` : '';
+}
+
+// Builds the description of a meeting about one or more concerns of a pull
+// request: a link to the pull request, the concerns grouped by file with a
+// permalink to their line and the code around it, and sections for notes
+// and action items. `urlFor` links a concern to its line.
+function buildAgenda({ concerns, pullRequest, urlFor, botName }) {
+  const lines = [
+    `Pull request #${pullRequest.number}${pullRequest.title ? `: ${pullRequest.title}` : ''}`,
+    ...(pullRequest.html_url ? [pullRequest.html_url] : []),
+    '',
+    `Agenda (${concerns.length} concern${concerns.length === 1 ? '' : 's'}):`
+  ];
+
+  const files = [...new Set(concerns.map(concern => concern.file))];
+  let number = 0;
+  for (const file of files) {
+    lines.push('', file);
+
+    for (const concern of concerns.filter(other => other.file === file)) {
+      number++;
+      lines.push(`  ${number}. ${concern.topic.topic} (${concern.severity || concern.topic.urgency})`);
+      lines.push(`     ${concern.line ? `Line ${concern.line}: ` : ''}${urlFor(concern)}`);
+      if (concern.detail) lines.push(`     ${concern.detail}`);
+
+      const excerpt = codeExcerpt(concern);
+      if (excerpt) lines.push('', indent(excerpt, 7), '');
+    }
+  }
+
+  lines.push(
+    '',
+    'Notes:',
+    '- ',
+    '',
+    'Action items:',
+    '- [ ] ',
+    '',
+    `This is an automated meeting request from ${botName}.`
+  );
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+module.exports = {
+  buildAgenda
+};
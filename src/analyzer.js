@@ -0,0 +1,126 @@
+const { RuleEngine } = require('./rules');
+const { assignConcernKeys } = require('./markers');
+const { assessSeverity, sortBySeverity } = require('./severity');
+const { matchesGlob } = require('./glob');
+const { PathRules, allowsFinding } = require('./paths');
+const { StyleConventions } = require('./style');
+const { resolveTopics } = require('./config');
+
+// Anchors a concern to an added line of the diff. Files without added
+// lines (pure deletions, binaries) get no line rather than a made-up one.
+function locateConcern(addedLine) {
+  if (!addedLine) {
+    return { codeSnippet: 'the implementation' };
+  }
+
+  return {
+    line: addedLine.newLine,
+    side: 'RIGHT',
+    codeSnippet: addedLine.content,
+    hunk: addedLine.hunk
+  };
+}
+
+// Turns the files of a change into concerns with the configured rules, path
+// overrides and style conventions. It doesn't know where the files came
+// from, so the Action and the CLI share it.
+class Analyzer {
+  constructor({
+    config,
+    topics = resolveTopics(config),
+    style = new StyleConventions(),
+    pathRules,
+    isIgnored = () => false
+  }) {
+    this.config = config;
+    this.topics = topics;
+    this.style = style;
+    this.isIgnored = isIgnored;
+    this.pathRules = pathRules || new PathRules({
+      include: config['include-paths'],
+      exclude: config['exclude-paths'],
+      overrides: config['path-overrides']
+    });
+
+    this.rules = RuleEngine.load({
+      enabled: config['enabled-rules'],
+      disabled: config['disabled-rules'],
+      customRulesPath: config['custom-rules'],
+      topics
+    });
+    for (const { id, source } of this.pathRules.unknownRules(this.rules.availableIds)) {
+      throw new Error(`Unknown rule "${id}" in ${source}. Available rules: ${this.rules.availableIds.join(', ')}`);
+    }
+  }
+
+  // Returns every concern raised for the files, padded to min-concerns and
+  // most severe first. Concerns carried over from an earlier review keep
+  // their keys.
+  analyze(files, carried = []) {
+    const concerns = files.flatMap(file => this.analyzeFile(file));
+
+    // Ensure minimum number of concerns
+    const paddingTopics = this.topics.filter(topic => !this.isIgnored(topic));
+    while (concerns.length + carried.length < this.config['min-concerns'] && paddingTopics.length > 0) {
+      concerns.push({
+        file: 'overall approach',
+        rule: 'min-concerns',
+        topic: paddingTopics[Math.floor(Math.random() * paddingTopics.length)],
+        severity: 'WORTH_DISCUSSING'
+      });
+    }
+
+    return sortBySeverity(assignConcernKeys([...concerns, ...carried]));
+  }
+
+  analyzeFile(file) {
+    const settings = this.pathRules.settingsFor(file.filename);
+    const findings = this.rules.analyzeFile(file, { style: this.style.forFile(file.filename) })
+      .filter(finding => allowsFinding(settings, finding));
+    const concerns = [];
+
+    for (const finding of findings) {
+      if (this.isIgnored(finding.topic, finding.rule)) continue;
+
+      const { severity, reasons } = this.calculateSeverity(file, finding, findings, settings);
+      concerns.push({
+        file: file.filename,
+        ...locateConcern(finding.addedLine),
+        // Rebuilt patches cover lines GitHub won't accept review comments on
+        ...(file.patchSource === 'contents' && { outsideDiff: true }),
+        rule: finding.rule,
+        topic: finding.topic,
+        detail: finding.message,
+        ...(finding.convention && { convention: finding.convention }),
+        severity,
+        severityReasons: reasons,
+        ...(settings['comment-style'] && { commentStyle: settings['comment-style'] }),
+        ...(settings.meetings === false && { noMeeting: true })
+      });
+    }
+
+    return concerns;
+  }
+
+  // Starts from the severity of the rule that fired and raises it for
+  // critical paths, large changes, findings bunched up in one hunk and the
+  // severity-boost of the file's path overrides
+  calculateSeverity(file, finding, findings, settings = {}) {
+    const hunk = finding.addedLine?.hunk;
+
+    return assessSeverity({
+      base: finding.severity,
+      criticalPath: this.config['critical-paths'].find(pattern => matchesGlob(pattern, file.filename)),
+      linesChanged: file.changes ?? (file.additions || 0) + (file.deletions || 0),
+      largeChangeLines: this.config['large-change-lines'],
+      hunkFindings: hunk ? findings.filter(other => other.addedLine?.hunk === hunk).length : 1,
+      boost: settings['severity-boost'],
+      boostSource: settings.sources?.['severity-boost']
+    });
+  }
+}
+
+module.exports = {
+  Analyzer,
+  locateConcern
+};
@@ -0,0 +1,180 @@
+const core = require('@actions/core');
+const yaml = require('js-yaml');
+const { readOptionalFile } = require('./files');
+const { globToRegExp } = require('./glob');
+
+// Where GitHub looks for CODEOWNERS, in order
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+function parseCodeowners(content) {
+  const rules = [];
+
+  for (const raw of content.split('\n')) {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) continue;
+
+    const [pattern, ...owners] = line.split(/\s+/);
+    rules.push({ pattern, regexp: globToRegExp(pattern), owners });
+  }
+
+  return rules;
+}
+
+// As on GitHub, the last matching rule wins
+function codeownersFor(rules, file) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].regexp.test(file)) return rules[i].owners;
+  }
+  return [];
+}
+
+// Works out who to invite to the meeting for a concern: the PR author, the
+// configured reviewer emails, the CODEOWNERS of the concern's file and the
+// requested reviewers and teams. GitHub logins are turned into emails with
+// the committed email map.
+class AttendeeResolver {
+  constructor({ octokit, repo, pullRequest, config, staticEmails = [] }) {
+    this.octokit = octokit;
+    this.repo = repo;
+    this.pullRequest = pullRequest;
+    this.config = config;
+    this.staticEmails = staticEmails;
+    this.emails = {};
+    this.codeowners = [];
+    this.teams = new Map();
+    this.unmapped = new Set();
+  }
+
+  // Reads the email map and CODEOWNERS from the base ref, so a PR can't
+  // invite people by editing them
+  async load() {
+    const ref = this.pullRequest.base?.sha;
+
+    const emailMap = await this.readOptional(this.config['email-map'], ref);
+    if (emailMap !== null) {
+      this.emails = this.parseEmailMap(emailMap);
+    }
+
+    for (const path of CODEOWNERS_PATHS) {
+      const content = await this.readOptional(path, ref);
+      if (content !== null) {
+        this.codeowners = parseCodeowners(content);
+        break;
+      }
+    }
+  }
+
+  readOptional(path, ref) {
+    return readOptionalFile(this.octokit, this.repo, path, ref);
+  }
+
+  parseEmailMap(content) {
+    const source = this.config['email-map'];
+    let parsed;
+    try {
+      parsed = yaml.load(content) ?? {};
+    } catch (error) {
+      throw new Error(`Could not parse ${source}: ${error.message}`);
+    }
+
+    if (typeof parsed !== 'object' || Array.isArray(parsed) ||
+        Object.values(parsed).some(email => typeof email !== 'string')) {
+      throw new Error(`Invalid ${source}: expected a map of GitHub logins to emails`);
+    }
+
+    return Object.fromEntries(Object.entries(parsed).map(([login, email]) => [login.toLowerCase(), email]));
+  }
+
+  async teamMembers(org, slug) {
+    const key = `${org}/${slug}`.toLowerCase();
+    if (!this.teams.has(key)) {
+      try {
+        const members = await this.octokit.paginate(this.octokit.rest.teams.listMembersInOrg, {
+          org,
+          team_slug: slug,
+          per_page: 100
+        });
+        this.teams.set(key, members.map(member => member.login));
+      } catch (error) {
+        // The default GITHUB_TOKEN usually can't read team membership
+        core.warning(`Could not list the members of @${org}/${slug}: ${error.message}`);
+        this.teams.set(key, []);
+      }
+    }
+
+    return this.teams.get(key);
+  }
+
+  // Turns a login, "@login", "@org/team" or email into people
+  async expand(owner) {
+    if (/^[^@\s]+@[^@\s]+$/.test(owner)) {
+      return [{ email: owner }];
+    }
+
+    const name = owner.replace(/^@/, '');
+    if (name.includes('/')) {
+      const [org, slug] = name.split('/');
+      const logins = await this.teamMembers(org, slug);
+      return logins.map(login => ({ login }));
+    }
+
+    return [{ login: name }];
+  }
+
+  async candidates(concern) {
+    const pullRequest = this.pullRequest;
+    const owners = [
+      pullRequest.user?.login,
+      ...this.staticEmails,
+      ...codeownersFor(this.codeowners, concern.file),
+      ...(pullRequest.requested_reviewers || []).map(reviewer => reviewer.login)
+    ].filter(owner => owner);
+
+    const people = [];
+    for (const owner of owners) {
+      people.push(...await this.expand(owner));
+    }
+    for (const team of pullRequest.requested_teams || []) {
+      const logins = await this.teamMembers(this.repo.owner, team.slug);
+      people.push(...logins.map(login => ({ login })));
+    }
+
+    return people;
+  }
+
+  isExcluded({ login, email }) {
+    const excluded = this.config['exclude-attendees'].map(entry => entry.replace(/^@/, '').toLowerCase());
+    return (login && (login.endsWith('[bot]') || excluded.includes(login.toLowerCase()))) ||
+      (email && excluded.includes(email.toLowerCase()));
+  }
+
+  async resolve(concern) {
+    const attendees = [];
+    const seen = new Set();
+
+    for (const person of await this.candidates(concern)) {
+      if (this.isExcluded(person)) continue;
+
+      const email = person.email || this.emails[person.login.toLowerCase()];
+      if (!email) {
+        if (!this.unmapped.has(person.login)) {
+          this.unmapped.add(person.login);
+          core.info(`No email for @${person.login} in ${this.config['email-map']}, not inviting them`);
+        }
+        continue;
+      }
+      if (this.isExcluded({ email }) || seen.has(email.toLowerCase())) continue;
+
+      seen.add(email.toLowerCase());
+      attendees.push({ email });
+    }
+
+    return attendees.slice(0, this.config['max-attendees']);
+  }
+}
+
+module.exports = {
+  AttendeeResolver,
+  parseCodeowners,
+  codeownersFor
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { parseMarker } = require('./markers');
+
+// Meeting records are kept in public comments, so attendees are recorded by
+// a hash of their email rather than the email itself
+function attendeeId(email) {
+  return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex').slice(0, 16);
+}
+
+// Concerns grouped into one meeting each carry a copy of its record
+function meetingId(meeting) {
+  return meeting.eventId || meeting.ics || meeting.start;
+}
+
+// Adds up the minutes of the meetings the bot booked for each attendee per
+// week, across the pull requests of the repository, and checks new meetings
+// against weekly-meeting-budget. Weeks start on Monday in `timezone`.
+class MeetingBudget {
+  constructor({ minutes, timezone, meetings = [] }) {
+    this.minutes = minutes;
+    this.timezone = timezone;
+    this.meetings = new Map();
+
+    for (const meeting of meetings) {
+      this.add(meeting);
+    }
+  }
+
+  // Reads the meetings recorded in the comments of `author`, the bot's
+  // account. A meeting in this week or later was booked at most
+  // `horizonDays` before the week began, and its comment has not been
+  // touched since before then.
+  static async load({ octokit, repo, author, minutes, timezone, horizonDays, now = new Date() }) {
+    const since = moment.tz(now, timezone).startOf('isoWeek').subtract(horizonDays, 'days');
+    const comments = await octokit.paginate(octokit.rest.issues.listCommentsForRepo, {
+      ...repo,
+      since: since.toISOString(),
+      per_page: 100
+    });
+
+    // Issue comments record the meeting of their concern, the settings
+    // comment those of review and check runs
+    const meetings = comments
+      .filter(comment => comment.user?.login === author)
+      .map(comment => parseMarker(comment.body))
+      .flatMap(marker =>
+        marker?.type === 'concern' && marker.data.meeting ? [marker.data.meeting] :
+          marker?.type === 'state' && marker.data.meetings ? Object.values(marker.data.meetings) : []);
+
+    return new MeetingBudget({ minutes, timezone, meetings });
+  }
+
+  weekOf(start) {
+    return moment.tz(start, this.timezone).startOf('isoWeek').format('YYYY-MM-DD');
+  }
+
+  // Counts a booked meeting. Meetings without attendees (booked before
+  // attendees were recorded) can't be counted against anyone.
+  add(meeting) {
+    if (!meeting?.start || !Array.isArray(meeting.attendees) || typeof meeting.duration !== 'number') return;
+    this.meetings.set(meetingId(meeting), meeting);
+  }
+
+  used(attendee, week) {
+    let minutes = 0;
+    for (const meeting of this.meetings.values()) {
+      if (meeting.attendees.includes(attendee) && this.weekOf(meeting.start) === week) {
+        minutes += meeting.duration;
+      }
+    }
+    return minutes;
+  }
+
+  // The emails of the attendees a meeting of `duration` minutes at `start`
+  // would take over their weekly budget
+  exceeded(emails, start, duration) {
+    const week = this.weekOf(start);
+    return emails.filter(email => this.used(attendeeId(email), week) + duration > this.minutes);
+  }
+}
+
+module.exports = {
+  MeetingBudget,
+  attendeeId,
+  meetingId
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { buildIcs, formatDate } = require('../ics');
+
+const DURATION = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+// 20261020T140000Z
+function parseDate(value) {
+  const [, year, month, day, hour, minute, second] = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+// PT1H30M, P1D, ...
+function addDuration(date, value) {
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = value.match(DURATION).map(part => part && parseInt(part));
+  const total = (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds;
+  return new Date(date.getTime() + total * 1000);
+}
+
+// Reads the busy periods from the VFREEBUSY a free-busy-query returns
+function parseFreeBusy(ics) {
+  const busy = [];
+
+  for (const line of ics.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+    const match = line.match(/^FREEBUSY((?:;[^:]*)?):(.*)$/i);
+    if (!match) continue;
+
+    const type = match[1].match(/;FBTYPE=([^;]+)/i)?.[1].toUpperCase() || 'BUSY';
+    if (type === 'FREE') continue;
+
+    for (const period of match[2].split(',')) {
+      const [start, end] = period.trim().split('/');
+      const startDate = parseDate(start);
+      const endDate = DURATION.test(end) ? addDuration(startDate, end) : parseDate(end);
+      busy.push({ start: startDate.toISOString(), end: endDate.toISOString() });
+    }
+  }
+
+  return busy;
+}
+
+// Self-hosted calendars (Nextcloud, Radicale, Baïkal, ...) over CalDAV
+// (RFC 4791). Every meeting is one .ics resource in the calendar collection.
+// Whether attendees get invitations depends on the server's scheduling
+// support, and free/busy only covers the calendar itself.
+class CalDavProvider {
+  constructor({ url, username, password }) {
+    if (!url) {
+      throw new Error('caldav-url is required for the caldav calendar provider');
+    }
+
+    this.url = url.endsWith('/') ? url : `${url}/`;
+    this.headers = username ?
+      { Authorization: `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}` } :
+      {};
+  }
+
+  async request(method, url, { body, headers = {} } = {}) {
+    const response = await fetch(url, { method, body, headers: { ...this.headers, ...headers } });
+
+    if (!response.ok) {
+      const error = new Error(`CalDAV ${method} ${url} failed with ${response.status} ${response.statusText}`);
+      error.code = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  eventUrl(eventId) {
+    return new URL(`${encodeURIComponent(eventId)}.ics`, this.url).toString();
+  }
+
+  async put(eventId, event, headers = {}) {
+    const link = this.eventUrl(eventId);
+    const body = buildIcs({
+      uid: eventId,
+      start: event.start.toDate(),
+      end: event.end.toDate(),
+      summary: event.summary,
+      description: event.description,
+      attendees: event.attendees,
+      url: event.url,
+      method: null
+    });
+
+    await this.request('PUT', link, {
+      body,
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8', ...headers }
+    });
+
+    return { eventId, link };
+  }
+
+  insert(event) {
+    const eventId = event.uid || `${crypto.randomUUID()}@bikeshed-bot`;
+    return this.put(eventId, event, { 'If-None-Match': '*' });
+  }
+
+  update(eventId, event) {
+    return this.put(eventId, event);
+  }
+
+  async cancel(eventId) {
+    await this.request('DELETE', this.eventUrl(eventId));
+  }
+
+  async freeBusy({ timeMin, timeMax }) {
+    const body = '<?xml version="1.0" encoding="utf-8"?>\n' +
+      '<C:free-busy-query xmlns:C="urn:ietf:params:xml:ns:caldav">\n' +
+      `  <C:time-range start="${formatDate(timeMin.toDate())}" end="${formatDate(timeMax.toDate())}"/>\n` +
+      '</C:free-busy-query>';
+
+    const response = await this.request('REPORT', this.url, {
+      body,
+      headers: { 'Content-Type': 'application/xml; charset=utf-8', Depth: '1' }
+    });
+
+    return parseFreeBusy(await response.text());
+  }
+}
+
+module.exports = {
+  CalDavProvider,
+  parseFreeBusy
+};
@@ -0,0 +1,115 @@
+const { google } = require('googleapis');
+
+// The video call link of an event, if it has one
+function videoLink(event) {
+  const video = event.conferenceData?.entryPoints?.find(entryPoint => entryPoint.entryPointType === 'video');
+  return event.hangoutLink || video?.uri || null;
+}
+
+// Google Calendar through the googleapis client. Invitations are sent by
+// Google to every attendee. Events can get a Google Meet link.
+class GoogleCalendarProvider {
+  constructor({ calendarId, credentials, timezone }) {
+    const auth = new google.auth.GoogleAuth({
+      credentials: JSON.parse(credentials),
+      scopes: ['https://www.googleapis.com/auth/calendar'],
+    });
+
+    this.calendar = google.calendar({ version: 'v3', auth });
+    this.calendarId = calendarId;
+    this.timezone = timezone;
+    this.supportsConferences = true;
+  }
+
+  toResource(event) {
+    return {
+      summary: event.summary,
+      description: event.description,
+      start: {
+        dateTime: event.start.format(),
+        timeZone: event.start.tz(),
+      },
+      end: {
+        dateTime: event.end.format(),
+        timeZone: event.end.tz(),
+      },
+      attendees: event.attendees,
+      reminders: {
+        useDefault: false,
+        overrides: [
+          { method: 'email', minutes: 60 },
+          { method: 'popup', minutes: 15 },
+        ],
+      },
+      // Google creates the Meet link asynchronously; the request id keeps a
+      // retried insert from asking for a second one
+      ...(event.conference && {
+        conferenceData: {
+          createRequest: {
+            requestId: event.uid,
+            conferenceSolutionKey: { type: 'hangoutsMeet' },
+          },
+        },
+      }),
+    };
+  }
+
+  toResult(data) {
+    const conferenceLink = videoLink(data);
+    return { eventId: data.id, link: data.htmlLink, ...(conferenceLink && { conferenceLink }) };
+  }
+
+  async insert(event) {
+    const { data } = await this.calendar.events.insert({
+      calendarId: this.calendarId,
+      resource: this.toResource(event),
+      sendUpdates: 'all',
+      // Conference data is only read or written with this set
+      ...(event.conference && { conferenceDataVersion: 1 }),
+    });
+
+    return this.toResult(data);
+  }
+
+  async update(eventId, event) {
+    const { data } = await this.calendar.events.update({
+      calendarId: this.calendarId,
+      eventId,
+      resource: this.toResource(event),
+      sendUpdates: 'all',
+      // Conference data is only read or written with this set
+      ...(event.conference && { conferenceDataVersion: 1 }),
+    });
+
+    return this.toResult(data);
+  }
+
+  async cancel(eventId) {
+    await this.calendar.events.delete({
+      calendarId: this.calendarId,
+      eventId,
+      sendUpdates: 'all'
+    });
+  }
+
+  // Busy intervals of the bot's calendar and every attendee calendar the
+  // credentials can see. Calendars Google can't read are left out.
+  async freeBusy({ timeMin, timeMax, attendees = [] }) {
+    const ids = [this.calendarId, ...attendees.map(attendee => attendee.email)].filter(id => id);
+
+    const { data } = await this.calendar.freebusy.query({
+      requestBody: {
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        timeZone: this.timezone,
+        items: ids.map(id => ({ id }))
+      }
+    });
+
+    return Object.values(data.calendars || {}).flatMap(calendar => calendar.busy || []);
+  }
+}
+
+module.exports = {
+  GoogleCalendarProvider
+};
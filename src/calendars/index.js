@@ -0,0 +1,31 @@
+const { GoogleCalendarProvider } = require('./google');
+const { CalDavProvider } = require('./caldav');
+
+// Calendar backends selectable with the calendar-provider input. Each one
+// implements:
+//   insert(event)          -> { eventId, link }
+//   update(eventId, event) -> { eventId, link }
+//   cancel(eventId)        rejects with error.code 404/410 for gone events
+//   freeBusy({ timeMin, timeMax, attendees }) -> [{ start, end }]
+// where event is { uid, summary, description, start, end, attendees, url,
+// conference } with moment start and end times. Providers that set
+// supportsConferences add a video call to events with conference set and
+// return its conferenceLink.
+const providers = {
+  google: GoogleCalendarProvider,
+  caldav: CalDavProvider
+};
+
+function createCalendarProvider(name, options) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown calendar provider "${name}". Available providers: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  providers,
+  createCalendarProvider
+};
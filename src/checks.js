@@ -0,0 +1,36 @@
+const { severityRank, meetsSeverity } = require('./severity');
+
+// The checks API takes at most this many annotations per request
+const ANNOTATION_BATCH_SIZE = 50;
+
+// Whether a concern is severe enough to fail the check. `failureSeverity`
+// is the least severe level that fails it, or 'none' to never fail.
+// Padding concerns (min-concerns) are picked at random and never do.
+function failsCheck(concern, failureSeverity) {
+  return concern.rule !== 'min-concerns' && meetsSeverity(concern.severity, failureSeverity);
+}
+
+function checkConclusion(concerns, failureSeverity) {
+  if (concerns.length === 0) return 'success';
+  return concerns.some(concern => failsCheck(concern, failureSeverity)) ? 'failure' : 'neutral';
+}
+
+function annotationLevel(concern, failureSeverity) {
+  if (failsCheck(concern, failureSeverity)) return 'failure';
+  return severityRank(concern.severity) <= severityRank('MEDIUM') ? 'warning' : 'notice';
+}
+
+function batches(items, size = ANNOTATION_BATCH_SIZE) {
+  const result = [];
+  for (let i = 0; i < items.length; i += size) {
+    result.push(items.slice(i, i + size));
+  }
+  return result;
+}
+
+module.exports = {
+  ANNOTATION_BATCH_SIZE,
+  checkConclusion,
+  annotationLevel,
+  batches
+};
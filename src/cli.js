@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+// Runs the analysis and comment rendering of the Action on a local diff, to
+// try out rules, templates and config without pushing a pull request.
+// Nothing is sent to GitHub, a calendar or a webhook.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('util');
+const { parseDiff } = require('./diff');
+const { Analyzer } = require('./analyzer');
+const { StyleConventions } = require('./style');
+const { TemplateSet } = require('./templates');
+const { renderComment, renderOverview } = require('./comments');
+const { countFiltered } = require('./paths');
+const { meetsSeverity } = require('./severity');
+const { DEFAULT_CONFIG_PATH, parseConfigFile, buildConfig } = require('./config');
+
+const formats = ['text', 'md', 'json'];
+
+const USAGE = `Usage: bikeshed [options] [<range> | <file.patch> | -]
+
+Reviews a git diff range (e.g. main...HEAD, default: uncommitted changes
+against HEAD), a .patch or .diff file, or a diff on standard input (-).
+
+Options:
+  -f, --format <format>  Output format: ${formats.join(', ')} (default: text)
+  -c, --config <path>    Config file (default: ${DEFAULT_CONFIG_PATH})
+  -h, --help             Show this help
+
+Exits with 1 when a concern is at or above fail-on-severity.`;
+
+// Reads a file of the checkout, or returns null when it doesn't exist
+function readLocalFile(cwd, file) {
+  try {
+    return fs.readFileSync(path.resolve(cwd, file), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function readDiff(source, { cwd, stdin }) {
+  if (source === '-') return stdin();
+
+  const file = source && path.resolve(cwd, source);
+  if (file && fs.existsSync(file) && fs.statSync(file).isFile()) {
+    return fs.readFileSync(file, 'utf8');
+  }
+
+  return execFileSync('git', ['diff', '--no-color', '--no-ext-diff', '--find-renames', source || 'HEAD', '--'], {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+// The config file, template file and style settings of the checkout, read
+// the way the Action reads them from the base ref
+async function loadSetup({ cwd, configPath, log }) {
+  const content = readLocalFile(cwd, configPath);
+  const config = buildConfig(content === null ? {} : parseConfigFile(content, configPath), configPath, {});
+  if (config['custom-rules']) {
+    config['custom-rules'] = path.resolve(cwd, config['custom-rules']);
+  }
+
+  const templatesFile = readLocalFile(cwd, config['templates-file']);
+  const file = templatesFile === null ? {} : TemplateSet.parse(templatesFile, config['templates-file']);
+  const templates = new TemplateSet({
+    styles: { ...file.styles, ...config.templates },
+    meetingTitles: config['meeting-titles'] || file.meetingTitles
+  });
+
+  const style = await StyleConventions.load({ read: file => readLocalFile(cwd, file), log });
+
+  return { config, templates, style };
+}
+
+function formatText(review) {
+  const lines = [];
+
+  for (const concern of review.concerns) {
+    lines.push(`${concern.line ? `${concern.file}:${concern.line}` : concern.file}  ${concern.severity}  ` +
+      `${concern.topic} [${concern.rule}]`);
+    lines.push(...concern.comment.split('\n').map(line => line ? `    ${line}` : ''), '');
+  }
+
+  for (const { file, reason } of review.skippedFiles) {
+    lines.push(`Skipped ${file} (${reason})`);
+  }
+  for (const { pattern, files } of review.filteredFiles) {
+    lines.push(`Filtered out ${files} file(s) by ${pattern}`);
+  }
+
+  lines.push(`${review.concerns.length} concern${review.concerns.length === 1 ? '' : 's'}`);
+  return lines.join('\n');
+}
+
+function formatMarkdown(review) {
+  return [review.overview, ...review.concerns.map(concern =>
+    `### \`${concern.line ? `${concern.file}:${concern.line}` : concern.file}\`\n\n${concern.comment}`)]
+    .join('\n\n---\n\n');
+}
+
+const formatters = {
+  text: formatText,
+  md: formatMarkdown,
+  json: output => JSON.stringify(output, null, 2)
+};
+
+// Analyses the diff and renders what the Action would post for it. Text
+// output passes `escape` to show comments without Markdown escapes.
+function review({ diff, config, templates, style, escape }) {
+  const analyzer = new Analyzer({ config, style });
+  const files = [];
+  const skippedFiles = [];
+  const filtered = [];
+
+  for (const file of parseDiff(diff)) {
+    const pattern = analyzer.pathRules.filteredBy(file.filename);
+    if (pattern) {
+      filtered.push({ file: file.filename, pattern });
+    } else if (file.binary) {
+      skippedFiles.push({ file: file.filename, reason: 'binary file' });
+    } else {
+      files.push(file);
+    }
+  }
+
+  const concerns = analyzer.analyze(files);
+  const filteredFiles = countFiltered(filtered);
+
+  return {
+    concerns: concerns.map(concern => ({
+      key: concern.key,
+      rule: concern.rule,
+      file: concern.file,
+      line: concern.line,
+      topic: concern.topic.topic,
+      severity: concern.severity,
+      severityReasons: concern.severityReasons || [],
+      detail: concern.detail,
+      ...(concern.convention && { convention: concern.convention }),
+      comment: renderComment(concern, templates.commentTemplates(concern.commentStyle || config['comment-style']), { escape })
+    })),
+    overview: renderOverview(concerns, { config, skippedFiles, filteredFiles }),
+    skippedFiles,
+    filteredFiles
+  };
+}
+
+async function run(argv, {
+  cwd = process.cwd(),
+  stdout = process.stdout,
+  stderr = process.stderr,
+  stdin = () => fs.readFileSync(0, 'utf8')
+} = {}) {
+  let options;
+  try {
+    options = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'text' },
+        config: { type: 'string', short: 'c', default: DEFAULT_CONFIG_PATH },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    stderr.write(`bikeshed: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const { values, positionals } = options;
+  if (values.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (!formats.includes(values.format) || positionals.length > 1) {
+    stderr.write(`bikeshed: ${positionals.length > 1 ?
+      'expected one range or patch file' :
+      `unknown format "${values.format}". Available formats: ${formats.join(', ')}`}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  try {
+    const log = { info: () => {}, warning: message => stderr.write(`warning: ${message}\n`) };
+    const setup = await loadSetup({ cwd, configPath: values.config, log });
+    const diff = readDiff(positionals[0], { cwd, stdin });
+    const result = review({ diff, ...setup, escape: values.format === 'text' ? value => value : undefined });
+
+    stdout.write(`${formatters[values.format](result)}\n`);
+
+    const threshold = setup.config['fail-on-severity'];
+    return result.concerns.some(concern => meetsSeverity(concern.severity, threshold)) ? 1 : 0;
+  } catch (error) {
+    stderr.write(`bikeshed: ${(error.stderr && error.stderr.toString().trim()) || error.message}\n`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  run
+};
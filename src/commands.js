@@ -0,0 +1,32 @@
+// Slash commands that can be given to the bot in pull request comments,
+// e.g. "/bikeshed ignore naming conventions".
+
+const COMMAND = /^\/bikeshed(?:[ \t]+(\S+))?(?:[ \t]+(.*))?$/m;
+
+const commands = ['rerun', 'ignore', 'unignore', 'snooze', 'reschedule', 'cancel-meetings'];
+
+// Repository roles from least to most privileged
+const permissionLevels = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+// Returns { name, args } for the first command in a comment, or null when the
+// comment doesn't address the bot
+function parseCommand(body) {
+  const match = (body || '').match(COMMAND);
+  if (!match) return null;
+
+  return {
+    name: (match[1] || '').toLowerCase(),
+    args: (match[2] || '').trim()
+  };
+}
+
+function hasPermission(level, required) {
+  return permissionLevels.indexOf(level) >= permissionLevels.indexOf(required);
+}
+
+module.exports = {
+  commands,
+  permissionLevels,
+  parseCommand,
+  hasPermission
+};
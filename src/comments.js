@@ -0,0 +1,108 @@
+const { hashKey } = require('./markers');
+const { renderTemplate } = require('./templates');
+const { MAX_LISTED_FILES } = require('./files');
+
+// Placeholder values for comment and meeting title templates
+function templateValues(concern) {
+  return {
+    FILE: concern.file,
+    TOPIC: concern.topic.topic,
+    CODE_SNIPPET: concern.codeSnippet,
+    URGENCY: concern.topic.urgency,
+    LINE_NUMBER: concern.line,
+    SEVERITY: concern.severity,
+    RULE: concern.rule
+  };
+}
+
+// Renders the comment for a concern with one of the templates of its style.
+// `escape` is passed on to renderTemplate.
+function renderComment(concern, templates, { escape } = {}) {
+  // Keyed concerns keep their template so unchanged comments stay unchanged
+  const template = concern.key ?
+    templates[hashKey(concern.key) % templates.length] :
+    templates[Math.floor(Math.random() * templates.length)];
+
+  let comment = renderTemplate(template, templateValues(concern), escape && { escape });
+
+  if (concern.detail) {
+    comment += `\n\n> ${concern.detail}`;
+  }
+
+  if (concern.meeting) {
+    comment += '\n\n📅 **Meeting Details:**\n' +
+      `- Time: ${concern.meeting.time}\n` +
+      `- Duration: ${concern.meeting.duration} minutes\n` +
+      `- Topic: ${concern.topic.topic}` +
+      (concern.meeting.concerns > 1 ? `\n- Agenda: ${concern.meeting.concerns} concerns of this pull request` : '') +
+      (concern.meeting.link ? `\n- Invite: [Open in calendar](${concern.meeting.link})` : '') +
+      (concern.meeting.conferenceLink ? `\n- Video call: ${concern.meeting.conferenceLink}` : '');
+  } else if (concern.meetingSkipped) {
+    comment += `\n\n💬 No meeting was booked because ${concern.meetingSkipped}. Let's discuss it here instead.`;
+  }
+
+  return comment;
+}
+
+// Lists the files that weren't analysed, so a short review of a huge PR
+// isn't mistaken for a clean one
+function skippedFilesNote(skippedFiles, unlistedFiles) {
+  if (skippedFiles.length === 0 && unlistedFiles === 0) return '';
+
+  const count = skippedFiles.length + unlistedFiles;
+  return `\n\n⚠️ **${count} file${count === 1 ? ' was' : 's were'} not analysed:**\n` +
+    skippedFiles.map(({ file, reason }) => `\n- \`${file}\` (${reason})`).join('') +
+    (unlistedFiles > 0 ?
+      `\n- ${unlistedFiles} more file(s) (GitHub only lists the first ${MAX_LISTED_FILES} files of a pull request)` : '');
+}
+
+// Counts the files left out by include-paths and exclude-paths per pattern
+function filteredFilesNote(filteredFiles) {
+  if (filteredFiles.length === 0) return '';
+
+  const count = filteredFiles.reduce((sum, { files }) => sum + files, 0);
+  return `\n\n🗂️ ${count} file${count === 1 ? ' was' : 's were'} filtered out: ` +
+    filteredFiles.map(({ pattern, files }) => `\`${pattern}\` (${files})`).join(', ');
+}
+
+// Renders the overview of a review. `incremental` is { since } when only the
+// commits after `since` were analysed, and `uncommented` counts the concerns
+// left out of the comments.
+function renderOverview(concerns, {
+  config,
+  calendarEnabled = config['enable-calendar'],
+  skippedFiles = [],
+  unlistedFiles = 0,
+  filteredFiles = [],
+  uncommented = 0,
+  incremental = null
+}) {
+  const botName = config['bot-name'];
+  const emoji = config['use-emojis'] ? '🤖 ' : '';
+  const items = concerns.map((c, i) => ({ c, line: `${i + 1}. **${c.topic.topic}** in \`${c.file}\` (${c.topic.urgency})` }));
+  const list = selected => selected.length > 0 ? selected.map(item => item.line).join('\n') : '- None';
+
+  return `## ${emoji}${botName} Review\n\n` +
+    `I've completed my review of this PR and identified **${concerns.length} area${concerns.length === 1 ? '' : 's'}** for discussion:\n\n` +
+    (incremental ?
+      `🆕 **New since last push** (since ${incremental.since.slice(0, 7)})\n\n` +
+        `${list(items.filter(item => !item.c.outstanding))}\n\n` +
+        `⏳ **Still outstanding**\n\n${list(items.filter(item => item.c.outstanding))}` :
+      items.map(item => item.line).join('\n')) +
+    (uncommented > 0 ?
+      `\n\n➕ ${uncommented} less severe concern${uncommented === 1 ? ' was' : 's were'} found but not commented on.` : '') +
+    (calendarEnabled ?
+      '\n\n📅 Meeting invitations will be sent for detailed discussions.' :
+      config['ics-directory'] ?
+        '\n\n📅 Calendar invites (.ics) have been prepared for detailed discussions.' :
+        '\n\n💬 Let\'s discuss these points in the PR comments.') +
+    skippedFilesNote(skippedFiles, unlistedFiles) +
+    filteredFilesNote(filteredFiles) +
+    '\n\n*This automated review helps ensure code quality through collaborative discussion.*';
+}
+
+module.exports = {
+  renderComment,
+  renderOverview,
+  templateValues
+};
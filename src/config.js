@@ -0,0 +1,321 @@
+const core = require('@actions/core');
+const yaml = require('js-yaml');
+const { bikeshedTopics } = require('./topics');
+const { severities } = require('./severity');
+
+const DEFAULT_CONFIG_PATH = '.github/bikeshed.yml';
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Settings for the files matching `paths`, see PathRules
+const pathOverride = {
+  type: 'object',
+  required: ['paths'],
+  properties: {
+    'paths': stringList,
+    'enabled-rules': stringList,
+    'disabled-rules': stringList,
+    'topics': stringList,
+    'severity-boost': { type: 'integer', minimum: 0, maximum: severities.length - 1 },
+    'comment-style': { type: 'string' },
+    'meetings': { type: 'boolean' }
+  }
+};
+
+// Settings that can come from the repository config file. Keys that are also
+// action inputs use the same names so either source reads the same.
+const schema = {
+  type: 'object',
+  properties: {
+    'dry-run': { type: 'boolean', input: true },
+    'enable-calendar': { type: 'boolean', input: true },
+    'calendar-provider': { type: 'string', enum: ['google', 'caldav'], input: true },
+    'google-calendar-id': { type: 'string', input: true },
+    'caldav-url': { type: 'string', input: true },
+    'ics-directory': { type: 'string', input: true },
+    'add-conference-link': { type: 'boolean', input: true },
+    'sarif-file': { type: 'string', input: true },
+    'webhook-format': { type: 'string', enum: ['slack', 'json'], input: true },
+    'max-meetings-per-pr': { type: 'integer', minimum: 0, input: true },
+    'max-comments': { type: 'integer', minimum: 0, input: true },
+    'min-concerns': { type: 'integer', minimum: 0, input: true },
+    'enabled-rules': { ...stringList, input: true },
+    'disabled-rules': { ...stringList, input: true },
+    'include-paths': { ...stringList, input: true },
+    'exclude-paths': { ...stringList, input: true },
+    'path-overrides': { type: 'array', items: pathOverride },
+    'custom-rules': { type: 'string', input: true },
+    'comment-style': { type: 'string', input: true },
+    'comment-mode': { type: 'string', enum: ['issue', 'review', 'check'], input: true },
+    'review-event': { type: 'string', enum: ['COMMENT', 'REQUEST_CHANGES'], input: true },
+    'check-failure-severity': { type: 'string', enum: [...severities, 'none'], input: true },
+    'fail-on-severity': { type: 'string', enum: [...severities, 'none'], input: true },
+    'critical-paths': { ...stringList, input: true },
+    'large-change-lines': { type: 'integer', minimum: 1, input: true },
+    'stale-comments': { type: 'string', enum: ['resolve', 'delete'], input: true },
+    'incremental-review': { type: 'boolean', input: true },
+    'command-permission': {
+      type: 'string',
+      enum: ['read', 'triage', 'write', 'maintain', 'admin'],
+      input: true
+    },
+    'add-labels': { type: 'boolean', input: true },
+    'bot-name': { type: 'string', input: true },
+    'bot-login': { type: 'string', input: true },
+    'use-emojis': { type: 'boolean', input: true },
+    'timezone': { type: 'string', input: true },
+    'preferred-meeting-hours': {
+      type: 'array',
+      items: { type: 'integer', minimum: 0, maximum: 23 },
+      input: true
+    },
+    'holidays': {
+      type: 'array',
+      items: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', format: 'YYYY-MM-DD' },
+      input: true
+    },
+    'search-horizon-days': { type: 'integer', minimum: 1, input: true },
+    'meeting-grouping': { type: 'string', enum: ['attendees', 'file', 'concern'], input: true },
+    'max-meeting-minutes': { type: 'integer', minimum: 1, input: true },
+    'weekly-meeting-budget': { type: 'integer', minimum: 0, input: true },
+    'reviewer-emails': { ...stringList, input: true },
+    'email-map': { type: 'string', input: true },
+    'exclude-attendees': { ...stringList, input: true },
+    'max-attendees': { type: 'integer', minimum: 1, input: true },
+    'topics': {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          'meeting-length': { type: 'integer', minimum: 1 },
+          'urgency': { type: 'string' }
+        }
+      }
+    },
+    'templates-file': { type: 'string', input: true },
+    'templates': { type: 'object', additionalProperties: stringList },
+    'meeting-titles': stringList,
+    'labels': {
+      type: 'object',
+      properties: {
+        'discussion': { type: 'string' },
+        'reviewed': { type: 'string' },
+        'priority-prefix': { type: 'string' },
+        'definitions': {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              'color': { type: 'string', pattern: '^[0-9a-fA-F]{6}$', format: 'a six digit hex colour' },
+              'description': { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const defaults = {
+  'dry-run': false,
+  'enable-calendar': false,
+  'calendar-provider': 'google',
+  'add-conference-link': false,
+  'webhook-format': 'slack',
+  'max-meetings-per-pr': 3,
+  'max-comments': 10,
+  'min-concerns': 1,
+  'enabled-rules': [],
+  'disabled-rules': [],
+  'include-paths': [],
+  'exclude-paths': [
+    'package-lock.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    '*.min.js',
+    '*.map',
+    'node_modules/',
+    'vendor/',
+    'dist/'
+  ],
+  'path-overrides': [],
+  'comment-style': 'constructive',
+  'comment-mode': 'issue',
+  'review-event': 'COMMENT',
+  'check-failure-severity': 'none',
+  'fail-on-severity': 'none',
+  'critical-paths': [],
+  'large-change-lines': 300,
+  'stale-comments': 'resolve',
+  'incremental-review': true,
+  'command-permission': 'write',
+  'add-labels': true,
+  'bot-name': 'Bikeshed Bot',
+  'use-emojis': true,
+  'timezone': 'America/New_York',
+  'preferred-meeting-hours': [10, 14, 15],
+  'holidays': [],
+  'search-horizon-days': 14,
+  'meeting-grouping': 'attendees',
+  'max-meeting-minutes': 60,
+  'reviewer-emails': [],
+  'email-map': '.github/bikeshed-emails.yml',
+  'exclude-attendees': [],
+  'max-attendees': 10,
+  'topics': {},
+  'templates-file': '.github/bikeshed-templates.yml',
+  'templates': {},
+  'labels': {
+    'discussion': 'needs-discussion',
+    'reviewed': 'bikeshed-review',
+    'priority-prefix': 'priority-'
+  }
+};
+
+// Returns a list of "key: problem" messages for a value that doesn't fit
+function validate(value, rules, key = '') {
+  const name = key || 'config';
+  const errors = [];
+
+  if (rules.type === 'object') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return [`"${name}" must be an object`];
+    }
+
+    for (const required of rules.required || []) {
+      if (value[required] === undefined) {
+        errors.push(`"${key ? `${key}.${required}` : required}" is required`);
+      }
+    }
+
+    for (const [childKey, childValue] of Object.entries(value)) {
+      const childName = key ? `${key}.${childKey}` : childKey;
+      const childRules = rules.properties?.[childKey] || rules.additionalProperties;
+
+      if (!childRules) {
+        errors.push(`"${childName}" is not a known setting`);
+      } else {
+        errors.push(...validate(childValue, childRules, childName));
+      }
+    }
+  } else if (rules.type === 'array') {
+    if (!Array.isArray(value)) {
+      return [`"${name}" must be a list`];
+    }
+
+    value.forEach((item, i) => errors.push(...validate(item, rules.items, `${name}[${i}]`)));
+  } else if (rules.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      return [`"${name}" must be an integer`];
+    }
+    if (rules.minimum !== undefined && value < rules.minimum) {
+      errors.push(`"${name}" must be at least ${rules.minimum}`);
+    }
+    if (rules.maximum !== undefined && value > rules.maximum) {
+      errors.push(`"${name}" must be at most ${rules.maximum}`);
+    }
+  } else if (typeof value !== rules.type) {
+    return [`"${name}" must be a ${rules.type}`];
+  } else if (rules.enum && !rules.enum.includes(value)) {
+    errors.push(`"${name}" must be one of ${rules.enum.join(', ')}`);
+  } else if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+    errors.push(`"${name}" must be formatted as ${rules.format}`);
+  }
+
+  return errors;
+}
+
+// Converts a raw action input string into the type the schema expects
+function parseInput(raw, rules) {
+  if (rules.type === 'boolean') {
+    return raw === 'true' ? true : raw === 'false' ? false : raw;
+  }
+  if (rules.type === 'integer') {
+    return /^-?\d+$/.test(raw.trim()) ? parseInt(raw) : raw;
+  }
+  if (rules.type === 'array') {
+    return raw.split(',').map(v => v.trim()).filter(v => v).map(v => parseInput(v, rules.items));
+  }
+  if (rules.enum) {
+    return rules.enum.find(option => option.toLowerCase() === raw.toLowerCase()) || raw;
+  }
+  return raw;
+}
+
+// Collects the action inputs that were actually set
+function readInputs() {
+  const inputs = {};
+
+  for (const [key, rules] of Object.entries(schema.properties)) {
+    if (!rules.input) continue;
+
+    const raw = core.getInput(key);
+    if (raw) {
+      inputs[key] = parseInput(raw, rules);
+    }
+  }
+
+  return inputs;
+}
+
+function parseConfigFile(content, source) {
+  let parsed;
+  try {
+    parsed = yaml.load(content);
+  } catch (error) {
+    throw new Error(`Could not parse ${source}: ${error.message}`);
+  }
+
+  return parsed ?? {};
+}
+
+// Layers the built-in defaults, the repository config file and the action
+// inputs (in that order of precedence) into one validated config. Callers
+// outside the Action pass their own inputs.
+function buildConfig(fileConfig = {}, source = 'config file', inputs = readInputs()) {
+  const fileErrors = validate(fileConfig, schema);
+  if (fileErrors.length > 0) {
+    throw new Error(`Invalid ${source}: ${fileErrors.join('; ')}`);
+  }
+
+  const inputErrors = validate(inputs, schema);
+  if (inputErrors.length > 0) {
+    throw new Error(`Invalid action inputs: ${inputErrors.join('; ')}`);
+  }
+
+  return {
+    ...defaults,
+    ...fileConfig,
+    ...inputs,
+    'labels': { ...defaults.labels, ...fileConfig.labels }
+  };
+}
+
+// Applies the config's topic overrides to the built-in topics. Topics that
+// only exist in the config are added so custom rules can refer to them.
+function resolveTopics(config) {
+  const topics = bikeshedTopics.map(topic => ({ ...topic }));
+
+  for (const [name, override] of Object.entries(config.topics || {})) {
+    let topic = topics.find(t => t.topic === name);
+    if (!topic) {
+      topic = { topic: name, meetingLength: 60, urgency: 'worth discussing' };
+      topics.push(topic);
+    }
+
+    if (override['meeting-length'] !== undefined) topic.meetingLength = override['meeting-length'];
+    if (override.urgency !== undefined) topic.urgency = override.urgency;
+  }
+
+  return topics;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  schema,
+  defaults,
+  validate,
+  parseConfigFile,
+  buildConfig,
+  resolveTopics
+};
@@ -0,0 +1,254 @@
+// Unified diff parsing for the `patch` field GitHub returns per file.
+// Every line keeps its real old/new file line number so concerns can point
+// at code that actually exists in the pull request.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+function parsePatch(patch) {
+  const hunks = [];
+  if (!patch) return hunks;
+
+  let hunk = null;
+  let lastLine = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  for (const raw of patch.split('\n')) {
+    const header = raw.match(HUNK_HEADER);
+    if (header) {
+      hunk = {
+        header: raw,
+        oldStart: parseInt(header[1]),
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2]),
+        newStart: parseInt(header[3]),
+        newLines: header[4] === undefined ? 1 : parseInt(header[4]),
+        section: header[5].trim(),
+        lines: []
+      };
+      hunks.push(hunk);
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      oldRemaining = hunk.oldLines;
+      newRemaining = hunk.newLines;
+      continue;
+    }
+
+    // "\ No newline at end of file" belongs to the line before it, which may
+    // have been the last line of an already completed hunk
+    if (raw.startsWith('\\')) {
+      if (lastLine) lastLine.noNewline = true;
+      continue;
+    }
+
+    // Anything outside a hunk (diff --git, index, ---/+++ headers) is skipped
+    if (!hunk) continue;
+
+    const marker = raw[0];
+    let line;
+
+    if (marker === '+') {
+      line = { type: 'add', content: raw.substring(1), newLine: newLine++ };
+      newRemaining--;
+    } else if (marker === '-') {
+      line = { type: 'del', content: raw.substring(1), oldLine: oldLine++ };
+      oldRemaining--;
+    } else if (marker === ' ' || raw === '') {
+      // Some tools strip the leading space from blank context lines
+      line = { type: 'context', content: raw.substring(1), oldLine: oldLine++, newLine: newLine++ };
+      oldRemaining--;
+      newRemaining--;
+    } else {
+      hunk = null;
+      continue;
+    }
+
+    hunk.lines.push(line);
+    lastLine = line;
+
+    if (oldRemaining <= 0 && newRemaining <= 0) {
+      hunk = null;
+    }
+  }
+
+  return hunks;
+}
+
+// Flattens parsed hunks into the added lines, each linked to its hunk
+function getAddedLines(hunks) {
+  const added = [];
+
+  for (const hunk of hunks) {
+    for (const line of hunk.lines) {
+      if (line.type === 'add') {
+        added.push({ ...line, hunk });
+      }
+    }
+  }
+
+  return added;
+}
+
+// Renders a hunk back to unified diff text, e.g. for showing context
+function formatHunk(hunk) {
+  const markers = { add: '+', del: '-', context: ' ' };
+
+  return [hunk.header]
+    .concat(hunk.lines.map(line => markers[line.type] + line.content))
+    .join('\n');
+}
+
+// Renders the lines of a hunk around a line of the new version, for showing
+// a concern's code outside the diff view. Long lines are cut off.
+function excerptHunk(hunk, line, { context = 3, width = 120 } = {}) {
+  const markers = { add: '+', del: '-', context: ' ' };
+  const at = hunk.lines.findIndex(other => other.newLine === line && other.type !== 'del');
+  if (at === -1) return '';
+
+  return hunk.lines.slice(Math.max(at - context, 0), at + context + 1)
+    .map(other => markers[other.type] + other.content)
+    .map(text => text.length > width ? `${text.slice(0, width - 1)}…` : text)
+    .join('\n');
+}
+
+// Follows a line of the old version of a file to the same line in the new
+// version. Returns null when the line was changed or deleted.
+function mapLine(hunks, line) {
+  let offset = 0;
+
+  for (const hunk of hunks) {
+    // Hunks that only insert lines start after the line they follow
+    const start = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+    if (line < start) break;
+
+    if (line < start + hunk.oldLines) {
+      const kept = hunk.lines.find(other => other.type === 'context' && other.oldLine === line);
+      return kept ? kept.newLine : null;
+    }
+
+    offset += hunk.newLines - hunk.oldLines;
+  }
+
+  return line + offset;
+}
+
+// Builds a single-hunk patch from two versions of a file, for files GitHub
+// returns without one. It is an approximation: lines of the new version that
+// don't appear in the old one count as added, and removed lines are left out.
+function buildPatch(oldContent, newContent) {
+  const toLines = content => content ? content.replace(/\n$/, '').split('\n') : [];
+  const oldLines = new Map();
+  for (const line of toLines(oldContent)) {
+    oldLines.set(line, (oldLines.get(line) || 0) + 1);
+  }
+
+  const newLines = toLines(newContent);
+  if (newLines.length === 0) return '';
+
+  let kept = 0;
+  const body = newLines.map(line => {
+    const remaining = oldLines.get(line) || 0;
+    if (remaining === 0) return `+${line}`;
+
+    oldLines.set(line, remaining - 1);
+    kept++;
+    return ` ${line}`;
+  });
+
+  return [`@@ -${kept === 0 ? 0 : 1},${kept} +1,${newLines.length} @@`].concat(body).join('\n');
+}
+
+// Splits the output of `git diff`, a .patch file or a plain unified diff
+// into files shaped like the ones GitHub lists for a pull request:
+// { filename, previous_filename, status, patch, additions, deletions,
+// changes }. Binary files have no patch and are marked `binary`.
+function parseDiff(text) {
+  const files = [];
+  const stripPrefix = name => name.replace(/^"?[ab]\//, '').replace(/"$/, '');
+  let file = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const inHunk = oldRemaining > 0 || newRemaining > 0;
+
+    if (inHunk) {
+      if (raw.startsWith('+')) {
+        newRemaining--;
+        file.additions++;
+      } else if (raw.startsWith('-')) {
+        oldRemaining--;
+        file.deletions++;
+      } else if (!raw.startsWith('\\')) {
+        oldRemaining--;
+        newRemaining--;
+      }
+      file.patch.push(raw);
+      continue;
+    }
+
+    const header = raw.match(HUNK_HEADER);
+    if (header && file) {
+      oldRemaining = header[2] === undefined ? 1 : parseInt(header[2]);
+      newRemaining = header[4] === undefined ? 1 : parseInt(header[4]);
+      file.patch.push(raw);
+      continue;
+    }
+
+    // "\ No newline at end of file" after the last line of a hunk
+    if (raw.startsWith('\\') && file?.patch.length > 0) {
+      file.patch.push(raw);
+      continue;
+    }
+
+    const git = raw.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/);
+    // Plain unified diffs (diff -u) start each file at its ---/+++ lines
+    const plain = raw.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ') && (!file || file.patch.length > 0);
+    if (git || plain) {
+      file = { filename: git ? git[2] : null, status: 'modified', patch: [], additions: 0, deletions: 0 };
+      files.push(file);
+      if (git) continue;
+    }
+    if (!file) continue;
+
+    if (raw.startsWith('new file mode')) {
+      file.status = 'added';
+    } else if (raw.startsWith('deleted file mode')) {
+      file.status = 'removed';
+    } else if (raw.startsWith('rename from ')) {
+      file.status = 'renamed';
+      file.previous_filename = raw.substring('rename from '.length);
+    } else if (raw.startsWith('rename to ')) {
+      file.filename = raw.substring('rename to '.length);
+    } else if (/^Binary files .* differ$/.test(raw) || raw === 'GIT binary patch') {
+      file.binary = true;
+    } else if (raw.startsWith('--- ')) {
+      const name = raw.substring(4).split('\t')[0];
+      if (name === '/dev/null') file.status = 'added';
+      else if (!file.filename) file.filename = stripPrefix(name);
+    } else if (raw.startsWith('+++ ')) {
+      const name = raw.substring(4).split('\t')[0];
+      if (name === '/dev/null') file.status = 'removed';
+      else file.filename = stripPrefix(name);
+    }
+  }
+
+  return files.map(({ patch, ...rest }) => ({
+    ...rest,
+    changes: rest.additions + rest.deletions,
+    ...(!rest.binary && { patch: patch.join('\n') })
+  }));
+}
+
+module.exports = {
+  parsePatch,
+  getAddedLines,
+  formatHunk,
+  excerptHunk,
+  mapLine,
+  buildPatch,
+  parseDiff
+};
@@ -0,0 +1,155 @@
+const { buildPatch } = require('./diff');
+
+// GitHub stops listing the files of a pull request after this many
+const MAX_LISTED_FILES = 3000;
+
+// The compare API lists at most this many files
+const MAX_COMPARED_FILES = 300;
+
+// Reads a file at a ref. Returns null for files the contents API won't
+// return inline (over 1 MB) and a Buffer otherwise.
+async function readFile(octokit, repo, path, ref) {
+  const { data } = await octokit.rest.repos.getContent({ ...repo, path, ref });
+
+  if (Array.isArray(data) || data.type !== 'file') return null;
+  if (data.encoding === 'none' || (!data.content && data.size > 0)) return null;
+
+  return Buffer.from(data.content || '', data.encoding || 'base64');
+}
+
+// Reads a text file that may not exist, returning null when it doesn't
+async function readOptionalFile(octokit, repo, path, ref) {
+  try {
+    const content = await readFile(octokit, repo, path, ref);
+    return content && content.toString('utf8');
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+// Rebuilds the patch of a file GitHub left it out for, which happens for
+// binary files and diffs that are too large. Returns the file with a patch,
+// or the reason it can't be analysed.
+async function loadMissingPatch({ octokit, repo, file, baseRef, headRef }) {
+  if (file.changes === 0 && file.status !== 'renamed') {
+    return { reason: 'binary file' };
+  }
+
+  const head = await readFile(octokit, repo, file.filename, headRef);
+  if (head === null) return { reason: 'too large to fetch' };
+  if (head.includes(0)) return { reason: 'binary file' };
+
+  let base = null;
+  if (file.status !== 'added') {
+    base = await readFile(octokit, repo, file.previous_filename || file.filename, baseRef);
+    if (base === null) return { reason: 'too large to fetch' };
+  }
+
+  return {
+    file: {
+      ...file,
+      patch: buildPatch(base?.toString('utf8'), head.toString('utf8')),
+      patchSource: 'contents'
+    }
+  };
+}
+
+// Fills in the missing patches of listed files where it can. Files that
+// still can't be analysed are returned in `skipped` with the reason.
+// `filter` returns the pattern that leaves a file out, and those files are
+// returned in `filtered` without being fetched.
+async function completeFiles({ octokit, repo, listed, baseRef, headRef, filter }) {
+  const files = [];
+  const skipped = [];
+  const filtered = [];
+
+  for (const file of listed) {
+    const pattern = filter(file.filename);
+    if (pattern) {
+      filtered.push({ file: file.filename, pattern });
+      continue;
+    }
+
+    // Deleted files have nothing left to review
+    if (file.patch || file.status === 'removed') {
+      files.push(file);
+      continue;
+    }
+
+    let result;
+    try {
+      result = await loadMissingPatch({ octokit, repo, file, baseRef, headRef });
+    } catch (error) {
+      result = { reason: `could not fetch contents (${error.message})` };
+    }
+
+    if (result.file) {
+      files.push(result.file);
+    } else {
+      skipped.push({ file: file.filename, reason: result.reason });
+    }
+  }
+
+  return { files, skipped, filtered };
+}
+
+function listPullRequestFiles(octokit, repo, pullRequest) {
+  return octokit.paginate(octokit.rest.pulls.listFiles, {
+    ...repo,
+    pull_number: pullRequest.number,
+    per_page: 100
+  });
+}
+
+// Lists every file of a pull request with its patch. `unlisted` counts files
+// GitHub didn't list at all.
+async function loadPullRequestFiles({ octokit, repo, pullRequest, filter = () => null }) {
+  const listed = await listPullRequestFiles(octokit, repo, pullRequest);
+  const unlisted = Math.max((pullRequest.changed_files || 0) - listed.length, 0);
+
+  return {
+    ...await completeFiles({ octokit, repo, listed, baseRef: pullRequest.base?.sha, headRef: pullRequest.head?.sha, filter }),
+    unlisted
+  };
+}
+
+// Lists the files changed between an earlier head of a pull request and the
+// current one, with patches covering only those commits. Returns null when
+// that diff can't stand in for the new commits: the branch was force pushed
+// (the old head is gone or no longer an ancestor), or it touches more files
+// than the compare API lists. Files the pull request doesn't change, such as
+// those brought in by merging the base branch, are left out.
+async function loadChangedFilesSince({ octokit, repo, pullRequest, since, filter = () => null }) {
+  let compared;
+  try {
+    ({ data: compared } = await octokit.rest.repos.compareCommitsWithBasehead({
+      ...repo,
+      basehead: `${since}...${pullRequest.head.sha}`
+    }));
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+
+  const changed = compared.files || [];
+  if (compared.status !== 'ahead' || changed.length >= MAX_COMPARED_FILES) return null;
+
+  const inPullRequest = new Set((await listPullRequestFiles(octokit, repo, pullRequest)).map(file => file.filename));
+  // Removed files stay in, so concerns on them can be dropped
+  const listed = changed.filter(file => file.status === 'removed' || inPullRequest.has(file.filename));
+
+  return {
+    ...await completeFiles({ octokit, repo, listed, baseRef: since, headRef: pullRequest.head.sha, filter }),
+    unlisted: 0
+  };
+}
+
+module.exports = {
+  MAX_LISTED_FILES,
+  MAX_COMPARED_FILES,
+  readFile,
+  readOptionalFile,
+  loadPullRequestFiles,
+  loadChangedFilesSince
+};
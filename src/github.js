@@ -0,0 +1,71 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+
+const retryDefaults = {
+  retries: 3,
+  // Base delay for server errors, doubled on every attempt
+  delay: 1000,
+  // Rate limits that reset later than this fail instead of stalling the job
+  maxWait: 15 * 60 * 1000,
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+// How long to wait before retrying a failed request, or null if it
+// shouldn't be retried
+function retryDelay(error, attempt, settings) {
+  const headers = error.response?.headers || {};
+  const message = error.response?.data?.message || error.message || '';
+
+  if (error.status === 403 || error.status === 429) {
+    if (headers['retry-after']) {
+      return parseInt(headers['retry-after']) * 1000;
+    }
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      return Math.max(parseInt(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0) + 1000;
+    }
+    // Secondary rate limits don't always say when they end
+    if (/secondary rate limit/i.test(message)) {
+      return 60 * 1000;
+    }
+    return null;
+  }
+
+  if (error.status >= 500) {
+    return settings.delay * 2 ** attempt;
+  }
+
+  return null;
+}
+
+async function requestWithRetry(request, options, overrides = {}) {
+  const settings = { ...retryDefaults, ...overrides };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(options);
+    } catch (error) {
+      const delay = attempt < settings.retries ? retryDelay(error, attempt, settings) : null;
+      if (delay === null || delay > settings.maxWait) throw error;
+
+      core.warning(`GitHub request ${options.method} ${options.url} failed with ${error.status}, ` +
+        `retrying in ${Math.ceil(delay / 1000)}s`);
+      await settings.sleep(delay);
+    }
+  }
+}
+
+// Octokit plugin that backs off on rate limits and retries server errors
+function retryPlugin(octokit) {
+  octokit.hook.wrap('request', (request, options) => requestWithRetry(request, options));
+}
+
+function createOctokit(token) {
+  return github.getOctokit(token, {}, retryPlugin);
+}
+
+module.exports = {
+  createOctokit,
+  requestWithRetry,
+  retryDelay,
+  retryPlugin
+};
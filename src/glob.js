@@ -0,0 +1,50 @@
+// gitignore-style path patterns, as used by CODEOWNERS:
+//   *.js        any .js file at any depth
+//   /build/     the build directory at the root and everything in it
+//   docs/*      files directly in docs
+//   apps/**     everything under apps
+function globToRegExp(pattern) {
+  let glob = pattern.trim();
+  const directoryOnly = glob.endsWith('/');
+  // Patterns with a slash other than a trailing one are relative to the root
+  const anchored = glob.startsWith('/') || glob.replace(/\/$/, '').includes('/');
+  glob = glob.replace(/^\//, '').replace(/\/$/, '');
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" is zero or more directories, a trailing "**" is anything
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  // A matching directory covers everything below it, but wildcards in the
+  // last segment only match files at that level
+  const lastSegment = glob.split('/').pop();
+  const suffix = directoryOnly ? '/.*' : lastSegment.includes('*') ? '' : '(?:/.*)?';
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}${suffix}$`);
+}
+
+function matchesGlob(pattern, file) {
+  return globToRegExp(pattern).test(file);
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob
+};
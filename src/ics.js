@@ -0,0 +1,73 @@
+// Minimal RFC 5545 calendar file writer, for .ics invites when no calendar
+// is enabled and for the events stored by the CalDAV provider.
+
+// Escapes TEXT values (RFC 5545 section 3.3.11)
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Folds content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  const limit = () => chunks.length === 0 ? 75 : 74;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > limit()) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// `method` is left out for CalDAV, where stored calendar objects must not
+// have one (RFC 4791 section 4.1)
+function buildIcs({ uid, start, end, summary, description, attendees = [], url, stamp = new Date(), method = 'PUBLISH' }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Bikeshed Bot//Bikeshed Action//EN',
+    'CALSCALE:GREGORIAN',
+    ...(method ? [`METHOD:${method}`] : []),
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(stamp)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (url) lines.push(`URL:${url}`);
+
+  for (const attendee of attendees) {
+    lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${attendee.email}`);
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildIcs,
+  escapeText,
+  foldLine,
+  formatDate
+};
@@ -1,336 +1,1315 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { google } = require('googleapis');
+const fs = require('fs');
+const path = require('path');
 const moment = require('moment-timezone');
+const { overviewMarker, stateMarker, concernMarker, withMarker, parseMarker, hashKey } = require('./markers');
+const { buildIcs } = require('./ics');
+const { findSlot } = require('./slots');
+const { Recorder, buildReport, renderMarkdown, writeStepSummary } = require('./recorder');
+const { LabelManager } = require('./labels');
+const { createOctokit } = require('./github');
+const { MAX_LISTED_FILES, readFile, loadPullRequestFiles, loadChangedFilesSince } = require('./files');
+const { parsePatch, mapLine } = require('./diff');
+const { checkConclusion, annotationLevel, batches } = require('./checks');
+const { buildSarif } = require('./sarif');
+const { createCalendarProvider } = require('./calendars');
+const { AttendeeResolver } = require('./attendees');
+const { TemplateSet, renderTemplate } = require('./templates');
+const { meetsSeverity } = require('./severity');
+const { PathRules, countFiltered } = require('./paths');
+const { StyleConventions } = require('./style');
+const { Analyzer } = require('./analyzer');
+const { renderComment, renderOverview, templateValues } = require('./comments');
+const { buildAgenda } = require('./agenda');
+const { MeetingBudget, attendeeId, meetingId } = require('./budget');
+const { Notifier } = require('./notify');
+const { version } = require('../package.json');
+const { commands, permissionLevels, parseCommand, hasPermission } = require('./commands');
+const { DEFAULT_CONFIG_PATH, parseConfigFile, buildConfig, resolveTopics } = require('./config');
 
-// Bikeshedding topics that might need discussion
-const bikeshedTopics = [
-  { topic: 'naming conventions', meetingLength: 180, urgency: 'critical' },
-  { topic: 'whitespace philosophy', meetingLength: 120, urgency: 'urgent' },
-  { topic: 'variable name choice', meetingLength: 240, urgency: 'important' },
-  { topic: 'code formatting strategy', meetingLength: 90, urgency: 'essential' },
-  { topic: 'indentation patterns', meetingLength: 180, urgency: 'high-priority' },
-  { topic: 'comment formatting standards', meetingLength: 150, urgency: 'immediate' },
-  { topic: 'architectural design patterns', meetingLength: 300, urgency: 'strategic' },
-  { topic: 'code structure and organization', meetingLength: 240, urgency: 'foundational' },
-  { topic: 'syntax style consistency', meetingLength: 180, urgency: 'critical' },
-  { topic: 'function design principles', meetingLength: 210, urgency: 'architectural' }
-];
-
-// Meeting title templates
-const meetingTitles = [
-  'Quick sync about line {LINE_NUMBER}',
-  'Discussion: Your approach to {TOPIC}',
-  'Alignment session: Code review for {FILE}',
-  'Deep dive: The {FILE} implementation',
-  'Review session: {FILE} best practices',
-  'Workshop: Exploring alternatives for {CODE_SNIPPET}',
-  '1:1 Code review discussion',
-  'Collaborative review session',
-  'Code quality discussion',
-  'Technical alignment: {TOPIC}'
-];
+// GitHub rejects comment bodies longer than this
+const MAX_COMMENT_LENGTH = 65536;
+// Carried concerns only quote the start of their line
+const MAX_SAVED_SNIPPET = 40;
 
 class BikeshedBot {
   constructor() {
-    this.octokit = github.getOctokit(core.getInput('github-token', { required: true }));
+    this.octokit = createOctokit(core.getInput('github-token', { required: true }));
     this.context = github.context;
-    this.calendarEnabled = core.getInput('enable-calendar') === 'true';
-    this.maxMeetingsPerPR = parseInt(core.getInput('max-meetings-per-pr') || '3');
-    this.commentStyle = core.getInput('comment-style') || 'constructive';
+    this.icsFiles = [];
+    this.bookedSlots = [];
+    this.meetingsCancelled = 0;
+    this.state = { ignoredTopics: [] };
+    this.rescheduleKeys = new Set();
+    this.droppedMeetings = new Set();
+    this.skippedFiles = [];
+    this.unlistedFiles = 0;
+    this.filteredFiles = [];
+    this.uncommented = 0;
+    this.incremental = null;
+    this.recorder = new Recorder();
+    this.applyConfig(buildConfig());
+  }
+
+  applyConfig(config) {
+    this.config = config;
+    this.topics = resolveTopics(config);
+    this.calendarEnabled = config['enable-calendar'];
+    this.maxMeetingsPerPR = config['max-meetings-per-pr'];
+    this.commentStyle = config['comment-style'];
+    this.commentMode = config['comment-mode'];
+    this.reviewEvent = config['review-event'];
+    // The last review is kept in the state comment, and check mode posts no comments
+    this.incrementalReview = config['incremental-review'] && this.commentMode !== 'check';
+    this.templates = new TemplateSet({ styles: config.templates, meetingTitles: config['meeting-titles'] });
+    this.pathRules = new PathRules({
+      include: config['include-paths'],
+      exclude: config['exclude-paths'],
+      overrides: config['path-overrides']
+    });
+    this.recorder.dryRun = config['dry-run'];
+  }
+
+  // Merges the optional config file from the PR's base ref with the inputs
+  async loadConfig() {
+    const configPath = core.getInput('config-path') || DEFAULT_CONFIG_PATH;
+    let fileConfig = {};
+
+    try {
+      const { data } = await this.octokit.rest.repos.getContent({
+        ...this.context.repo,
+        path: configPath,
+        ref: this.context.payload.pull_request.base?.sha
+      });
+
+      if (Array.isArray(data) || data.content === undefined) {
+        throw new Error(`Config path ${configPath} is not a file`);
+      }
+
+      fileConfig = parseConfigFile(Buffer.from(data.content, data.encoding || 'base64').toString('utf8'), configPath);
+      core.info(`Loaded config from ${configPath}`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      core.info(`No config file at ${configPath}, using action inputs`);
+    }
+
+    this.applyConfig(buildConfig(fileConfig, configPath));
+    await this.loadTemplates();
+
+    core.startGroup('Effective config');
+    core.info(JSON.stringify(this.config, null, 2));
+    core.endGroup();
+  }
+
+  // Adds the comment styles and meeting titles of the repository's template
+  // file. Styles and titles in the config file or inputs take precedence.
+  async loadTemplates() {
+    const templatesPath = this.config['templates-file'];
+
+    try {
+      const content = await readFile(this.octokit, this.context.repo, templatesPath, this.context.payload.pull_request.base?.sha);
+      if (content === null) {
+        throw new Error(`Template path ${templatesPath} is not a file`);
+      }
+
+      const file = TemplateSet.parse(content.toString('utf8'), templatesPath);
+      this.templates = new TemplateSet({
+        styles: { ...file.styles, ...this.config.templates },
+        meetingTitles: this.config['meeting-titles'] || file.meetingTitles
+      });
+      core.info(`Loaded templates from ${templatesPath}`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+
+    const styles = [this.commentStyle, ...this.config['path-overrides'].map(override => override['comment-style'])];
+    for (const style of new Set(styles.filter(style => style))) {
+      if (!this.templates.hasStyle(style)) {
+        core.warning(`Unknown comment style "${style}", using constructive. ` +
+          `Available styles: ${Object.keys(this.templates.styles).join(', ')}`);
+      }
+    }
   }
 
   async run() {
     try {
+      if (this.context.eventName === 'issue_comment') {
+        await this.handleCommand();
+        return;
+      }
+
       if (this.context.eventName !== 'pull_request') {
-        core.info('This action only runs on pull request events');
+        core.info('This action only runs on pull request and issue comment events');
         return;
       }
 
-      const concerns = await this.analyzePR();
-      await this.postComments(concerns);
-      
-      core.setOutput('concerns-found', concerns.length);
-      core.setOutput('meetings-scheduled', Math.min(concerns.length, this.maxMeetingsPerPR));
+      await this.loadConfig();
+      await this.loadState();
+
+      // Closed or merged PRs don't need their upcoming meetings any more
+      if (this.context.payload.action === 'closed') {
+        const outcome = this.context.payload.pull_request.merged ? 'merged' : 'closed';
+        await this.cancelAllMeetings(`the pull request was ${outcome}`);
+        core.setOutput('meetings-cancelled', this.meetingsCancelled);
+        this.publishReport([]);
+        return;
+      }
+
+      if (this.state.snoozedUntil && new Date(this.state.snoozedUntil) > new Date()) {
+        core.info(`Reviews are snoozed on this pull request until ${this.state.snoozedUntil}`);
+        return;
+      }
+
+      await this.review();
     } catch (error) {
       core.setFailed(`Action failed: ${error.message}`);
     }
   }
 
-  async analyzePR() {
-    const { data: files } = await this.octokit.rest.pulls.listFiles({
+  async review({ full = false } = {}) {
+    const concerns = await this.analyzePR({ full });
+    const meetingsScheduled = await this.postComments(concerns);
+    const sarifFile = await this.writeSarif(concerns);
+    await this.sendNotifications(concerns);
+    await this.saveLastReview(concerns);
+
+    core.setOutput('concerns-found', concerns.length);
+    core.setOutput('meetings-scheduled', meetingsScheduled);
+    core.setOutput('ics-files', this.icsFiles.join('\n'));
+    core.setOutput('meetings-cancelled', this.meetingsCancelled);
+    core.setOutput('sarif-file', sarifFile || '');
+    this.publishReport(concerns);
+    this.checkFailSeverity(concerns);
+  }
+
+  // Handles "/bikeshed <command>" comments on pull requests
+  async handleCommand() {
+    const { comment, issue } = this.context.payload;
+    const command = parseCommand(comment?.body);
+
+    if (!issue?.pull_request || !command) {
+      core.info('Comment is not a /bikeshed command on a pull request');
+      return;
+    }
+
+    const { data: permission } = await this.octokit.rest.repos.getCollaboratorPermissionLevel({
       ...this.context.repo,
-      pull_number: this.context.payload.pull_request.number,
+      username: comment.user.login
     });
 
-    const concerns = [];
-    const minConcerns = parseInt(core.getInput('min-concerns') || '1');
-    
-    for (const file of files) {
-      const lines = file.patch?.split('\n') || [];
-      const addedLines = lines.filter(line => line.startsWith('+'));
-      
-      // Analyze file for potential discussion points
-      if (file.filename.includes('.') && Math.random() < 0.7) {
-        concerns.push({
-          file: file.filename,
-          line: Math.floor(Math.random() * 50) + 1,
-          topic: bikeshedTopics[Math.floor(Math.random() * bikeshedTopics.length)],
-          severity: this.calculateSeverity(),
-          codeSnippet: addedLines[0]?.substring(1) || 'the implementation'
-        });
+    // Base the rest of the run on the pull request the comment belongs to
+    const { data: pullRequest } = await this.octokit.rest.pulls.get({
+      ...this.context.repo,
+      pull_number: issue.number
+    });
+    this.context.payload.pull_request = pullRequest;
+
+    await this.loadConfig();
+
+    // Custom repository roles fall back to their base permission
+    const level = permissionLevels.includes(permission.role_name) ? permission.role_name : permission.permission;
+    if (!hasPermission(level, this.config['command-permission'])) {
+      core.info(`@${comment.user.login} (${level}) may not run /bikeshed commands`);
+      await this.react(comment.id, '-1');
+      return;
+    }
+
+    if (!commands.includes(command.name)) {
+      core.info(`Unknown command "/bikeshed ${command.name}". Available commands: ${commands.join(', ')}`);
+      await this.react(comment.id, 'confused');
+      return;
+    }
+
+    await this.loadState();
+
+    try {
+      await this.runCommand(command, comment);
+    } catch (error) {
+      await this.react(comment.id, 'confused');
+      throw error;
+    }
+
+    await this.react(comment.id, '+1');
+  }
+
+  async runCommand(command, comment) {
+    switch (command.name) {
+    case 'rerun':
+      return this.review({ full: true });
+
+    case 'ignore':
+    case 'unignore': {
+      if (!command.args) {
+        throw new Error(`/bikeshed ${command.name} needs a topic or rule id`);
       }
 
-      // Additional concerns for specific patterns
-      if (file.filename.includes('test') && Math.random() < 0.5) {
-        concerns.push({
-          file: file.filename,
-          topic: { topic: 'test coverage approach', meetingLength: 240, urgency: 'quality-focused' },
-          severity: 'DISCUSSION_NEEDED'
-        });
+      const topic = command.args.toLowerCase();
+      const ignored = this.state.ignoredTopics.filter(t => t !== topic);
+      this.state.ignoredTopics = command.name === 'ignore' ? [...ignored, topic] : ignored;
+
+      await this.saveState();
+      return this.review();
+    }
+
+    case 'snooze': {
+      if (command.args === 'off') {
+        delete this.state.snoozedUntil;
+      } else {
+        const days = parseInt(command.args || '7');
+        if (!(days > 0)) {
+          throw new Error('/bikeshed snooze takes a number of days or "off"');
+        }
+        this.state.snoozedUntil = new Date(Date.now() + days * 86400000).toISOString();
       }
 
-      if (addedLines.some(line => line.includes('TODO')) && Math.random() < 0.8) {
-        concerns.push({
-          file: file.filename,
-          topic: { topic: 'TODO items and technical debt', meetingLength: 180, urgency: 'planning-required' },
-          severity: 'FOLLOW_UP_NEEDED'
-        });
+      return this.saveState();
+    }
+
+    case 'reschedule': {
+      const number = parseInt(command.args);
+      const concerns = await this.analyzePR();
+      const concern = concerns[number - 1];
+
+      if (!concern) {
+        throw new Error(`/bikeshed reschedule needs a concern number between 1 and ${concerns.length}`);
       }
+
+      this.rescheduleKeys.add(concern.key);
+      return this.review();
     }
 
-    // Ensure minimum number of concerns
-    while (concerns.length < minConcerns) {
-      concerns.push({
-        file: 'overall approach',
-        topic: bikeshedTopics[Math.floor(Math.random() * bikeshedTopics.length)],
-        severity: 'WORTH_DISCUSSING'
-      });
+    case 'cancel-meetings':
+      return this.cancelAllMeetings(`@${comment.user.login} asked to cancel the meetings`);
+    }
+  }
+
+  async react(commentId, content) {
+    return this.recorder.perform('reaction', { commentId, content }, () =>
+      this.octokit.rest.reactions.createForIssueComment({
+        ...this.context.repo,
+        comment_id: commentId,
+        content
+      }));
+  }
+
+  // Loads the per-PR settings changed through slash commands
+  async loadState() {
+    const existing = await this.findBotComments();
+    this.stateComment = existing.state;
+    this.state = {
+      ignoredTopics: [],
+      ...(existing.state && parseMarker(existing.state.body).data)
+    };
+  }
+
+  async saveState() {
+    const marked = this.renderState();
+    const result = await this.upsertComment(this.stateComment, marked);
+    // Later saves in the same run edit the comment instead of posting another
+    this.stateComment = result?.data || (this.stateComment && { ...this.stateComment, body: marked });
+  }
+
+  renderState() {
+    const lines = [];
+    if (this.state.ignoredTopics.length > 0) {
+      lines.push(`- Ignoring: ${this.state.ignoredTopics.join(', ')}`);
+    }
+    if (this.state.snoozedUntil) {
+      lines.push(`- Snoozed until ${this.state.snoozedUntil}`);
+    }
+    const settings = lines.length > 0 ? lines.join('\n') : '- Defaults';
+
+    const lastReview = this.state.lastReview;
+    const body = `⚙️ **${this.config['bot-name']} settings for this pull request**\n\n${settings}` +
+      '\n\nChange them with `/bikeshed ignore <topic>`, `/bikeshed unignore <topic>` or `/bikeshed snooze [days|off]`.' +
+      (lastReview ? `\n\nLast reviewed at ${lastReview.sha.slice(0, 7)}. ` +
+        'The next push is reviewed from there, `/bikeshed rerun` reviews the whole pull request again.' : '');
+
+    return withMarker(body, stateMarker(this.state));
+  }
+
+  // Remembers the reviewed head and its concerns, so the next push only
+  // needs its own commits analysed. Only what outstandingConcerns needs is
+  // kept; when even that doesn't fit in the settings comment, the next push
+  // reviews the whole pull request.
+  async saveLastReview(concerns) {
+    const sha = this.context.payload.pull_request.head?.sha;
+    if (!this.incrementalReview || !sha) return;
+
+    this.state.lastReview = {
+      sha,
+      // Padding concerns are picked again on every run
+      concerns: concerns.filter(concern => concern.rule !== 'min-concerns').map(concern => ({
+        key: concern.key,
+        file: concern.file,
+        line: concern.line,
+        side: concern.side,
+        codeSnippet: concern.codeSnippet?.slice(0, MAX_SAVED_SNIPPET),
+        outsideDiff: concern.outsideDiff,
+        rule: concern.rule,
+        topic: concern.topic.topic,
+        severity: concern.severity
+      }))
+    };
+
+    if (this.renderState().length > MAX_COMMENT_LENGTH) {
+      core.info(`The ${concerns.length} concerns don't fit in the settings comment, the next push is reviewed in full`);
+      delete this.state.lastReview;
+    }
+
+    await this.saveState();
+  }
+
+  isIgnored(topic, rule) {
+    return this.state.ignoredTopics.some(ignored =>
+      ignored === topic.topic.toLowerCase() || ignored === rule);
+  }
+
+  // Exposes what the run did (or would have done) as the JSON report output,
+  // and as a Markdown job summary for dry runs
+  publishReport(concerns) {
+    const report = buildReport({
+      pullRequest: this.context.payload.pull_request,
+      concerns,
+      skippedFiles: this.skippedFiles,
+      filteredFiles: this.filteredFiles,
+      recorder: this.recorder
+    });
+
+    core.setOutput('report', JSON.stringify(report));
+
+    if (this.recorder.dryRun) {
+      writeStepSummary(renderMarkdown(report));
+      core.info(`Dry run: ${this.recorder.actions.length} action(s) recorded, nothing was sent`);
+    }
+
+    return report;
+  }
+
+  // Analyses the pull request. With incremental-review, a push after an
+  // earlier review only has its new commits analysed, and the concerns of
+  // the earlier review that still apply are carried over.
+  async analyzePR({ full = false } = {}) {
+    const pullRequest = this.context.payload.pull_request;
+    const lastReview = this.incrementalReview && !full ? this.state.lastReview : null;
+    // Runs without new commits (reopening, commands) review everything again
+    const since = lastReview && lastReview.sha !== pullRequest.head?.sha ? lastReview.sha : null;
+    const filter = file => this.pathRules.filteredBy(file);
+
+    const changes = since && await this.loadChangesSince(since, filter);
+    this.incremental = changes ? { since } : null;
+
+    const { files, skipped, filtered, unlisted } = changes || await loadPullRequestFiles({
+      octokit: this.octokit,
+      repo: this.context.repo,
+      pullRequest,
+      filter
+    });
+    this.skippedFiles = skipped;
+    this.unlistedFiles = unlisted;
+    this.filteredFiles = countFiltered(filtered);
+
+    for (const { pattern, files: count } of this.filteredFiles) {
+      core.info(`Filtered out ${count} file(s) by ${pattern}`);
+    }
+    for (const { file, reason } of skipped) {
+      core.info(`Skipped ${file}: ${reason}`);
     }
+    if (unlisted > 0) {
+      core.warning(`GitHub only lists the first ${MAX_LISTED_FILES} files of a pull request, ${unlisted} file(s) were not analysed`);
+    }
+
+    const style = await StyleConventions.load({
+      octokit: this.octokit,
+      repo: this.context.repo,
+      ref: pullRequest.base?.sha
+    });
+    const analyzer = new Analyzer({
+      config: this.config,
+      topics: this.topics,
+      style,
+      pathRules: this.pathRules,
+      isIgnored: (topic, rule) => this.isIgnored(topic, rule)
+    });
+
+    const outstanding = this.incremental ? this.outstandingConcerns(lastReview.concerns, files, skipped) : [];
+    return analyzer.analyze(files, outstanding);
+  }
+
+  // Loads the files changed since the last review, or returns null when the
+  // whole pull request has to be reviewed instead
+  async loadChangesSince(since, filter) {
+    const changes = await loadChangedFilesSince({
+      octokit: this.octokit,
+      repo: this.context.repo,
+      pullRequest: this.context.payload.pull_request,
+      since,
+      filter
+    });
+
+    core.info(changes ?
+      `Reviewing the ${changes.files.length} file(s) changed since ${since.slice(0, 7)}` :
+      `Can't review the changes since ${since.slice(0, 7)} on their own (force push or too many files), reviewing the whole pull request`);
+    return changes;
+  }
+
+  // Carries the concerns of the last review over to the new head. Concerns on
+  // lines that were changed since, in removed files and on ignored topics
+  // are dropped; the others follow renames and lines moved by the new
+  // commits. Lines that can't be followed are left out.
+  outstandingConcerns(previous, files, skipped) {
+    const changed = new Map(files.map(file => [file.previous_filename || file.filename, file]));
+    const unreadable = new Set(skipped.map(({ file }) => file));
+    const outstanding = [];
 
-    return concerns.slice(0, this.maxMeetingsPerPR);
+    for (const concern of previous) {
+      // Only the topic's name is saved; topics since removed from the config
+      // are dropped
+      const topic = this.topics.find(t => t.topic === concern.topic);
+      const file = changed.get(concern.file);
+      if (!topic || file?.status === 'removed' || this.isIgnored(topic, concern.rule)) continue;
+
+      const carried = { ...concern, topic, file: file ? file.filename : concern.file, outstanding: true };
+      if (this.pathRules.filteredBy(carried.file)) continue;
+
+      if (concern.line && (file || unreadable.has(concern.file))) {
+        // Patches rebuilt from the file contents don't number removed lines
+        const line = file && file.patchSource !== 'contents' ? mapLine(parsePatch(file.patch), concern.line) : undefined;
+        if (line === null) continue;
+
+        Object.assign(carried, line ? { line } : { line: undefined, side: undefined, codeSnippet: 'the implementation' });
+      }
+
+      outstanding.push(carried);
+    }
+
+    return outstanding;
   }
 
-  calculateSeverity() {
-    const severities = ['CRITICAL', 'HIGH', 'MEDIUM', 'DISCUSSION_NEEDED', 'WORTH_NOTING'];
-    return severities[Math.floor(Math.random() * severities.length)];
+  // Fails the run when a concern reaches fail-on-severity. Padding concerns
+  // (min-concerns) are picked at random, so they don't count.
+  checkFailSeverity(concerns) {
+    const threshold = this.config['fail-on-severity'];
+    const failing = concerns.filter(concern => concern.rule !== 'min-concerns' && meetsSeverity(concern.severity, threshold));
+    if (failing.length === 0) return false;
+
+    core.setFailed(`${failing.length} concern${failing.length === 1 ? '' : 's'} at or above ${threshold}: ` +
+      failing.map(concern => `${concern.topic.topic} in ${concern.file} (${concern.severity})`).join(', '));
+    return true;
   }
 
+  // Posts the review and returns the number of meetings scheduled by this
+  // run. Only the most severe concerns are commented on and get meetings;
+  // the check run, like the severity gate and SARIF, covers all of them.
   async postComments(concerns) {
-    // Post overview comment
+    const commented = concerns.slice(0, this.config['max-comments']);
+    this.uncommented = concerns.length - commented.length;
+
+    const existing = this.commentMode === 'issue' ? await this.findBotComments() : null;
+    const meetingsScheduled = await this.scheduleMeetings(commented, existing);
+
+    if (this.commentMode === 'review') {
+      await this.postReview(commented);
+      await this.saveMeetings(commented);
+    } else if (this.commentMode === 'check') {
+      await this.postCheckRun(concerns);
+      await this.saveMeetings(commented);
+    } else {
+      await this.postIssueComments(commented, existing);
+    }
+
+    // Add labels if configured
+    if (this.config['add-labels']) {
+      await this.syncLabels(concerns);
+    }
+
+    return meetingsScheduled;
+  }
+
+  // Books up to max-meetings-per-pr meetings, each about a group of concerns
+  // (see groupConcerns). Concerns that got a meeting on an earlier run keep
+  // it instead of being booked again, whether it was recorded in their
+  // comment or in the settings comment (see saveMeetings).
+  async scheduleMeetings(concerns, existing) {
+    for (const concern of concerns) {
+      const previous = existing?.concerns.get(concern.key);
+      const meeting = (previous && parseMarker(previous.body).data.meeting) || this.state.meetings?.[concern.key];
+
+      // "/bikeshed reschedule" drops the old meeting and avoids its slot
+      if (meeting && this.rescheduleKeys.has(concern.key)) {
+        if (!this.droppedMeetings.has(meetingId(meeting))) {
+          this.droppedMeetings.add(meetingId(meeting));
+          await this.cancelMeeting(meeting);
+          if (meeting.start) {
+            const end = new Date(Date.parse(meeting.start) + meeting.duration * 60000);
+            this.bookedSlots.push({ start: meeting.start, end: end.toISOString() });
+          }
+        }
+        continue;
+      }
+
+      if (meeting) {
+        concern.meeting = meeting;
+      }
+    }
+
+    // The other concerns of a rescheduled meeting are booked again with it
+    for (const concern of concerns) {
+      if (concern.meeting && this.droppedMeetings.has(meetingId(concern.meeting))) {
+        delete concern.meeting;
+      }
+    }
+
+    if (!this.calendarEnabled && !this.config['ics-directory']) return 0;
+
+    let booked = new Set(concerns.filter(concern => concern.meeting).map(concern => meetingId(concern.meeting))).size;
+    let scheduled = 0;
+
+    // Like a failed booking, reading the budget or attendees only costs the
+    // meetings, not the review
+    let groups;
+    try {
+      if (this.config['weekly-meeting-budget'] !== undefined && !this.meetingBudget) {
+        this.meetingBudget = await MeetingBudget.load({
+          octokit: this.octokit,
+          repo: this.context.repo,
+          author: await this.getBotLogin(),
+          minutes: this.config['weekly-meeting-budget'],
+          timezone: this.config.timezone,
+          horizonDays: this.config['search-horizon-days']
+        });
+      }
+
+      groups = await this.groupConcerns(concerns.filter(concern => !concern.meeting && !concern.noMeeting));
+    } catch (error) {
+      core.warning(`Calendar scheduling failed: ${error.message}`);
+      return 0;
+    }
+
+    for (const group of groups) {
+      if (booked >= this.maxMeetingsPerPR) break;
+
+      const meeting = await this.scheduleMeeting(group);
+      if (meeting) {
+        for (const concern of group) {
+          concern.meeting = meeting;
+        }
+        booked++;
+        scheduled++;
+      }
+    }
+
+    return scheduled;
+  }
+
+  // Review and check runs leave no comment per concern to record its meeting
+  // in, so the settings comment records them by concern key. Meetings of
+  // concerns that no longer apply are cancelled, like retireComment does.
+  async saveMeetings(concerns) {
+    const previous = this.state.meetings || {};
+    const meetings = {};
+    for (const concern of concerns) {
+      if (concern.meeting) meetings[concern.key] = concern.meeting;
+    }
+
+    const current = new Set(Object.values(meetings).map(meetingId));
+    for (const meeting of Object.values(previous)) {
+      const id = meetingId(meeting);
+      // Rescheduled meetings were cancelled already
+      if (current.has(id) || this.droppedMeetings.has(id)) continue;
+      current.add(id);
+      await this.cancelMeeting(meeting);
+    }
+
+    if (JSON.stringify(meetings) === JSON.stringify(previous)) return;
+
+    if (Object.keys(meetings).length > 0) {
+      this.state.meetings = meetings;
+    } else {
+      delete this.state.meetings;
+    }
+    await this.saveState();
+  }
+
+  // Puts concerns into one meeting per file or per set of attendees, as set
+  // by meeting-grouping, in the order of their first concern
+  async groupConcerns(concerns) {
+    const groups = new Map();
+
+    for (const concern of concerns) {
+      let key;
+      switch (this.config['meeting-grouping']) {
+      case 'file':
+        key = concern.file;
+        break;
+      case 'attendees':
+        key = (await this.getMeetingAttendees(concern)).map(attendee => attendee.email.toLowerCase()).sort().join(',');
+        break;
+      default:
+        key = concern.key;
+      }
+
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(concern);
+    }
+
+    return [...groups.values()];
+  }
+
+  async postIssueComments(concerns, existing) {
+    // Post or refresh the overview comment
     const overviewComment = this.generateOverviewComment(concerns);
-    
-    await this.octokit.rest.issues.createComment({
+    await this.upsertComment(existing.overview, withMarker(overviewComment, overviewMarker()));
+
+    // Post or refresh individual comments
+    for (const concern of concerns) {
+      const comment = await this.generateComment(concern);
+      const marker = concernMarker(concern.key, { data: concern.meeting ? { meeting: concern.meeting } : undefined });
+      await this.upsertComment(existing.concerns.get(concern.key), withMarker(comment, marker));
+    }
+
+    // Retire comments for concerns that no longer apply. Meetings shared with
+    // a current concern still take place.
+    const currentKeys = new Set(concerns.map(concern => concern.key));
+    const currentMeetings = new Set(concerns.filter(concern => concern.meeting).map(concern => meetingId(concern.meeting)));
+    for (const [key, comment] of existing.concerns) {
+      if (!currentKeys.has(key)) {
+        await this.retireComment(key, comment, currentMeetings);
+      }
+    }
+  }
+
+  // The account the token comments as, unless bot-login names it. The
+  // GITHUB_TOKEN can't look itself up and comments as github-actions[bot];
+  // App installation tokens can't either and need bot-login.
+  async getBotLogin() {
+    if (!this.botLogin && this.config['bot-login']) {
+      this.botLogin = this.config['bot-login'];
+    } else if (!this.botLogin) {
+      try {
+        const { data } = await this.octokit.rest.users.getAuthenticated();
+        this.botLogin = data.login;
+      } catch (error) {
+        if (error.status !== 401 && error.status !== 403) throw error;
+        this.botLogin = 'github-actions[bot]';
+      }
+    }
+
+    return this.botLogin;
+  }
+
+  // Finds the comments previous runs left on this PR, keyed by their markers
+  async findBotComments() {
+    const comments = await this.octokit.paginate(this.octokit.rest.issues.listComments, {
       ...this.context.repo,
       issue_number: this.context.payload.pull_request.number,
-      body: overviewComment
+      per_page: 100
     });
 
-    // Post individual comments and schedule meetings
+    // Markers in anyone else's comments could cancel meetings or change
+    // settings without permission, so only the bot's own are read
+    const login = await this.getBotLogin();
+    const found = { overview: null, state: null, concerns: new Map() };
+    const others = new Set();
+    for (const comment of comments) {
+      const marker = parseMarker(comment.body);
+      if (!marker) continue;
+
+      if (comment.user?.login !== login) {
+        others.add(comment.user?.login);
+        continue;
+      }
+
+      if (marker.type === 'overview') {
+        found.overview = found.overview || comment;
+      } else if (marker.type === 'state') {
+        found.state = found.state || comment;
+      } else if (!found.concerns.has(marker.key)) {
+        found.concerns.set(marker.key, comment);
+      }
+    }
+
+    // Without a match the bot would post everything again on every run
+    if (others.size > 0 && !found.overview && !found.state && found.concerns.size === 0 && !this.warnedBotLogin) {
+      this.warnedBotLogin = true;
+      core.warning(`Found bot markers only in comments by ${[...others].join(', ')}, not ${login}. ` +
+        'Set bot-login to the account the github-token comments as.');
+    }
+
+    return found;
+  }
+
+  async upsertComment(existing, body) {
+    if (!existing) {
+      return this.recorder.perform('comment', { action: 'create', body }, () =>
+        this.octokit.rest.issues.createComment({
+          ...this.context.repo,
+          issue_number: this.context.payload.pull_request.number,
+          body
+        }));
+    }
+
+    if (existing.body === body) return;
+
+    return this.updateComment(existing.id, body);
+  }
+
+  updateComment(commentId, body) {
+    return this.recorder.perform('comment', { action: 'update', commentId, body }, () =>
+      this.octokit.rest.issues.updateComment({
+        ...this.context.repo,
+        comment_id: commentId,
+        body
+      }));
+  }
+
+  async retireComment(key, comment, currentMeetings = new Set()) {
+    const marker = parseMarker(comment.body);
+    const meeting = marker.data.meeting;
+    const cancelled = meeting && !currentMeetings.has(meetingId(meeting)) && await this.cancelMeeting(meeting);
+
+    if (this.config['stale-comments'] === 'delete') {
+      return this.recorder.perform('comment', { action: 'delete', commentId: comment.id }, () =>
+        this.octokit.rest.issues.deleteComment({
+          ...this.context.repo,
+          comment_id: comment.id
+        }));
+    }
+
+    if (marker.resolved) return;
+
+    const body = '✅ **Resolved:** this concern no longer applies to the latest changes.' +
+      (cancelled ? ' The meeting scheduled for it has been cancelled.' : '') + '\n\n' +
+      `<details><summary>Original comment</summary>\n\n${marker.text}\n\n</details>`;
+
+    return this.updateComment(comment.id, withMarker(body, concernMarker(key, { resolved: true })));
+  }
+
+  async cancelAllMeetings(reason) {
+    const existing = await this.findBotComments();
+
+    const cancelled = new Set();
+
+    for (const [key, comment] of existing.concerns) {
+      const marker = parseMarker(comment.body);
+      const meeting = marker.data.meeting;
+      // Concerns grouped into one meeting share it
+      if (!meeting || (!cancelled.has(meetingId(meeting)) && !await this.cancelMeeting(meeting))) continue;
+      cancelled.add(meetingId(meeting));
+
+      // Drop the meeting from the marker so it isn't cancelled twice
+      await this.updateComment(comment.id, withMarker(
+        `${marker.text}\n\n🚫 The meeting for this concern was cancelled because ${reason}.`,
+        concernMarker(key, { resolved: marker.resolved })
+      ));
+    }
+
+    // Review and check runs record their meetings in the settings comment
+    if (this.state.meetings) {
+      const kept = {};
+      for (const [key, meeting] of Object.entries(this.state.meetings)) {
+        if (cancelled.has(meetingId(meeting)) || await this.cancelMeeting(meeting)) {
+          cancelled.add(meetingId(meeting));
+        } else {
+          kept[key] = meeting;
+        }
+      }
+
+      if (Object.keys(kept).length > 0) {
+        this.state.meetings = kept;
+      } else {
+        delete this.state.meetings;
+      }
+      await this.saveState();
+    }
+
+    core.info(`Cancelled ${this.meetingsCancelled} upcoming meeting(s)`);
+  }
+
+  // Cancels a calendar event recorded for a concern, unless it has already
+  // taken place. Returns whether a meeting was cancelled.
+  async cancelMeeting(meeting) {
+    if (!meeting?.eventId || !this.calendarEnabled) return false;
+    if (meeting.start && new Date(meeting.start) <= new Date()) return false;
+
+    // Meetings booked with another provider can't be found in this one
+    const provider = this.config['calendar-provider'];
+    if (meeting.provider && meeting.provider !== provider) {
+      core.warning(`Could not cancel meeting ${meeting.eventId}: it was booked with the ${meeting.provider} calendar provider`);
+      return false;
+    }
+
+    try {
+      await this.recorder.perform('meeting', { action: 'cancel', eventId: meeting.eventId, start: meeting.start }, () =>
+        this.getCalendar().cancel(meeting.eventId));
+    } catch (error) {
+      // Already deleted from the calendar by someone else
+      if (error.code !== 404 && error.code !== 410) {
+        core.warning(`Could not cancel meeting ${meeting.eventId}: ${error.message}`);
+        return false;
+      }
+    }
+
+    this.meetingsCancelled++;
+    return true;
+  }
+
+  async postReview(concerns) {
+    const pullRequest = this.context.payload.pull_request;
+    const comments = [];
+    const generalNotes = [];
+
     for (const concern of concerns) {
+      // Concerns carried over from the last review were commented on then;
+      // the overview lists them as still outstanding
+      if (concern.outstanding) continue;
+
       const comment = await this.generateComment(concern);
-      
-      await this.octokit.rest.issues.createComment({
+
+      // Only concerns pointing at a line of the diff can be inline comments
+      if (concern.line && !concern.outsideDiff) {
+        comments.push({
+          path: concern.file,
+          line: concern.line,
+          side: concern.side || 'RIGHT',
+          body: comment
+        });
+      } else {
+        generalNotes.push(`**${concern.file}**: ${comment}`);
+      }
+    }
+
+    let body = this.generateOverviewComment(concerns);
+    if (generalNotes.length > 0) {
+      body += '\n\n### General notes\n\n' + generalNotes.join('\n\n');
+    }
+
+    await this.recorder.perform('review', { event: this.reviewEvent, body, comments }, () =>
+      this.octokit.rest.pulls.createReview({
         ...this.context.repo,
-        issue_number: this.context.payload.pull_request.number,
-        body: comment
-      });
+        pull_number: pullRequest.number,
+        commit_id: pullRequest.head?.sha,
+        event: this.reviewEvent,
+        body,
+        comments
+      }));
+  }
+
+  // Reports the concerns as a completed check run instead of comments. Each
+  // concern with a line becomes an annotation; the rest go in the summary.
+  async postCheckRun(concerns) {
+    const pullRequest = this.context.payload.pull_request;
+    const failureSeverity = this.config['check-failure-severity'];
+    const annotations = [];
+    const generalNotes = [];
+
+    for (const concern of concerns) {
+      const comment = await this.generateComment(concern);
 
-      // Add labels if configured
-      if (core.getInput('add-labels') === 'true') {
-        await this.addLabels(concern);
+      if (concern.line) {
+        annotations.push({
+          path: concern.file,
+          start_line: concern.line,
+          end_line: concern.line,
+          annotation_level: annotationLevel(concern, failureSeverity),
+          title: `${concern.topic.topic} (${concern.severity})`,
+          message: comment
+        });
+      } else {
+        generalNotes.push(`**${concern.file}**: ${comment}`);
       }
     }
+
+    let summary = this.generateOverviewComment(concerns);
+    if (generalNotes.length > 0) {
+      summary += '\n\n### General notes\n\n' + generalNotes.join('\n\n');
+    }
+
+    const name = this.config['bot-name'];
+    const conclusion = checkConclusion(concerns, failureSeverity);
+    const title = `${concerns.length} concern${concerns.length === 1 ? '' : 's'} to discuss`;
+    const [firstBatch = [], ...otherBatches] = batches(annotations);
+
+    await this.recorder.perform('check', { name, conclusion, body: summary, annotations }, async () => {
+      const { data: checkRun } = await this.octokit.rest.checks.create({
+        ...this.context.repo,
+        name,
+        head_sha: pullRequest.head?.sha,
+        status: 'completed',
+        conclusion,
+        output: { title, summary, annotations: firstBatch }
+      });
+
+      // Annotations past the first batch are appended with updates
+      for (const batch of otherBatches) {
+        await this.octokit.rest.checks.update({
+          ...this.context.repo,
+          check_run_id: checkRun.id,
+          output: { title, summary, annotations: batch }
+        });
+      }
+
+      return checkRun;
+    });
   }
 
   generateOverviewComment(concerns) {
-    const botName = core.getInput('bot-name') || 'Bikeshed Bot';
-    const emoji = core.getInput('use-emojis') === 'true' ? '🤖 ' : '';
-    
-    return `## ${emoji}${botName} Review\n\n` +
-      `I've completed my review of this PR and identified **${concerns.length} area${concerns.length === 1 ? '' : 's'}** for discussion:\n\n` +
-      concerns.map((c, i) => 
-        `${i + 1}. **${c.topic.topic}** in \`${c.file}\` (${c.topic.urgency})`
-      ).join('\n') +
-      (this.calendarEnabled ? 
-        '\n\n📅 Meeting invitations will be sent for detailed discussions.' : 
-        '\n\n💬 Let\'s discuss these points in the PR comments.') +
-      '\n\n*This automated review helps ensure code quality through collaborative discussion.*';
+    return renderOverview(concerns, {
+      config: this.config,
+      calendarEnabled: this.calendarEnabled,
+      skippedFiles: this.skippedFiles,
+      unlistedFiles: this.unlistedFiles,
+      filteredFiles: this.filteredFiles,
+      uncommented: this.uncommented,
+      incremental: this.incremental
+    });
   }
 
   async generateComment(concern) {
-    const templates = this.getCommentTemplates();
-    const template = templates[Math.floor(Math.random() * templates.length)];
-    
-    let comment = template
-      .replace('{FILE}', concern.file)
-      .replace('{TOPIC}', concern.topic.topic)
-      .replace('{CODE_SNIPPET}', concern.codeSnippet || 'this implementation')
-      .replace('{URGENCY}', concern.topic.urgency)
-      .replace('{LINE_NUMBER}', concern.line || '1');
-
-    if (this.calendarEnabled && concern.meeting) {
-      comment += '\n\n📅 **Meeting Details:**\n' +
-        `- Time: ${concern.meeting.time}\n` +
-        `- Duration: ${concern.meeting.duration} minutes\n` +
-        `- Topic: ${concern.topic.topic}`;
-    }
-
-    return comment;
-  }
-
-  getCommentTemplates() {
-    if (this.commentStyle === 'friendly') {
-      return [
-        'Hey! I noticed an interesting pattern in {FILE}. Would love to discuss {TOPIC} when you have a chance! 😊',
-        'Great work on {FILE}! I have some thoughts about {TOPIC} that might be worth exploring together.',
-        'Thanks for this PR! Quick question about {CODE_SNIPPET} - could we chat about the approach?',
-      ];
-    } else if (this.commentStyle === 'formal') {
-      return [
-        'Regarding {FILE}: The implementation of {TOPIC} warrants further discussion.',
-        'Technical review note: {CODE_SNIPPET} in {FILE} presents an opportunity for architectural alignment.',
-        'Code review finding: {TOPIC} implementation requires stakeholder input.',
-      ];
-    } else {
-      return [
-        'I noticed {FILE} implements {TOPIC}. Let\'s discuss potential optimizations.',
-        'The approach in {FILE} raises some questions about {TOPIC}. Could we explore alternatives?',
-        'Regarding {CODE_SNIPPET}: This implementation would benefit from a brief discussion about {TOPIC}.',
-        'I see you\'ve implemented {TOPIC} in {FILE}. Let\'s align on best practices.',
-        'This is an interesting approach to {TOPIC}. A quick sync would help ensure we\'re aligned.',
-      ];
-    }
+    return renderComment(concern, this.getCommentTemplates(concern.commentStyle));
   }
 
-  async addLabels(concern) {
-    try {
-      const labels = [
-        'needs-discussion',
-        `priority-${concern.severity.toLowerCase()}`,
-        'bikeshed-review'
-      ];
+  getCommentTemplates(style = this.commentStyle) {
+    return this.templates.commentTemplates(style);
+  }
 
-      await this.octokit.rest.issues.addLabels({
-        ...this.context.repo,
-        issue_number: this.context.payload.pull_request.number,
-        labels: labels.filter(l => l)
-      });
+  async syncLabels(concerns) {
+    const labels = new LabelManager({
+      octokit: this.octokit,
+      repo: this.context.repo,
+      issueNumber: this.context.payload.pull_request.number,
+      recorder: this.recorder,
+      config: this.config.labels
+    });
+
+    try {
+      return await labels.sync(concerns);
     } catch (error) {
-      core.warning(`Could not add labels: ${error.message}`);
+      core.warning(`Could not update labels: ${error.message}`);
+      return null;
     }
   }
 
-  async scheduleMeeting(concern) {
-    if (!this.calendarEnabled) return null;
-
+  // Books a meeting about a group of concerns in the calendar, or writes an
+  // .ics invite when only ics-directory is configured. When the meeting
+  // would take an attendee over weekly-meeting-budget, nothing is booked and
+  // the concerns are discussed in their comments instead.
+  async scheduleMeeting(concerns) {
     try {
-      const auth = new google.auth.GoogleAuth({
-        credentials: JSON.parse(core.getInput('google-calendar-credentials')),
-        scopes: ['https://www.googleapis.com/auth/calendar'],
-      });
+      const proposal = await this.proposeMeeting(concerns);
 
-      const calendar = google.calendar({ version: 'v3', auth });
-      const calendarId = core.getInput('google-calendar-id');
-
-      const now = moment().tz(core.getInput('timezone') || 'America/New_York');
-      const meetingStart = this.findNextAvailableSlot(now);
-      const meetingEnd = meetingStart.clone().add(concern.topic.meetingLength, 'minutes');
-
-      const titleTemplate = meetingTitles[Math.floor(Math.random() * meetingTitles.length)];
-      const title = titleTemplate
-        .replace('{LINE_NUMBER}', concern.line || '1')
-        .replace('{TOPIC}', concern.topic.topic)
-        .replace('{FILE}', concern.file)
-        .replace('{CODE_SNIPPET}', 'the code');
-
-      const event = {
-        summary: `[Code Review] ${title}`,
-        description: this.generateMeetingDescription(concern),
-        start: {
-          dateTime: meetingStart.format(),
-          timeZone: meetingStart.tz(),
-        },
-        end: {
-          dateTime: meetingEnd.format(),
-          timeZone: meetingEnd.tz(),
-        },
-        attendees: this.getMeetingAttendees(),
-        reminders: {
-          useDefault: false,
-          overrides: [
-            { method: 'email', minutes: 60 },
-            { method: 'popup', minutes: 15 },
-          ],
-        },
-      };
-
-      const response = await calendar.events.insert({
-        calendarId: calendarId,
-        resource: event,
-        sendUpdates: 'all',
-      });
+      const overBudget = this.meetingBudget ?
+        this.meetingBudget.exceeded(proposal.attendees.map(attendee => attendee.email), proposal.start, proposal.duration) :
+        [];
+      if (overBudget.length > 0) {
+        core.info(`Not booking a meeting about ${concerns.map(concern => concern.key).join(', ')}: ` +
+          `it would take ${overBudget.join(', ')} over the weekly meeting budget`);
+        for (const concern of concerns) {
+          concern.meetingSkipped = `the weekly meeting budget of ${overBudget.length === 1 ? 'an attendee' : `${overBudget.length} attendees`} is used up`;
+        }
+        return null;
+      }
+
+      // Later meetings in this run must not be booked on top of this one
+      this.bookedSlots.push({ start: proposal.start, end: proposal.end });
 
-      return {
-        link: response.data.htmlLink,
-        time: meetingStart.format('MMMM Do YYYY, h:mm a'),
-        duration: concern.topic.meetingLength
-      };
+      const meeting = this.calendarEnabled ?
+        await this.insertCalendarEvent(proposal) :
+        await this.writeInvite(concerns[0], proposal);
+
+      this.meetingBudget?.add(meeting);
+      return meeting;
     } catch (error) {
       core.warning(`Calendar scheduling failed: ${error.message}`);
       return null;
     }
   }
 
-  findNextAvailableSlot(now) {
-    const preferredHours = core.getInput('preferred-meeting-hours')?.split(',').map(h => parseInt(h)) || [10, 14, 15];
-    let meetingStart = now.clone().add(1, 'day');
-    
-    // Skip weekends
-    if (meetingStart.day() === 0) meetingStart.add(1, 'day');
-    if (meetingStart.day() === 6) meetingStart.add(2, 'days');
-    
-    // Set to preferred hour
-    const hour = preferredHours[Math.floor(Math.random() * preferredHours.length)];
-    meetingStart.hour(hour).minute(0).second(0);
-    
-    return meetingStart;
+  // A meeting takes as long as its concerns' topics together, up to
+  // max-meeting-minutes, and is named after its first concern
+  async proposeMeeting(concerns) {
+    const [concern] = concerns;
+    const now = moment().tz(this.config.timezone);
+    const duration = Math.min(
+      concerns.reduce((sum, other) => sum + other.topic.meetingLength, 0),
+      this.config['max-meeting-minutes']
+    );
+
+    const attendees = [];
+    const seen = new Set();
+    for (const other of concerns) {
+      for (const attendee of await this.getMeetingAttendees(other)) {
+        if (seen.has(attendee.email.toLowerCase())) continue;
+        seen.add(attendee.email.toLowerCase());
+        attendees.push(attendee);
+      }
+    }
+
+    const meetingStart = await this.findNextAvailableSlot(now, duration, attendees);
+    const meetingEnd = meetingStart.clone().add(duration, 'minutes');
+
+    // Titles that always mention the line only fit concerns that have one
+    const titles = concern.line ?
+      this.templates.meetingTitles :
+      this.templates.meetingTitles.filter(t => !t.includes('{LINE_NUMBER}') || t.includes('{#LINE_NUMBER}'));
+    const titleTemplate = titles[Math.floor(Math.random() * titles.length)];
+    // Calendar titles are plain text, so nothing is escaped
+    const title = renderTemplate(titleTemplate, {
+      ...templateValues(concern),
+      CODE_SNIPPET: 'the code'
+    }, { escape: value => value });
+
+    return {
+      uid: this.meetingUid(concern),
+      summary: `[Code Review] ${title}${concerns.length > 1 ? ` (+${concerns.length - 1} more)` : ''}`,
+      description: this.generateMeetingDescription(concerns),
+      start: meetingStart,
+      end: meetingEnd,
+      duration,
+      concerns: concerns.length,
+      attendees: attendees.slice(0, this.config['max-attendees'])
+    };
   }
 
-  generateMeetingDescription(concern) {
-    return `This meeting is to discuss ${concern.topic.topic} in the recent pull request.\n\n` +
-           `File: ${concern.file}\n` +
-           `Priority: ${concern.topic.urgency}\n\n` +
-           'Topics to cover:\n' +
-           '- Current implementation approach\n' +
-           '- Best practices and alternatives\n' +
-           '- Action items and next steps\n\n' +
-           'This is an automated meeting request from the Bikeshed Bot code review system.';
+  // The calendar-provider backend, created on first use
+  getCalendar() {
+    if (!this.calendar) {
+      this.calendar = createCalendarProvider(this.config['calendar-provider'], {
+        calendarId: this.config['google-calendar-id'],
+        credentials: core.getInput('google-calendar-credentials'),
+        timezone: this.config.timezone,
+        url: this.config['caldav-url'],
+        username: core.getInput('caldav-username'),
+        password: core.getInput('caldav-password')
+      });
+
+      if (this.config['add-conference-link'] && !this.calendar.supportsConferences) {
+        core.warning(`The ${this.config['calendar-provider']} calendar can't add video calls, add-conference-link is ignored`);
+      }
+    }
+
+    return this.calendar;
   }
 
-  getMeetingAttendees() {
-    const attendees = [];
-    const prAuthorEmail = core.getInput('pr-author-email');
-    const reviewerEmails = core.getInput('reviewer-emails');
-    
-    if (prAuthorEmail) {
-      attendees.push({ email: prAuthorEmail });
-    }
-    
-    if (reviewerEmails) {
-      reviewerEmails.split(',').forEach(email => {
-        attendees.push({ email: email.trim() });
+  // Same for every run, so a concern's invite or event keeps its identity
+  meetingUid(concern) {
+    const { owner, repo } = this.context.repo;
+    const number = this.context.payload.pull_request.number;
+    return `${owner}-${repo}-${number}-${hashKey(concern.key || concern.file).toString(16)}@bikeshed-bot`;
+  }
+
+  async insertCalendarEvent(proposal) {
+    const details = {
+      action: 'schedule',
+      summary: proposal.summary,
+      start: proposal.start.toISOString(),
+      duration: proposal.duration,
+      attendees: proposal.attendees.map(attendee => attendee.email)
+    };
+    const response = await this.recorder.perform('meeting', details, () =>
+      this.getCalendar().insert({
+        ...proposal,
+        url: this.context.payload.pull_request?.html_url,
+        conference: this.config['add-conference-link']
+      }));
+
+    // Dry runs have no event to point at
+    return {
+      eventId: response?.eventId,
+      link: response?.link,
+      ...(response?.conferenceLink && { conferenceLink: response.conferenceLink }),
+      provider: this.config['calendar-provider'],
+      start: proposal.start.toISOString(),
+      time: proposal.start.format('MMMM Do YYYY, h:mm a'),
+      duration: proposal.duration,
+      ...(proposal.concerns > 1 && { concerns: proposal.concerns }),
+      // For counting the meeting against weekly-meeting-budget
+      attendees: proposal.attendees.map(attendee => attendeeId(attendee.email))
+    };
+  }
+
+  // Exports the concerns as SARIF when sarif-file is set. Returns the path
+  // written, or null when nothing was written.
+  async writeSarif(concerns) {
+    if (!this.config['sarif-file']) return null;
+
+    const file = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), this.config['sarif-file']);
+    const sarif = buildSarif({
+      concerns,
+      topics: this.topics,
+      version,
+      informationUri: 'https://github.com/sam-silv/bikeshed-action'
+    });
+
+    await this.recorder.perform('sarif', { file, results: sarif.runs[0].results.length }, () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(sarif, null, 2));
+    });
+
+    return this.recorder.dryRun ? null : file;
+  }
+
+  // Posts a summary of the concerns and meetings to the webhook-urls, if any
+  async sendNotifications(concerns) {
+    const urls = core.getInput('webhook-urls').split(/[\n,]/).map(url => url.trim()).filter(url => url);
+    if (urls.length === 0 || concerns.length === 0) return 0;
+
+    const { owner, repo } = this.context.repo;
+    const pr = this.context.payload.pull_request;
+    const notifier = new Notifier({ urls, format: this.config['webhook-format'], recorder: this.recorder });
+
+    return notifier.notify({
+      botName: this.config['bot-name'],
+      repository: `${owner}/${repo}`,
+      pullRequest: { number: pr.number, title: pr.title, url: pr.html_url },
+      concerns: concerns.map(concern => ({
+        topic: concern.topic.topic,
+        severity: concern.severity,
+        file: concern.file,
+        line: concern.line || null,
+        url: this.concernUrl(concern)
+      })),
+      meetings: this.bookedMeetings(concerns).map(({ meeting, concerns: covered }) => ({
+        topic: [...new Set(covered.map(concern => concern.topic.topic))].join(', '),
+        time: meeting.time,
+        start: meeting.start,
+        duration: meeting.duration,
+        link: meeting.link || null
+      }))
+    });
+  }
+
+  // The distinct meetings of the concerns, with the concerns each one covers
+  bookedMeetings(concerns) {
+    const meetings = new Map();
+
+    for (const concern of concerns.filter(other => other.meeting)) {
+      const id = meetingId(concern.meeting);
+      if (!meetings.has(id)) meetings.set(id, { meeting: concern.meeting, concerns: [] });
+      meetings.get(id).concerns.push(concern);
+    }
+
+    return [...meetings.values()];
+  }
+
+  // Links to the concern's line at the head commit, or to the PR's files
+  concernUrl(concern) {
+    const pr = this.context.payload.pull_request;
+    if (!concern.line || !pr.head?.sha) return `${pr.html_url}/files`;
+
+    const { owner, repo } = this.context.repo;
+    const server = this.context.serverUrl || 'https://github.com';
+    return `${server}/${owner}/${repo}/blob/${pr.head.sha}/${encodeURI(concern.file)}#L${concern.line}`;
+  }
+
+  async writeInvite(concern, proposal) {
+    const { repo } = this.context.repo;
+    const number = this.context.payload.pull_request.number;
+    const id = hashKey(concern.key || concern.file).toString(16);
+
+    const directory = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), this.config['ics-directory']);
+    const file = path.join(directory, `bikeshed-${repo}-${number}-${id}.ics`);
+
+    const details = {
+      action: 'invite',
+      file,
+      summary: proposal.summary,
+      start: proposal.start.toISOString(),
+      duration: proposal.duration,
+      attendees: proposal.attendees.map(attendee => attendee.email)
+    };
+    await this.recorder.perform('invite', details, () => {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(file, buildIcs({
+        uid: this.meetingUid(concern),
+        start: proposal.start.toDate(),
+        end: proposal.end.toDate(),
+        summary: proposal.summary,
+        description: proposal.description,
+        attendees: proposal.attendees,
+        url: this.context.payload.pull_request.html_url
+      }));
+
+      this.icsFiles.push(file);
+    });
+
+    return {
+      ics: file,
+      start: proposal.start.toISOString(),
+      time: proposal.start.format('MMMM Do YYYY, h:mm a'),
+      duration: proposal.duration,
+      ...(proposal.concerns > 1 && { concerns: proposal.concerns }),
+      attendees: proposal.attendees.map(attendee => attendeeId(attendee.email))
+    };
+  }
+
+  // Finds the earliest slot where the whole meeting fits around the
+  // attendees' calendars and the meetings already booked by this run
+  async findNextAvailableSlot(now, duration, attendees = []) {
+    const horizonDays = this.config['search-horizon-days'];
+    const busy = [
+      ...await this.getBusyIntervals(now, now.clone().add(horizonDays + 1, 'days'), attendees),
+      ...this.bookedSlots
+    ];
+
+    const slot = findSlot({
+      now,
+      duration,
+      preferredHours: this.config['preferred-meeting-hours'],
+      busy,
+      holidays: this.config.holidays,
+      horizonDays
+    });
+
+    if (!slot) {
+      throw new Error(`No free ${duration} minute slot in the next ${horizonDays} days`);
+    }
+
+    return slot;
+  }
+
+  async getBusyIntervals(timeMin, timeMax, attendees) {
+    if (!this.calendarEnabled) return [];
+
+    return this.getCalendar().freeBusy({ timeMin, timeMax, attendees });
+  }
+
+  // The agenda of a meeting about the concerns, with links to their lines at
+  // the head commit
+  generateMeetingDescription(concerns) {
+    return buildAgenda({
+      concerns,
+      pullRequest: this.context.payload.pull_request,
+      urlFor: concern => this.concernUrl(concern),
+      botName: this.config['bot-name']
+    });
+  }
+
+  async getMeetingAttendees(concern) {
+    if (!this.attendeeResolver) {
+      this.attendeeResolver = new AttendeeResolver({
+        octokit: this.octokit,
+        repo: this.context.repo,
+        pullRequest: this.context.payload.pull_request,
+        config: this.config,
+        staticEmails: [core.getInput('pr-author-email'), ...this.config['reviewer-emails']].filter(email => email)
       });
+      await this.attendeeResolver.load();
     }
-    
-    return attendees;
+
+    return this.attendeeResolver.resolve(concern);
   }
 }
 
 // Run the action
 if (require.main === module) {
-  const bot = new BikeshedBot();
-  bot.run();
+  try {
+    const bot = new BikeshedBot();
+    bot.run();
+  } catch (error) {
+    core.setFailed(`Action failed: ${error.message}`);
+  }
 }
 
 module.exports = BikeshedBot;
\ No newline at end of file
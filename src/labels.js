@@ -0,0 +1,114 @@
+const { severities, highestSeverity } = require('./severity');
+
+const priorityColors = {
+  CRITICAL: 'b60205',
+  HIGH: 'd93f0b',
+  MEDIUM: 'fbca04',
+  DISCUSSION_NEEDED: 'fef2c0',
+  FOLLOW_UP_NEEDED: 'fef2c0',
+  WORTH_DISCUSSING: 'c2e0c6',
+  WORTH_NOTING: 'c2e0c6'
+};
+
+// Keeps the bot's labels on a pull request in line with its current concerns:
+// the discussion label while there are concerns, the reviewed label, and only
+// the priority label of the highest severity.
+class LabelManager {
+  constructor({ octokit, repo, issueNumber, recorder, config }) {
+    this.octokit = octokit;
+    this.repo = repo;
+    this.issueNumber = issueNumber;
+    this.recorder = recorder;
+    this.config = config;
+  }
+
+  priorityLabel(severity) {
+    return `${this.config['priority-prefix']}${severity.toLowerCase()}`;
+  }
+
+  managedLabels() {
+    return [
+      this.config.discussion,
+      this.config.reviewed,
+      ...severities.map(severity => this.priorityLabel(severity))
+    ];
+  }
+
+  targetLabels(concerns) {
+    const labels = [this.config.reviewed];
+
+    if (concerns.length > 0) {
+      labels.push(this.config.discussion, this.priorityLabel(highestSeverity(concerns)));
+    }
+
+    return labels.filter(label => label);
+  }
+
+  // Colour and description for a label, from the config or the defaults
+  definition(name) {
+    const severity = severities.find(s => this.priorityLabel(s) === name);
+    const defaults = severity ?
+      { color: priorityColors[severity], description: `Bikeshed Bot: highest concern is ${severity.toLowerCase().replace(/_/g, ' ')}` } :
+      name === this.config.discussion ?
+        { color: 'fbca04', description: 'Bikeshed Bot found points worth discussing' } :
+        { color: 'c5def5', description: 'Reviewed by Bikeshed Bot' };
+
+    return { ...defaults, ...this.config.definitions?.[name] };
+  }
+
+  async ensureLabel(name) {
+    try {
+      await this.octokit.rest.issues.getLabel({ ...this.repo, name });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+
+      const { color, description } = this.definition(name);
+      await this.recorder.perform('label', { action: 'create', name, color, description }, () =>
+        this.octokit.rest.issues.createLabel({ ...this.repo, name, color, description }));
+    }
+  }
+
+  // Adds and removes labels in one pass so only the target set of managed
+  // labels is left on the pull request. Unmanaged labels are left alone.
+  async sync(concerns) {
+    const current = await this.octokit.paginate(this.octokit.rest.issues.listLabelsOnIssue, {
+      ...this.repo,
+      issue_number: this.issueNumber,
+      per_page: 100
+    });
+    const currentNames = current.map(label => label.name);
+
+    const target = this.targetLabels(concerns);
+    const managed = this.managedLabels();
+    const toAdd = target.filter(name => !currentNames.includes(name));
+    const toRemove = currentNames.filter(name => managed.includes(name) && !target.includes(name));
+
+    for (const name of toAdd) {
+      await this.ensureLabel(name);
+    }
+
+    if (toAdd.length > 0) {
+      await this.recorder.perform('labels', { action: 'add', labels: toAdd }, () =>
+        this.octokit.rest.issues.addLabels({
+          ...this.repo,
+          issue_number: this.issueNumber,
+          labels: toAdd
+        }));
+    }
+
+    for (const name of toRemove) {
+      await this.recorder.perform('labels', { action: 'remove', labels: [name] }, () =>
+        this.octokit.rest.issues.removeLabel({
+          ...this.repo,
+          issue_number: this.issueNumber,
+          name
+        }));
+    }
+
+    return { added: toAdd, removed: toRemove };
+  }
+}
+
+module.exports = {
+  LabelManager
+};
@@ -0,0 +1,85 @@
+// Hidden HTML markers that let the bot find its own comments again on later
+// runs, so it can edit them in place instead of posting duplicates.
+
+const MARKER = /<!-- bikeshed-bot:(overview|state|concern:([^\s:]+)(:resolved)?)(?: data:([A-Za-z0-9+/=]+))? -->\n?/;
+
+function overviewMarker() {
+  return '<!-- bikeshed-bot:overview -->';
+}
+
+// Concern markers can carry state for later runs (e.g. the meeting booked
+// for the concern), base64 encoded so it can't end the HTML comment early
+function concernMarker(key, { resolved = false, data } = {}) {
+  const encoded = data ? ` data:${Buffer.from(JSON.stringify(data)).toString('base64')}` : '';
+  return `<!-- bikeshed-bot:concern:${encodeURIComponent(key)}${resolved ? ':resolved' : ''}${encoded} -->`;
+}
+
+// The state comment keeps per-PR settings changed through slash commands
+function stateMarker(data) {
+  return `<!-- bikeshed-bot:state data:${Buffer.from(JSON.stringify(data)).toString('base64')} -->`;
+}
+
+function withMarker(body, marker) {
+  return `${marker}\n${body}`;
+}
+
+// Returns { type, key, resolved, data, text } for a marked comment body, or
+// null. Markers that don't decode are ignored like unmarked comments.
+function parseMarker(body) {
+  const match = (body || '').match(MARKER);
+  if (!match) return null;
+
+  try {
+    const data = match[4] ? JSON.parse(Buffer.from(match[4], 'base64').toString('utf8')) : {};
+    return {
+      type: match[2] ? 'concern' : match[1],
+      key: match[2] ? decodeURIComponent(match[2]) : undefined,
+      resolved: Boolean(match[3]),
+      data: data !== null && typeof data === 'object' ? data : {},
+      text: body.replace(MARKER, '')
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Gives each concern a key that stays the same across pushes while the same
+// rule keeps firing for the same file, even when the line moves. Concerns
+// carried over from an earlier run keep the key they already have.
+function assignConcernKeys(concerns) {
+  const taken = new Set(concerns.map(concern => concern.key).filter(key => key));
+
+  for (const concern of concerns) {
+    if (concern.key) continue;
+
+    const base = `${concern.rule || concern.topic.topic}|${concern.file}`;
+    let key = base;
+    for (let n = 2; taken.has(key); n++) {
+      key = `${base}#${n}`;
+    }
+
+    taken.add(key);
+    concern.key = key;
+  }
+
+  return concerns;
+}
+
+// Small stable string hash, used to pick the same template for the same key
+function hashKey(key) {
+  let hash = 0;
+  for (const char of key) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return hash;
+}
+
+module.exports = {
+  overviewMarker,
+  stateMarker,
+  concernMarker,
+  withMarker,
+  parseMarker,
+  assignConcernKeys,
+  hashKey
+};
@@ -0,0 +1,162 @@
+const core = require('@actions/core');
+
+// Slack allows 50 blocks per message; the rest of the concerns are counted
+const MAX_LISTED_CONCERNS = 20;
+
+const retryDefaults = {
+  retries: 3,
+  // Base delay, doubled on every attempt
+  delay: 1000,
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+// Slack mrkdwn only needs these three escaped
+function escapeSlack(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function location(concern) {
+  return concern.line ? `${concern.file}:${concern.line}` : concern.file;
+}
+
+// summary: { repository, pullRequest: { number, title, url }, botName,
+// concerns: [{ topic, severity, file, line, url }],
+// meetings: [{ topic, time, start, duration, link }] }
+function buildJsonPayload(summary) {
+  return {
+    event: 'bikeshed.review',
+    repository: summary.repository,
+    pullRequest: summary.pullRequest,
+    concerns: summary.concerns,
+    meetings: summary.meetings
+  };
+}
+
+function buildSlackPayload(summary) {
+  const { pullRequest, concerns, meetings } = summary;
+  const prLink = `<${pullRequest.url}|#${pullRequest.number} ${escapeSlack(pullRequest.title || '')}>`;
+  const text = `${summary.botName} found ${concerns.length} concern${concerns.length === 1 ? '' : 's'} ` +
+    `on ${summary.repository}#${pullRequest.number}` +
+    (meetings.length > 0 ? ` and booked ${meetings.length} meeting${meetings.length === 1 ? '' : 's'}` : '');
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: `${summary.botName} review` } },
+    { type: 'section', text: { type: 'mrkdwn', text: `${escapeSlack(summary.repository)} ${prLink}` } }
+  ];
+
+  if (concerns.length > 0) {
+    const lines = concerns.slice(0, MAX_LISTED_CONCERNS).map(concern =>
+      `• *${escapeSlack(concern.severity)}* ${escapeSlack(concern.topic)} in ` +
+      (concern.url ? `<${concern.url}|${escapeSlack(location(concern))}>` : `\`${escapeSlack(location(concern))}\``));
+    if (concerns.length > MAX_LISTED_CONCERNS) {
+      lines.push(`…and ${concerns.length - MAX_LISTED_CONCERNS} more`);
+    }
+
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Concerns*\n${lines.join('\n')}` } });
+  }
+
+  if (meetings.length > 0) {
+    const lines = meetings.map(meeting =>
+      `• ${escapeSlack(meeting.time)} (${meeting.duration} min): ${escapeSlack(meeting.topic)}` +
+      (meeting.link ? ` <${meeting.link}|invite>` : ''));
+
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Meetings*\n${lines.join('\n')}` } });
+  }
+
+  return { text, blocks };
+}
+
+const formats = {
+  slack: buildSlackPayload,
+  json: buildJsonPayload
+};
+
+// How long to wait before retrying, or null if the failure is final
+function retryDelay(status, headers, attempt, settings) {
+  if (status === 429 && headers.get('retry-after')) {
+    return parseInt(headers.get('retry-after')) * 1000;
+  }
+  if (status === undefined || status === 429 || status >= 500) {
+    return settings.delay * 2 ** attempt;
+  }
+  return null;
+}
+
+async function postWithRetry(url, payload, overrides = {}) {
+  const settings = { ...retryDefaults, ...overrides };
+
+  for (let attempt = 0; ; attempt++) {
+    let status;
+    let headers = new Headers();
+    let error;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (response.ok) return response.status;
+
+      status = response.status;
+      headers = response.headers;
+      error = new Error(`Webhook responded with ${status} ${response.statusText}`);
+    } catch (networkError) {
+      error = networkError;
+    }
+
+    const delay = attempt < settings.retries ? retryDelay(status, headers, attempt, settings) : null;
+    if (delay === null) throw error;
+
+    core.info(`Webhook notification failed (${error.message}), retrying in ${Math.ceil(delay / 1000)}s`);
+    await settings.sleep(delay);
+  }
+}
+
+// Webhook URLs carry their credentials, so only the host is ever shown
+function redact(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid URL';
+  }
+}
+
+class Notifier {
+  constructor({ urls, format = 'slack', recorder, retry = {} }) {
+    if (!formats[format]) {
+      throw new Error(`Unknown webhook format "${format}". Available formats: ${Object.keys(formats).join(', ')}`);
+    }
+
+    this.urls = urls;
+    this.format = format;
+    this.recorder = recorder;
+    this.retry = retry;
+  }
+
+  // Posts the summary to every webhook. A failing webhook doesn't stop the
+  // others; returns the number that were notified.
+  async notify(summary) {
+    const payload = formats[this.format](summary);
+    let sent = 0;
+
+    for (const url of this.urls) {
+      try {
+        await this.recorder.perform('notification', { host: redact(url), format: this.format, payload }, () =>
+          postWithRetry(url, payload, this.retry));
+        sent++;
+      } catch (error) {
+        core.warning(`Could not notify webhook at ${redact(url)}: ${error.message}`);
+      }
+    }
+
+    return sent;
+  }
+}
+
+module.exports = {
+  Notifier,
+  buildSlackPayload,
+  buildJsonPayload,
+  postWithRetry
+};
@@ -0,0 +1,90 @@
+const { globToRegExp } = require('./glob');
+
+// Label for files left out because they match none of the include-paths
+const NOT_INCLUDED = 'not in include-paths';
+
+function compile(patterns) {
+  return patterns.map(pattern => ({ pattern, regexp: globToRegExp(pattern) }));
+}
+
+// Decides which files of a pull request are analysed, and which
+// path-overrides apply to each of them. Patterns use CODEOWNERS syntax.
+class PathRules {
+  constructor({ include = [], exclude = [], overrides = [] } = {}) {
+    this.include = compile(include);
+    this.exclude = compile(exclude);
+    this.overrides = overrides.map(override => ({ ...override, matchers: compile(override.paths) }));
+  }
+
+  // Returns why a file is left out (the exclude pattern it matches, or
+  // NOT_INCLUDED), or null when it is analysed
+  filteredBy(file) {
+    if (this.include.length > 0 && !this.include.some(({ regexp }) => regexp.test(file))) {
+      return NOT_INCLUDED;
+    }
+
+    const excluded = this.exclude.find(({ regexp }) => regexp.test(file));
+    return excluded ? excluded.pattern : null;
+  }
+
+  // Merges every override matching the file, later ones winning, and notes
+  // the pattern each setting came from
+  settingsFor(file) {
+    const settings = { sources: {} };
+
+    for (const override of this.overrides) {
+      const match = override.matchers.find(({ regexp }) => regexp.test(file));
+      if (!match) continue;
+
+      for (const [key, value] of Object.entries(override)) {
+        if (key === 'paths' || key === 'matchers') continue;
+        settings[key] = value;
+        settings.sources[key] = match.pattern;
+      }
+    }
+
+    return settings;
+  }
+
+  // Rule ids named in overrides that no rule has, with where they were named
+  unknownRules(ids) {
+    const unknown = [];
+
+    this.overrides.forEach((override, i) => {
+      for (const id of [...(override['enabled-rules'] || []), ...(override['disabled-rules'] || [])]) {
+        if (!ids.includes(id)) unknown.push({ id, source: `path-overrides[${i}]` });
+      }
+    });
+
+    return unknown;
+  }
+}
+
+// Whether a finding may be raised in a file with these override settings
+function allowsFinding(settings, finding) {
+  if (settings['enabled-rules'] && !settings['enabled-rules'].includes(finding.rule)) return false;
+  if (settings['disabled-rules'] && settings['disabled-rules'].includes(finding.rule)) return false;
+  if (settings.topics) {
+    const topics = settings.topics.map(topic => topic.toLowerCase());
+    if (!topics.includes(finding.topic.topic.toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+// Counts filtered files per pattern, most files first
+function countFiltered(filtered) {
+  const counts = new Map();
+  for (const { pattern } of filtered) {
+    counts.set(pattern, (counts.get(pattern) || 0) + 1);
+  }
+
+  return [...counts].map(([pattern, files]) => ({ pattern, files })).sort((a, b) => b.files - a.files);
+}
+
+module.exports = {
+  NOT_INCLUDED,
+  PathRules,
+  allowsFinding,
+  countFiltered
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+
+// Every side effect of a run (comments, reviews, labels, calendar events,
+// invite files) goes through the recorder. In dry-run mode it only records
+// what would have happened.
+class Recorder {
+  constructor(dryRun = false) {
+    this.dryRun = dryRun;
+    this.actions = [];
+  }
+
+  async perform(type, details, effect) {
+    this.actions.push({ type, ...details });
+
+    if (this.dryRun) return undefined;
+    return effect();
+  }
+
+  ofType(type) {
+    return this.actions.filter(action => action.type === type);
+  }
+}
+
+function buildReport({ pullRequest, concerns, skippedFiles = [], filteredFiles = [], recorder }) {
+  return {
+    dryRun: recorder.dryRun,
+    pullRequest: pullRequest && { number: pullRequest.number, url: pullRequest.html_url },
+    concerns: concerns.map(concern => ({
+      key: concern.key,
+      rule: concern.rule,
+      file: concern.file,
+      line: concern.line,
+      topic: concern.topic.topic,
+      severity: concern.severity,
+      severityReasons: concern.severityReasons || [],
+      detail: concern.detail,
+      ...(concern.convention && { convention: concern.convention })
+    })),
+    skippedFiles,
+    filteredFiles,
+    comments: recorder.actions.filter(action => ['comment', 'review', 'check'].includes(action.type)),
+    labels: [...new Set(recorder.ofType('labels')
+      .filter(action => action.action !== 'remove')
+      .flatMap(action => action.labels))],
+    removedLabels: recorder.ofType('labels')
+      .filter(action => action.action === 'remove')
+      .flatMap(action => action.labels),
+    meetings: recorder.ofType('meeting').concat(recorder.ofType('invite')),
+    notifications: recorder.ofType('notification').map(({ host, format }) => ({ host, format }))
+  };
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    `## ${report.dryRun ? 'Bikeshed Bot dry run' : 'Bikeshed Bot run'}` +
+      (report.pullRequest ? ` for #${report.pullRequest.number}` : ''),
+    ''
+  ];
+
+  if (report.dryRun) {
+    lines.push('Nothing was posted, labelled or sent. This is what would have happened.', '');
+  }
+
+  lines.push(`### Concerns (${report.concerns.length})`, '');
+  if (report.concerns.length > 0) {
+    lines.push('| File | Line | Topic | Severity | Rule |', '|------|------|-------|----------|------|');
+    for (const concern of report.concerns) {
+      lines.push(`| \`${concern.file}\` | ${concern.line ?? '-'} | ${concern.topic} | ${concern.severity}` +
+        (concern.severityReasons.length > 0 ? ` (${concern.severityReasons.join(', ')})` : '') +
+        ` | ${concern.rule ?? '-'} |`);
+    }
+    lines.push('');
+  }
+
+  if (report.skippedFiles.length > 0) {
+    lines.push(`### Skipped files (${report.skippedFiles.length})`, '');
+    for (const { file, reason } of report.skippedFiles) {
+      lines.push(`- \`${file}\`: ${reason}`);
+    }
+    lines.push('');
+  }
+
+  if (report.filteredFiles.length > 0) {
+    lines.push('### Filtered files', '');
+    for (const { pattern, files } of report.filteredFiles) {
+      lines.push(`- \`${pattern}\`: ${files} file${files === 1 ? '' : 's'}`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`### Comments (${report.comments.length})`, '');
+  for (const comment of report.comments) {
+    const title = comment.type === 'review' ?
+      `Review (${comment.event}, ${comment.comments.length} inline)` :
+      comment.type === 'check' ?
+        `Check run "${comment.name}" (${comment.conclusion}, ${comment.annotations.length} annotations)` :
+        `${comment.action} comment${comment.commentId ? ` ${comment.commentId}` : ''}`;
+    lines.push(`<details><summary>${title}</summary>`, '', comment.body || '', '', '</details>', '');
+  }
+
+  lines.push(`### Labels (${report.labels.length})`, '');
+  if (report.labels.length > 0) {
+    lines.push(report.labels.map(label => `\`${label}\``).join(', '), '');
+  }
+  if (report.removedLabels.length > 0) {
+    lines.push(`Removed: ${report.removedLabels.map(label => `\`${label}\``).join(', ')}`, '');
+  }
+
+  lines.push(`### Meetings (${report.meetings.length})`, '');
+  for (const meeting of report.meetings) {
+    lines.push(`- ${meeting.action}: ${meeting.summary || meeting.eventId}` +
+      (meeting.start ? ` at ${meeting.start}` : '') +
+      (meeting.duration ? ` (${meeting.duration} minutes)` : ''));
+  }
+
+  if (report.notifications.length > 0) {
+    lines.push('', `### Notifications (${report.notifications.length})`, '');
+    for (const notification of report.notifications) {
+      lines.push(`- ${notification.format} webhook at ${notification.host}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function writeStepSummary(markdown) {
+  const file = process.env.GITHUB_STEP_SUMMARY;
+  if (!file) return false;
+
+  fs.appendFileSync(file, markdown);
+  return true;
+}
+
+module.exports = {
+  Recorder,
+  buildReport,
+  renderMarkdown,
+  writeStepSummary
+};
@@ -0,0 +1,19 @@
+// Flags focused or skipped tests added to test files, which silently change
+// what the suite covers.
+
+const FOCUS_OR_SKIP = /\b(?:(?:describe|it|test)\.(?:only|skip)|xit|xdescribe|fit|fdescribe)\s*\(/;
+
+module.exports = {
+  id: 'focused-tests',
+  topic: 'test coverage approach',
+  severity: 'MEDIUM',
+
+  check({ filename, addedLines }) {
+    if (!/(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[^/]+$/.test(filename)) return [];
+
+    const found = addedLines.find(line => FOCUS_OR_SKIP.test(line.content));
+    if (!found) return [];
+
+    return [{ line: found.newLine, message: 'Focused or skipped tests change what the suite covers.' }];
+  }
+};
@@ -0,0 +1,72 @@
+// Flags added lines indented against the indent style or size the repository
+// declares in .editorconfig, ESLint or Prettier.
+
+const { citeConvention } = require('../style');
+
+function indentOf(content) {
+  return content.match(/^[ \t]*/)[0];
+}
+
+// Block comment continuation lines (" * text") are one space deeper
+function isCommentContinuation(content) {
+  return /^\s*\*/.test(content);
+}
+
+function plural(count, word) {
+  return `${count} added line${count === 1 ? '' : 's'} ${word}${count === 1 ? 's' : ''}`;
+}
+
+module.exports = {
+  id: 'indentation-patterns',
+  topic: 'indentation patterns',
+  severity: 'WORTH_DISCUSSING',
+
+  check({ addedLines, style = {} }) {
+    const { indentStyle, indentSize } = style;
+    const indented = addedLines.filter(line => indentOf(line.content) && line.content.trim());
+
+    if (indentStyle?.value === 'tab') {
+      const spaced = indented.filter(line => {
+        const indent = indentOf(line.content);
+        return !/^\t*$/.test(indent) && !(/^\t* $/.test(indent) && isCommentContinuation(line.content));
+      });
+      if (spaced.length > 0) {
+        return [{
+          line: spaced[0].newLine,
+          message: `${plural(spaced.length, 'indent')} with spaces, but ${citeConvention(indentStyle)} declares tabs.`,
+          convention: indentStyle
+        }];
+      }
+      return [];
+    }
+
+    if (indentStyle?.value === 'space') {
+      const tabbed = indented.filter(line => indentOf(line.content).includes('\t'));
+      if (tabbed.length > 0) {
+        return [{
+          line: tabbed[0].newLine,
+          message: `${plural(tabbed.length, 'indent')} with tabs, but ${citeConvention(indentStyle)} declares spaces.`,
+          convention: indentStyle
+        }];
+      }
+    }
+
+    if (indentSize && indentStyle?.value !== 'tab') {
+      const size = indentSize.value;
+      const uneven = indented.filter(line => {
+        const width = indentOf(line.content).length - (isCommentContinuation(line.content) ? 1 : 0);
+        return !indentOf(line.content).includes('\t') && width % size !== 0;
+      });
+      if (uneven.length > 0) {
+        return [{
+          line: uneven[0].newLine,
+          message: `${plural(uneven.length, 'indent')} by ${indentOf(uneven[0].content).length} spaces, ` +
+            `but ${citeConvention(indentSize)} declares steps of ${size}.`,
+          convention: indentSize
+        }];
+      }
+    }
+
+    return [];
+  }
+};
@@ -0,0 +1,115 @@
+const path = require('path');
+const { bikeshedTopics } = require('../topics');
+const { parsePatch, getAddedLines } = require('../diff');
+const { DEFAULT_RULE_SEVERITY, severities } = require('../severity');
+
+// Built-in rules, each raising one bikeshedTopics entry for a concrete reason
+const builtinRules = [
+  require('./indentation'),
+  require('./naming'),
+  require('./whitespace'),
+  require('./todo'),
+  require('./focused-tests'),
+  require('./syntax-style'),
+  require('./line-length')
+];
+
+class RuleEngine {
+  constructor(rules, topics = bikeshedTopics) {
+    this.rules = rules.map(rule => RuleEngine.validate(rule, topics));
+  }
+
+  // Builds an engine from the built-in rules plus any custom rules module,
+  // filtered by the enabled/disabled rule id lists
+  static load({ enabled = [], disabled = [], customRulesPath, topics } = {}) {
+    let rules = [...builtinRules];
+
+    if (customRulesPath) {
+      rules = rules.concat(RuleEngine.loadCustomRules(customRulesPath));
+    }
+
+    const ids = rules.map(rule => rule.id);
+    for (const id of [...enabled, ...disabled]) {
+      if (!ids.includes(id)) {
+        throw new Error(`Unknown rule "${id}". Available rules: ${ids.join(', ')}`);
+      }
+    }
+
+    if (enabled.length > 0) {
+      rules = rules.filter(rule => enabled.includes(rule.id));
+    }
+
+    const engine = new RuleEngine(rules.filter(rule => !disabled.includes(rule.id)), topics);
+    // Every rule id that could have run, for checking other references to them
+    engine.availableIds = ids;
+    return engine;
+  }
+
+  static loadCustomRules(modulePath) {
+    const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    const resolved = path.resolve(workspace, modulePath);
+
+    let exported;
+    try {
+      exported = require(resolved);
+    } catch (error) {
+      throw new Error(`Could not load custom rules from ${modulePath}: ${error.message}`);
+    }
+
+    return Array.isArray(exported) ? exported : [exported];
+  }
+
+  static validate(rule, topics = bikeshedTopics) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      throw new Error('Every rule needs a string id');
+    }
+    if (typeof rule.check !== 'function') {
+      throw new Error(`Rule "${rule.id}" needs a check(file) function`);
+    }
+    if (rule.severity !== undefined && !severities.includes(rule.severity)) {
+      throw new Error(`Rule "${rule.id}" has an unknown severity "${rule.severity}". Available severities: ${severities.join(', ')}`);
+    }
+
+    // Custom rules may bring their own topic instead of naming an existing one
+    const topic = typeof rule.topic === 'string' ?
+      topics.find(t => t.topic === rule.topic) :
+      rule.topic;
+    if (!topic || !topic.topic) {
+      throw new Error(`Rule "${rule.id}" does not match a bikeshed topic: ${JSON.stringify(rule.topic)}`);
+    }
+
+    return { ...rule, topic };
+  }
+
+  // Runs every rule against one file from pulls.listFiles and returns its
+  // findings anchored to the added lines they were raised for. `style` holds
+  // the formatting conventions the repository declares for the file.
+  analyzeFile(file, { style = {} } = {}) {
+    const hunks = parsePatch(file.patch);
+    const addedLines = getAddedLines(hunks);
+    const findings = [];
+
+    for (const rule of this.rules) {
+      const results = rule.check({ filename: file.filename, hunks, addedLines, style }) || [];
+
+      for (const result of results) {
+        findings.push({
+          rule: rule.id,
+          topic: rule.topic,
+          message: result.message,
+          // A result can be more or less severe than its rule usually is
+          severity: severities.includes(result.severity) ? result.severity : rule.severity || DEFAULT_RULE_SEVERITY,
+          addedLine: addedLines.find(line => line.newLine === result.line),
+          ...(result.convention && { convention: { file: result.convention.file, setting: result.convention.setting } })
+        });
+      }
+    }
+
+    return findings;
+  }
+}
+
+module.exports = {
+  RuleEngine,
+  builtinRules
+};
@@ -0,0 +1,27 @@
+// Flags added lines longer than the maximum line length the repository
+// declares in .editorconfig, ESLint or Prettier.
+
+const { citeConvention } = require('../style');
+
+module.exports = {
+  id: 'line-length',
+  topic: 'code formatting strategy',
+  severity: 'WORTH_NOTING',
+
+  check({ addedLines, style = {} }) {
+    const { maxLineLength, indentSize } = style;
+    if (!maxLineLength) return [];
+
+    // Tabs count as a full indent, as the tools measure them
+    const tab = ' '.repeat(indentSize?.value || 4);
+    const long = addedLines.filter(line => line.content.replace(/\t/g, tab).length > maxLineLength.value);
+    if (long.length === 0) return [];
+
+    return [{
+      line: long[0].newLine,
+      message: `${long.length} added line${long.length === 1 ? ' is' : 's are'} longer than ${maxLineLength.value} characters, ` +
+        `the limit ${citeConvention(maxLineLength)} sets.`,
+      convention: maxLineLength
+    }];
+  }
+};
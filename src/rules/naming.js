@@ -0,0 +1,50 @@
+// Flags files whose newly declared identifiers mix camelCase and snake_case.
+
+const DECLARATION = /\b(?:const|let|var|function|class|def)\s+([A-Za-z_$][\w$]*)/g;
+const STYLE_NAMES = { camel: 'camelCase', snake: 'snake_case' };
+
+function caseOf(name) {
+  const bare = name.replace(/^_+|_+$/g, '');
+  const snake = /[a-z0-9]_[a-z0-9]/i.test(bare);
+  const camel = /[a-z][A-Z]/.test(bare);
+
+  // Constants like MAX_SIZE are neither style
+  if (bare === bare.toUpperCase()) return null;
+  if (snake && camel) return 'mixed';
+  if (snake) return 'snake';
+  if (camel) return 'camel';
+  return null;
+}
+
+module.exports = {
+  id: 'naming-conventions',
+  topic: 'naming conventions',
+  severity: 'DISCUSSION_NEEDED',
+
+  check({ addedLines }) {
+    const declarations = [];
+
+    for (const line of addedLines) {
+      for (const match of line.content.matchAll(DECLARATION)) {
+        const style = caseOf(match[1]);
+        if (style) declarations.push({ name: match[1], style, line: line.newLine });
+      }
+    }
+
+    const mixed = declarations.find(d => d.style === 'mixed');
+    if (mixed) {
+      return [{ line: mixed.line, message: `\`${mixed.name}\` combines camelCase and snake_case.` }];
+    }
+
+    const camel = declarations.filter(d => d.style === 'camel');
+    const snake = declarations.filter(d => d.style === 'snake');
+    if (camel.length === 0 || snake.length === 0) return [];
+
+    const minority = snake.length <= camel.length ? snake : camel;
+    const majority = minority === snake ? camel : snake;
+    return [{
+      line: minority[0].line,
+      message: `\`${minority[0].name}\` does not follow the ${STYLE_NAMES[majority[0].style]} style of \`${majority[0].name}\`.`
+    }];
+  }
+};
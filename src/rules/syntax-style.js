@@ -0,0 +1,147 @@
+// Flags added JavaScript and TypeScript lines that use the other quote style
+// or semicolon convention than the repository's ESLint or Prettier settings.
+
+const { citeConvention } = require('../style');
+
+const SCRIPT = /\.(?:[cm]?[jt]s|[jt]sx)$/;
+// Statements that end on their line unless the next line carries them on
+const STATEMENT = /^(?:const|let|var|return|throw|import|export\s+(?:const|let|var|default)|break|continue|debugger)\b/;
+const CONTINUATION = /^(?:[.?:+\-*/%,)\]}|&=<>]|\?\?)/;
+// A slash after these starts a regex literal rather than a division
+const BEFORE_REGEX = /(?:^|[(,=:[!&|?{};+\-*%<>~^]|\b(?:return|typeof|case|in|of|void|delete|throw|new|yield|await))\s*$/;
+
+// Returns the index of the slash closing the regex literal opened at
+// `start`, or -1 when the line has none
+function regexEnd(content, start) {
+  let inClass = false;
+
+  for (let i = start + 1; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === ']') {
+      inClass = false;
+    } else if (char === '/' && !inClass) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+// Finds the quoted strings on a line and where a trailing // comment starts.
+// `inTemplate` is set when an earlier line left a template literal open;
+// `open` tells whether this line does.
+function scan(content, inTemplate = false) {
+  const strings = [];
+  let quote = inTemplate ? '`' : null;
+  let start = -1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        strings.push({ quote, body: content.slice(start + 1, i), start });
+        quote = null;
+      }
+    } else if (char === '/' && content[i + 1] === '/') {
+      return { strings, code: content.slice(0, i), open: false };
+    } else if (char === '/' && content[i + 1] !== '*' && BEFORE_REGEX.test(content.slice(0, i))) {
+      const end = regexEnd(content, i);
+      if (end !== -1) i = end;
+    } else if (char === '"' || char === '\'' || char === '`') {
+      quote = char;
+      start = i;
+    }
+  }
+
+  return { strings, code: content, open: quote === '`' };
+}
+
+// Scans the added lines in the order of their hunks, so lines inside a
+// template literal that spans several lines are known
+function scanLines(addedLines) {
+  const inTemplate = new Map();
+  for (const hunk of new Set(addedLines.map(line => line.hunk).filter(Boolean))) {
+    let open = false;
+    for (const line of hunk.lines) {
+      if (line.type === 'del') continue;
+      inTemplate.set(line.newLine, open);
+      open = scan(line.content, open).open;
+    }
+  }
+
+  return new Map(addedLines.map(line => [line, scan(line.content, inTemplate.get(line.newLine))]));
+}
+
+function isComment(content) {
+  return /^\s*(?:\/\/|\/\*|\*)/.test(content);
+}
+
+function nextLine(line) {
+  return line.hunk?.lines.find(other => other.newLine === line.newLine + 1);
+}
+
+module.exports = {
+  id: 'syntax-style',
+  topic: 'syntax style consistency',
+  severity: 'WORTH_DISCUSSING',
+
+  check({ filename, addedLines, style = {} }) {
+    const { quotes, semi } = style;
+    if (!SCRIPT.test(filename) || (!quotes && !semi)) return [];
+
+    const scanned = scanLines(addedLines);
+    // Lines opening or inside a multi-line template literal are its text
+    const code = addedLines.filter(line => line.content.trim() && !isComment(line.content) && !scanned.get(line).open);
+    const findings = [];
+
+    if (quotes && ['single', 'double'].includes(quotes.value)) {
+      const wrong = quotes.value === 'single' ? '"' : '\'';
+      const right = quotes.value === 'single' ? '\'' : '"';
+      // As ESLint does, strings holding the preferred quote may avoid escaping it
+      const quoted = code.filter(line => scanned.get(line).strings.some(string =>
+        string.quote === wrong && !string.body.includes(right) &&
+        !(/\.[jt]sx$/.test(filename) && /[\w-]=$/.test(line.content.slice(0, string.start)))));
+
+      if (quoted.length > 0) {
+        findings.push({
+          line: quoted[0].newLine,
+          message: `${quoted.length} added line${quoted.length === 1 ? ' uses' : 's use'} ${quotes.value === 'single' ? 'double' : 'single'} ` +
+            `quotes, but ${citeConvention(quotes)} declares ${quotes.value} quotes.`,
+          convention: quotes
+        });
+      }
+    }
+
+    if (semi) {
+      const offending = code.filter(line => {
+        const statement = scanned.get(line).code.trim();
+        if (semi.value === false) {
+          return statement.endsWith(';') && !/^for\s*\(/.test(statement);
+        }
+
+        const next = nextLine(line);
+        return STATEMENT.test(statement) && /[\w$)\]'"`]$/.test(statement) &&
+          !(next && CONTINUATION.test(next.content.trim()));
+      });
+
+      if (offending.length > 0) {
+        findings.push({
+          line: offending[0].newLine,
+          message: semi.value === false ?
+            `${offending.length} added statement${offending.length === 1 ? ' ends' : 's end'} with a semicolon, but ${citeConvention(semi)} leaves them out.` :
+            `${offending.length} added statement${offending.length === 1 ? ' is' : 's are'} missing a semicolon, which ${citeConvention(semi)} asks for.`,
+          convention: semi
+        });
+      }
+    }
+
+    return findings;
+  }
+};
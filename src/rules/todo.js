@@ -0,0 +1,17 @@
+// Flags TODO and FIXME markers introduced by the pull request.
+
+module.exports = {
+  id: 'todo-markers',
+  topic: 'TODO items and technical debt',
+  severity: 'FOLLOW_UP_NEEDED',
+
+  check({ addedLines }) {
+    const markers = addedLines.filter(line => /\b(?:TODO|FIXME)\b/.test(line.content));
+    if (markers.length === 0) return [];
+
+    return [{
+      line: markers[0].newLine,
+      message: `${markers.length} new TODO marker${markers.length === 1 ? '' : 's'} added.`
+    }];
+  }
+};
@@ -0,0 +1,40 @@
+// Flags trailing whitespace and a missing final newline in added lines, when
+// the repository declares it wants neither.
+
+const { citeConvention } = require('../style');
+
+module.exports = {
+  id: 'whitespace-philosophy',
+  topic: 'whitespace philosophy',
+  severity: 'WORTH_NOTING',
+
+  check({ addedLines, style = {} }) {
+    const { trimTrailingWhitespace, finalNewline } = style;
+    const findings = [];
+
+    if (trimTrailingWhitespace?.value) {
+      const trailing = addedLines.filter(line => /[ \t]+$/.test(line.content));
+      if (trailing.length > 0) {
+        findings.push({
+          line: trailing[0].newLine,
+          message: `${trailing.length} added line${trailing.length === 1 ? '' : 's'} end${trailing.length === 1 ? 's' : ''} ` +
+            `with trailing whitespace, which ${citeConvention(trimTrailingWhitespace)} rules out.`,
+          convention: trimTrailingWhitespace
+        });
+      }
+    }
+
+    if (finalNewline?.value) {
+      const last = addedLines.find(line => line.noNewline);
+      if (last) {
+        findings.push({
+          line: last.newLine,
+          message: `The file no longer ends with a newline, which ${citeConvention(finalNewline)} asks for.`,
+          convention: finalNewline
+        });
+      }
+    }
+
+    return findings;
+  }
+};
@@ -0,0 +1,95 @@
+// SARIF 2.1.0 export of concerns, for tools that aggregate findings such as
+// GitHub code scanning. Every topic is a rule and every concern a result.
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const levels = {
+  CRITICAL: 'error',
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  DISCUSSION_NEEDED: 'warning',
+  FOLLOW_UP_NEEDED: 'warning',
+  WORTH_DISCUSSING: 'note',
+  WORTH_NOTING: 'note'
+};
+
+function sarifLevel(severity) {
+  return levels[severity] || 'note';
+}
+
+// "TODO items and technical debt" -> "bikeshed/todo-items-and-technical-debt"
+function topicRuleId(topic) {
+  return `bikeshed/${topic.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
+function buildRule(topic) {
+  return {
+    id: topicRuleId(topic.topic),
+    name: topic.topic.replace(/(?:^|\s+)(\w)/g, (_, char) => char.toUpperCase()),
+    shortDescription: { text: `Concerns about ${topic.topic}` },
+    fullDescription: { text: `Changes that call for a ${topic.meetingLength} minute discussion about ${topic.topic} (${topic.urgency}).` },
+    defaultConfiguration: { level: 'note' },
+    properties: { meetingLength: topic.meetingLength, urgency: topic.urgency }
+  };
+}
+
+function buildResult(concern, ruleIndex) {
+  const result = {
+    ruleId: topicRuleId(concern.topic.topic),
+    ruleIndex,
+    level: sarifLevel(concern.severity),
+    message: { text: concern.detail || `This change could use a discussion about ${concern.topic.topic}.` },
+    properties: { severity: concern.severity, rule: concern.rule },
+    // Concerns without a line point at their whole file
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: concern.file, uriBaseId: '%SRCROOT%' },
+        ...(concern.line && { region: { startLine: concern.line } })
+      }
+    }]
+  };
+  if (concern.key) {
+    result.partialFingerprints = { bikeshedConcernKey: concern.key };
+  }
+
+  return result;
+}
+
+// Padding concerns (min-concerns) are about the PR as a whole, which code
+// scanning has no location for, so they are left out
+function buildSarif({ concerns: all, topics, version, informationUri }) {
+  const concerns = all.filter(concern => concern.rule !== 'min-concerns');
+
+  // Topics only known from concerns (e.g. added by custom rules) still get a rule
+  const allTopics = [...topics];
+  for (const concern of concerns) {
+    if (!allTopics.some(topic => topic.topic === concern.topic.topic)) {
+      allTopics.push(concern.topic);
+    }
+  }
+
+  const rules = allTopics.map(buildRule);
+  const ruleIds = rules.map(rule => rule.id);
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Bikeshed Bot',
+          version,
+          informationUri,
+          rules
+        }
+      },
+      results: concerns.map(concern => buildResult(concern, ruleIds.indexOf(topicRuleId(concern.topic.topic))))
+    }]
+  };
+}
+
+module.exports = {
+  buildSarif,
+  sarifLevel,
+  topicRuleId
+};
@@ -0,0 +1,87 @@
+// Concern severities from most to least pressing
+const severities = [
+  'CRITICAL',
+  'HIGH',
+  'MEDIUM',
+  'DISCUSSION_NEEDED',
+  'FOLLOW_UP_NEEDED',
+  'WORTH_DISCUSSING',
+  'WORTH_NOTING'
+];
+
+function severityRank(severity) {
+  const rank = severities.indexOf(severity);
+  return rank === -1 ? severities.length : rank;
+}
+
+// Severity of findings from rules that don't declare one
+const DEFAULT_RULE_SEVERITY = 'WORTH_DISCUSSING';
+
+// Whether a severity is at or above a threshold, where 'none' is never met
+function meetsSeverity(severity, threshold) {
+  return threshold !== 'none' && severityRank(severity) <= severityRank(threshold);
+}
+
+// Moves a severity the given number of levels up, stopping at CRITICAL
+function escalate(severity, steps) {
+  return severities[Math.max(Math.min(severityRank(severity), severities.length - 1) - steps, 0)];
+}
+
+// Works out the severity of a finding from its rule's severity and the change
+// around it. A critical path raises it two levels, a large change to the file
+// and several findings in the same hunk one level each, and a path override
+// by its severity-boost. Returns the severity with the reasons it was raised.
+function assessSeverity({
+  base = DEFAULT_RULE_SEVERITY,
+  criticalPath,
+  linesChanged = 0,
+  largeChangeLines,
+  hunkFindings = 1,
+  boost = 0,
+  boostSource
+}) {
+  const reasons = [];
+  let steps = 0;
+
+  if (boost > 0) {
+    steps += boost;
+    reasons.push(`severity-boost ${boost} for ${boostSource}`);
+  }
+  if (criticalPath) {
+    steps += 2;
+    reasons.push(`under critical path ${criticalPath}`);
+  }
+  if (largeChangeLines && linesChanged >= largeChangeLines) {
+    steps += 1;
+    reasons.push(`${linesChanged} lines changed in the file`);
+  }
+  if (hunkFindings > 1) {
+    steps += 1;
+    reasons.push(`${hunkFindings} findings in the same hunk`);
+  }
+
+  return { severity: escalate(base, steps), reasons };
+}
+
+function highestSeverity(concerns) {
+  return concerns
+    .map(concern => concern.severity)
+    .sort((a, b) => severityRank(a) - severityRank(b))[0];
+}
+
+// Orders concerns from most to least severe, keeping the order of concerns
+// with the same severity
+function sortBySeverity(concerns) {
+  return [...concerns].sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+}
+
+module.exports = {
+  DEFAULT_RULE_SEVERITY,
+  severities,
+  severityRank,
+  meetsSeverity,
+  escalate,
+  assessSeverity,
+  highestSeverity,
+  sortBySeverity
+};
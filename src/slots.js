@@ -0,0 +1,34 @@
+const moment = require('moment-timezone');
+
+// Earliest-fit search for a meeting slot. Candidates start tomorrow at each
+// preferred hour and run up to the search horizon, skipping weekends,
+// holidays and anything overlapping a busy interval.
+function findSlot({ now, duration, preferredHours, busy = [], holidays = [], horizonDays = 14 }) {
+  const hours = [...preferredHours].sort((a, b) => a - b);
+  const intervals = busy.map(interval => ({
+    start: moment(interval.start),
+    end: moment(interval.end)
+  }));
+
+  for (let offset = 1; offset <= horizonDays; offset++) {
+    const day = now.clone().startOf('day').add(offset, 'days');
+
+    if (day.day() === 0 || day.day() === 6) continue;
+    if (holidays.includes(day.format('YYYY-MM-DD'))) continue;
+
+    for (const hour of hours) {
+      const start = day.clone().hour(hour);
+      const end = start.clone().add(duration, 'minutes');
+
+      if (!intervals.some(interval => start.isBefore(interval.end) && interval.start.isBefore(end))) {
+        return start;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  findSlot
+};
@@ -0,0 +1,265 @@
+const core = require('@actions/core');
+const yaml = require('js-yaml');
+const { readOptionalFile } = require('./files');
+const { matchesGlob } = require('./glob');
+
+// Where ESLint and Prettier look for their settings, in the order they do.
+// JavaScript configs (eslint.config.js, .prettierrc.js) can't be read without
+// running repository code, so they are left out.
+const ESLINT_FILES = ['.eslintrc.yaml', '.eslintrc.yml', '.eslintrc.json', '.eslintrc'];
+const PRETTIER_FILES = ['.prettierrc', '.prettierrc.json', '.prettierrc.yaml', '.prettierrc.yml'];
+
+// A convention is { value, file, setting }, where `file` and `setting` are
+// cited in concerns, e.g. ".editorconfig" and "[*.js] indent_style = space".
+// These are the conventions each tool's settings declare.
+const number = value => /^\d+$/.test(value) ? parseInt(value) : undefined;
+const boolean = value => ['true', 'false'].includes(value) ? value === 'true' : undefined;
+
+const editorconfigProperties = {
+  indent_style: ['indentStyle', value => ['space', 'tab'].includes(value) ? value : undefined],
+  indent_size: ['indentSize', number],
+  max_line_length: ['maxLineLength', number],
+  insert_final_newline: ['finalNewline', boolean],
+  trim_trailing_whitespace: ['trimTrailingWhitespace', boolean]
+};
+
+const eslintRules = {
+  'indent': ([size]) => size === 'tab' ?
+    { indentStyle: 'tab' } :
+    { indentStyle: 'space', indentSize: Number.isInteger(size) ? size : 4 },
+  'quotes': ([style = 'double']) => style === 'backtick' ? {} : { quotes: style },
+  'semi': ([when = 'always']) => ({ semi: when !== 'never' }),
+  'max-len': ([option]) => {
+    const length = typeof option === 'object' ? option?.code : option;
+    return { maxLineLength: Number.isInteger(length) ? length : 80 };
+  },
+  'eol-last': ([when = 'always']) => ({ finalNewline: when !== 'never' }),
+  'no-trailing-spaces': () => ({ trimTrailingWhitespace: true })
+};
+
+const prettierOptions = {
+  useTabs: value => typeof value === 'boolean' ? { indentStyle: value ? 'tab' : 'space' } : {},
+  tabWidth: value => Number.isInteger(value) ? { indentSize: value } : {},
+  semi: value => typeof value === 'boolean' ? { semi: value } : {},
+  singleQuote: value => typeof value === 'boolean' ? { quotes: value ? 'single' : 'double' } : {},
+  printWidth: value => Number.isInteger(value) ? { maxLineLength: value } : {}
+};
+
+// Turns an .editorconfig section name into a RegExp. Names without a slash
+// match the file name at any depth.
+function editorconfigRegExp(section) {
+  const escape = text => text.replace(/[.+^$()|\\]/g, '\\$&');
+  let source = '';
+
+  for (let i = 0; i < section.length; i++) {
+    const char = section[i];
+    const close = { '{': section.indexOf('}', i), '[': section.indexOf(']', i) }[char];
+
+    if (char === '*' && section[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && close > i) {
+      const options = section.slice(i + 1, close).split(',');
+      source += `(?:${options.map(option => escape(option).replace(/\*/g, '[^/]*')).join('|')})`;
+      i = close;
+    } else if (char === '[' && close > i) {
+      source += section.slice(i, close + 1).replace(/^\[!/, '[^');
+      i = close;
+    } else {
+      source += escape(char).replace(/[{}[\]]/g, '\\$&');
+    }
+  }
+
+  const anchored = section.includes('/');
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source.replace(/^\//, '')}$`);
+}
+
+function parseEditorconfig(content) {
+  const sections = [];
+  let section = null;
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+    const header = line.match(/^\[(.*)\]$/);
+    if (header) {
+      section = { name: header[1], regexp: editorconfigRegExp(header[1]), properties: {} };
+      sections.push(section);
+      continue;
+    }
+
+    const property = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+    if (property && section) {
+      section.properties[property[1].toLowerCase()] = property[2].trim().toLowerCase();
+    }
+  }
+
+  return sections;
+}
+
+function editorconfigConventions(sections, filename) {
+  const conventions = {};
+
+  for (const { name, regexp, properties } of sections) {
+    if (!regexp.test(filename)) continue;
+
+    for (const [key, value] of Object.entries(properties)) {
+      if (!editorconfigProperties[key]) continue;
+
+      const [convention, read] = editorconfigProperties[key];
+      // "unset" drops what an earlier section declared
+      if (value === 'unset') {
+        delete conventions[convention];
+      } else if (read(value) !== undefined) {
+        conventions[convention] = { value: read(value), file: '.editorconfig', setting: `[${name}] ${key} = ${value}` };
+      }
+    }
+  }
+
+  return conventions;
+}
+
+// The top-level settings of an ESLint or Prettier config followed by those
+// of the overrides whose `files` match, in the order they apply
+function layersFor(config, filename, key, prefix) {
+  const layers = [{ values: key === 'options' ? config : config[key], at: key === 'options' ? prefix : `${prefix}${key}.` }];
+
+  (config.overrides || []).forEach((override, i) => {
+    const files = [].concat(override.files || []);
+    const excluded = [].concat(override.excludedFiles || override.excludeFiles || []);
+    if (files.some(pattern => matchesGlob(pattern, filename)) && !excluded.some(pattern => matchesGlob(pattern, filename))) {
+      layers.push({ values: override[key], at: `${prefix}overrides[${i}].${key}.` });
+    }
+  });
+
+  return layers;
+}
+
+function eslintConventions(file, config, filename, prefix = '') {
+  const conventions = {};
+
+  for (const { values, at } of layersFor(config, filename, 'rules', prefix)) {
+    for (const [rule, setting] of Object.entries(values || {})) {
+      const read = eslintRules[rule.replace(/^@stylistic\/(?:js\/|ts\/)?/, '')];
+      if (!read) continue;
+
+      const [level, ...options] = [].concat(setting);
+      // Turning a rule off in an override drops what it declared
+      const declared = level === 0 || level === 'off' ? null : read(options);
+      for (const convention of Object.keys(declared || read([]))) {
+        if (declared) {
+          conventions[convention] = { value: declared[convention], file, setting: `${at}${rule}: ${JSON.stringify(setting)}` };
+        } else {
+          delete conventions[convention];
+        }
+      }
+    }
+  }
+
+  return conventions;
+}
+
+function prettierConventions(file, config, filename, prefix = '') {
+  const conventions = {};
+
+  for (const { values, at } of layersFor(config, filename, 'options', prefix)) {
+    for (const [option, value] of Object.entries(values || {})) {
+      const read = prettierOptions[option];
+      if (!read) continue;
+
+      for (const [convention, parsed] of Object.entries(read(value))) {
+        conventions[convention] = { value: parsed, file, setting: `${at}${option}: ${JSON.stringify(value)}` };
+      }
+    }
+  }
+
+  return conventions;
+}
+
+// The formatting conventions a repository declares in .editorconfig and its
+// ESLint and Prettier settings. Where they disagree Prettier wins over
+// ESLint, and ESLint over .editorconfig.
+class StyleConventions {
+  constructor(sources = []) {
+    // [{ file, conventionsFor(filename) }], least important first
+    this.sources = sources;
+  }
+
+  // Reads the settings from the base ref, so a PR can't loosen them for
+  // itself. `read` replaces the contents API, e.g. to read a local checkout,
+  // and returns null for missing files. Settings that can't be read are left
+  // out with a warning.
+  static async load({ octokit, repo, ref, read: readText = file => readOptionalFile(octokit, repo, file, ref), log = core }) {
+    const sources = [];
+    const read = async (file, parse) => {
+      try {
+        const content = await readText(file);
+        return content === null ? null : parse(content);
+      } catch (error) {
+        log.warning(`Could not read style settings from ${file}: ${error.message}`);
+        return null;
+      }
+    };
+    const firstOf = async files => {
+      for (const file of files) {
+        const config = await read(file, content => yaml.load(content) ?? {});
+        if (config !== null) return { file, config };
+      }
+      return null;
+    };
+
+    const sections = await read('.editorconfig', parseEditorconfig);
+    if (sections) {
+      sources.push({ file: '.editorconfig', conventionsFor: filename => editorconfigConventions(sections, filename) });
+    }
+
+    const packageJson = await read('package.json', JSON.parse) || {};
+
+    const eslint = await firstOf(ESLINT_FILES) ||
+      (packageJson.eslintConfig && { file: 'package.json', config: packageJson.eslintConfig, prefix: 'eslintConfig.' });
+    if (eslint) {
+      sources.push({
+        file: eslint.file,
+        conventionsFor: filename => eslintConventions(eslint.file, eslint.config, filename, eslint.prefix)
+      });
+    }
+
+    // Prettier reads package.json before its own files
+    const prettier = typeof packageJson.prettier === 'object' ?
+      { file: 'package.json', config: packageJson.prettier, prefix: 'prettier.' } :
+      await firstOf(PRETTIER_FILES);
+    if (prettier) {
+      sources.push({
+        file: prettier.file,
+        conventionsFor: filename => prettierConventions(prettier.file, prettier.config, filename, prettier.prefix)
+      });
+    }
+
+    if (sources.length > 0) {
+      log.info(`Style conventions from ${sources.map(source => source.file).join(', ')}`);
+    }
+
+    return new StyleConventions(sources);
+  }
+
+  forFile(filename) {
+    return Object.assign({}, ...this.sources.map(source => source.conventionsFor(filename)));
+  }
+}
+
+// How concerns cite the setting they rely on
+function citeConvention(convention) {
+  return `\`${convention.file}\`: \`${convention.setting}\``;
+}
+
+module.exports = {
+  StyleConventions,
+  citeConvention,
+  editorconfigRegExp,
+  parseEditorconfig
+};
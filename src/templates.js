@@ -0,0 +1,129 @@
+const yaml = require('js-yaml');
+const { validate } = require('./config');
+
+// Template syntax:
+//   {FILE}                          replaced everywhere it appears
+//   {CODE_SNIPPET|this code}        with a default for missing values
+//   {#LINE_NUMBER}...{/LINE_NUMBER} only kept when LINE_NUMBER is known
+//   {^LINE_NUMBER}...{/LINE_NUMBER} only kept when it isn't
+const SECTION = /\{([#^])([A-Z_]+)\}([\s\S]*?)\{\/\2\}/g;
+const PLACEHOLDER = /\{([A-Z_]+)(?:\|([^}]*))?\}/g;
+
+// Comment templates per comment-style
+const builtinStyles = {
+  constructive: [
+    'I noticed {FILE} implements {TOPIC}. Let\'s discuss potential optimizations.',
+    'The approach in {FILE} raises some questions about {TOPIC}. Could we explore alternatives?',
+    'Regarding {CODE_SNIPPET|this implementation}: This implementation would benefit from a brief discussion about {TOPIC}.',
+    'I see you\'ve implemented {TOPIC} in {FILE}. Let\'s align on best practices.',
+    'This is an interesting approach to {TOPIC}. A quick sync would help ensure we\'re aligned.',
+  ],
+  friendly: [
+    'Hey! I noticed an interesting pattern in {FILE}. Would love to discuss {TOPIC} when you have a chance! 😊',
+    'Great work on {FILE}! I have some thoughts about {TOPIC} that might be worth exploring together.',
+    'Thanks for this PR! Quick question about {CODE_SNIPPET|this implementation} - could we chat about the approach?',
+  ],
+  formal: [
+    'Regarding {FILE}: The implementation of {TOPIC} warrants further discussion.',
+    'Technical review note: {CODE_SNIPPET|this implementation} in {FILE} presents an opportunity for architectural alignment.',
+    'Code review finding: {TOPIC} implementation requires stakeholder input.',
+  ]
+};
+
+const defaultMeetingTitles = [
+  'Quick sync about {#LINE_NUMBER}line {LINE_NUMBER}{/LINE_NUMBER}{^LINE_NUMBER}{FILE}{/LINE_NUMBER}',
+  'Discussion: Your approach to {TOPIC}',
+  'Alignment session: Code review for {FILE}',
+  'Deep dive: The {FILE} implementation',
+  'Review session: {FILE} best practices',
+  'Workshop: Exploring alternatives for {CODE_SNIPPET}',
+  '1:1 Code review discussion',
+  'Collaborative review session',
+  'Code quality discussion',
+  'Technical alignment: {TOPIC}'
+];
+
+const templateList = { type: 'array', items: { type: 'string' } };
+const templateFileSchema = {
+  type: 'object',
+  properties: {
+    'styles': { type: 'object', additionalProperties: templateList },
+    'meeting-titles': templateList
+  }
+};
+
+// Escapes user data such as file names and code so it shows up literally
+// in a Markdown comment
+function escapeMarkdown(value) {
+  return String(value)
+    .replace(/\r?\n/g, ' ')
+    .replace(/[\\`*_[\]<>|~#]/g, '\\$&');
+}
+
+function renderTemplate(template, values, { escape = escapeMarkdown } = {}) {
+  const isSet = name => values[name] !== undefined && values[name] !== null && values[name] !== '';
+
+  // Repeat so sections nested in other sections are resolved too
+  let output = template;
+  let previous;
+  do {
+    previous = output;
+    output = output.replace(SECTION, (match, type, name, body) => (type === '#') === isSet(name) ? body : '');
+  } while (output !== previous);
+
+  return output.replace(PLACEHOLDER, (match, name, fallback) =>
+    isSet(name) ? escape(String(values[name])) : (fallback ?? ''));
+}
+
+function registerStyle(name, templates) {
+  if (!Array.isArray(templates) || templates.length === 0 || templates.some(t => typeof t !== 'string')) {
+    throw new Error(`Style "${name}" needs a non-empty list of templates`);
+  }
+
+  builtinStyles[name] = templates;
+}
+
+// The comment styles and meeting titles of one run: the registered styles
+// plus any from the repository's template file and config
+class TemplateSet {
+  constructor({ styles = {}, meetingTitles } = {}) {
+    this.styles = { ...builtinStyles };
+    for (const [name, templates] of Object.entries(styles)) {
+      if (templates.length > 0) this.styles[name] = templates;
+    }
+
+    this.meetingTitles = meetingTitles && meetingTitles.length > 0 ? meetingTitles : defaultMeetingTitles;
+  }
+
+  static parse(content, source) {
+    let parsed;
+    try {
+      parsed = yaml.load(content) ?? {};
+    } catch (error) {
+      throw new Error(`Could not parse ${source}: ${error.message}`);
+    }
+
+    const errors = validate(parsed, templateFileSchema);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${source}: ${errors.join('; ')}`);
+    }
+
+    return { styles: parsed.styles || {}, meetingTitles: parsed['meeting-titles'] };
+  }
+
+  hasStyle(name) {
+    return Object.prototype.hasOwnProperty.call(this.styles, name);
+  }
+
+  commentTemplates(style) {
+    return this.styles[style] || this.styles.constructive;
+  }
+}
+
+module.exports = {
+  TemplateSet,
+  defaultMeetingTitles,
+  escapeMarkdown,
+  registerStyle,
+  renderTemplate
+};
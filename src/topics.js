@@ -0,0 +1,19 @@
+// Bikeshedding topics that might need discussion
+const bikeshedTopics = [
+  { topic: 'naming conventions', meetingLength: 180, urgency: 'critical' },
+  { topic: 'whitespace philosophy', meetingLength: 120, urgency: 'urgent' },
+  { topic: 'variable name choice', meetingLength: 240, urgency: 'important' },
+  { topic: 'code formatting strategy', meetingLength: 90, urgency: 'essential' },
+  { topic: 'indentation patterns', meetingLength: 180, urgency: 'high-priority' },
+  { topic: 'comment formatting standards', meetingLength: 150, urgency: 'immediate' },
+  { topic: 'architectural design patterns', meetingLength: 300, urgency: 'strategic' },
+  { topic: 'code structure and organization', meetingLength: 240, urgency: 'foundational' },
+  { topic: 'syntax style consistency', meetingLength: 180, urgency: 'critical' },
+  { topic: 'function design principles', meetingLength: 210, urgency: 'architectural' },
+  { topic: 'test coverage approach', meetingLength: 240, urgency: 'quality-focused' },
+  { topic: 'TODO items and technical debt', meetingLength: 180, urgency: 'planning-required' }
+];
+
+module.exports = {
+  bikeshedTopics
+};
@@ -0,0 +1,57 @@
+const { buildAgenda } = require('../src/agenda');
+const { parsePatch } = require('../src/diff');
+
+describe('buildAgenda', () => {
+  const [hunk] = parsePatch('@@ -1,2 +1,3 @@\n const a = 1;\n+const user_name = a;\n const b = 2;');
+  const pullRequest = { number: 7, title: 'Add login', html_url: 'https://github.com/o/r/pull/7' };
+  const urlFor = concern => concern.line ?
+    `https://github.com/o/r/blob/abc/${concern.file}#L${concern.line}` :
+    'https://github.com/o/r/pull/7/files';
+  const naming = {
+    file: 'src/login.js',
+    line: 2,
+    hunk,
+    topic: { topic: 'Variable naming conventions', urgency: 'WORTH_DISCUSSING' },
+    severity: 'DISCUSSION_NEEDED',
+    detail: '1 name uses snake_case.'
+  };
+
+  const agenda = concerns => buildAgenda({ concerns, pullRequest, urlFor, botName: 'Bikeshed Bot' });
+
+  it('should link the pull request and the concern and quote its code', () => {
+    expect(agenda([naming])).toBe([
+      'Pull request #7: Add login',
+      'https://github.com/o/r/pull/7',
+      '',
+      'Agenda (1 concern):',
+      '',
+      'src/login.js',
+      '  1. Variable naming conventions (DISCUSSION_NEEDED)',
+      '     Line 2: https://github.com/o/r/blob/abc/src/login.js#L2',
+      '     1 name uses snake_case.',
+      '',
+      '        const a = 1;',
+      '       +const user_name = a;',
+      '        const b = 2;',
+      '',
+      'Notes:',
+      '- ',
+      '',
+      'Action items:',
+      '- [ ] ',
+      '',
+      'This is an automated meeting request from Bikeshed Bot.'
+    ].join('\n'));
+  });
+
+  it('should group the concerns of a meeting by file', () => {
+    const todo = { file: 'src/login.js', line: 9, codeSnippet: '// TODO: later', topic: { topic: 'TODO items', urgency: 'FOLLOW_UP_NEEDED' } };
+    const docs = { file: 'README.md', topic: { topic: 'Documentation', urgency: 'WORTH_NOTING' } };
+
+    const text = agenda([naming, docs, todo]);
+
+    expect(text).toContain('Agenda (3 concerns):');
+    expect(text).toContain('  2. TODO items (FOLLOW_UP_NEEDED)\n     Line 9: https://github.com/o/r/blob/abc/src/login.js#L9\n\n       +// TODO: later\n');
+    expect(text).toContain('README.md\n  3. Documentation (WORTH_NOTING)\n     https://github.com/o/r/pull/7/files\n\nNotes:');
+  });
+});
@@ -0,0 +1,84 @@
+const { Analyzer } = require('../src/analyzer');
+const { defaults } = require('../src/config');
+
+describe('Analyzer', () => {
+  const config = { ...defaults, 'min-concerns': 0 };
+  const todoFile = { filename: 'src/a.js', changes: 2, patch: '@@ -0,0 +1,2 @@\n+const a = 1;\n+// TODO: one' };
+  const otherFile = { filename: 'src/b.js', changes: 1, patch: '@@ -0,0 +1 @@\n+// FIXME: two' };
+
+  describe('analyze', () => {
+    it('should raise concerns for the findings in the files', () => {
+      const concerns = new Analyzer({ config }).analyze([todoFile, otherFile]);
+
+      expect(concerns.map(c => [c.key, c.line, c.severity])).toEqual([
+        ['todo-markers|src/a.js', 2, 'FOLLOW_UP_NEEDED'],
+        ['todo-markers|src/b.js', 1, 'FOLLOW_UP_NEEDED']
+      ]);
+      expect(concerns[0]).toMatchObject({ side: 'RIGHT', codeSnippet: '// TODO: one', detail: '1 new TODO marker added.' });
+    });
+
+    it('should pad to min-concerns', () => {
+      const padded = new Analyzer({ config: { ...config, 'min-concerns': 2 } }).analyze([]);
+
+      expect(padded.map(c => c.rule)).toEqual(['min-concerns', 'min-concerns']);
+    });
+
+    it('should return every concern, most severe first', () => {
+      const analyzer = new Analyzer({ config: { ...config, 'max-meetings-per-pr': 1, 'critical-paths': ['src/auth/'] } });
+      const critical = { ...otherFile, filename: 'src/auth/login.js' };
+
+      const concerns = analyzer.analyze([todoFile, otherFile, critical]);
+
+      expect(concerns.map(c => [c.file, c.severity])).toEqual([
+        ['src/auth/login.js', 'MEDIUM'],
+        ['src/a.js', 'FOLLOW_UP_NEEDED'],
+        ['src/b.js', 'FOLLOW_UP_NEEDED']
+      ]);
+    });
+
+    it('should put carried concerns after the new ones and keep their keys', () => {
+      const carried = { key: 'todo-markers|src/a.js', file: 'src/a.js', rule: 'todo-markers', topic: { topic: 'x' } };
+
+      const concerns = new Analyzer({ config }).analyze([todoFile], [carried]);
+
+      expect(concerns.map(c => c.key)).toEqual(['todo-markers|src/a.js#2', 'todo-markers|src/a.js']);
+    });
+
+    it('should leave out ignored findings', () => {
+      const analyzer = new Analyzer({ config, isIgnored: (topic, rule) => rule === 'todo-markers' });
+
+      expect(analyzer.analyze([todoFile])).toEqual([]);
+    });
+
+    it('should reject unknown rules in path overrides', () => {
+      const overrides = [{ 'paths': ['a/'], 'enabled-rules': ['todo'] }];
+
+      expect(() => new Analyzer({ config: { ...config, 'path-overrides': overrides } }))
+        .toThrow('Unknown rule "todo" in path-overrides[0]');
+    });
+  });
+
+  describe('calculateSeverity', () => {
+    const hunk = {};
+    const finding = { severity: 'FOLLOW_UP_NEEDED', addedLine: { hunk } };
+
+    it('should use the severity of the rule for a small change', () => {
+      expect(new Analyzer({ config }).calculateSeverity({ filename: 'src/a.js', changes: 12 }, finding, [finding]))
+        .toEqual({ severity: 'FOLLOW_UP_NEEDED', reasons: [] });
+    });
+
+    it('should raise the severity for critical paths, large changes and bunched findings', () => {
+      const analyzer = new Analyzer({ config: { ...config, 'critical-paths': ['src/auth/'] } });
+      const other = { severity: 'WORTH_NOTING', addedLine: { hunk } };
+      const elsewhere = { severity: 'WORTH_NOTING', addedLine: { hunk: {} } };
+
+      const result = analyzer.calculateSeverity({ filename: 'src/auth/login.js', additions: 250, deletions: 60 }, finding,
+        [finding, other, elsewhere]);
+
+      expect(result).toEqual({
+        severity: 'CRITICAL',
+        reasons: ['under critical path src/auth/', '310 lines changed in the file', '2 findings in the same hunk']
+      });
+    });
+  });
+});
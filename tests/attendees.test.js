@@ -0,0 +1,182 @@
+const core = require('@actions/core');
+const { AttendeeResolver, parseCodeowners, codeownersFor } = require('../src/attendees');
+
+jest.mock('@actions/core');
+
+const fileContent = text => ({ data: { type: 'file', encoding: 'base64', content: Buffer.from(text).toString('base64') } });
+const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+describe('attendees', () => {
+  describe('codeowners', () => {
+    const rules = parseCodeowners([
+      '# Default owners',
+      '*       @octo-org/everyone',
+      '*.js    @js-owner   # JavaScript',
+      '/docs/  docs@example.com',
+      ''
+    ].join('\n'));
+
+    it('should parse patterns and owners, skipping comments', () => {
+      expect(rules.map(({ pattern, owners }) => ({ pattern, owners }))).toEqual([
+        { pattern: '*', owners: ['@octo-org/everyone'] },
+        { pattern: '*.js', owners: ['@js-owner'] },
+        { pattern: '/docs/', owners: ['docs@example.com'] }
+      ]);
+    });
+
+    it('should use the last matching rule', () => {
+      expect(codeownersFor(rules, 'src/app.js')).toEqual(['@js-owner']);
+      expect(codeownersFor(rules, 'docs/intro.md')).toEqual(['docs@example.com']);
+      expect(codeownersFor(rules, 'Makefile')).toEqual(['@octo-org/everyone']);
+      expect(codeownersFor([], 'Makefile')).toEqual([]);
+    });
+  });
+
+  describe('AttendeeResolver', () => {
+    let octokit;
+    let files;
+    let config;
+    const pullRequest = {
+      number: 1,
+      base: { sha: 'base-sha' },
+      user: { login: 'author' },
+      requested_reviewers: [{ login: 'reviewer' }, { login: 'dependabot[bot]' }],
+      requested_teams: [{ slug: 'core' }]
+    };
+
+    const resolver = (options = {}) => new AttendeeResolver({
+      octokit,
+      repo: { owner: 'octo-org', repo: 'app' },
+      pullRequest,
+      config,
+      ...options
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      files = {
+        '.github/bikeshed-emails.yml': 'author: author@example.com\nReviewer: reviewer@example.com\nowner: owner@example.com\nmember: member@example.com\n',
+        '.github/CODEOWNERS': '*.js @owner\n'
+      };
+      config = { 'email-map': '.github/bikeshed-emails.yml', 'exclude-attendees': [], 'max-attendees': 10 };
+      octokit = {
+        paginate: jest.fn((method, params) => method(params).then(response => response.data)),
+        rest: {
+          repos: {
+            getContent: jest.fn(({ path }) => files[path] === undefined ?
+              Promise.reject(notFound()) :
+              Promise.resolve(fileContent(files[path])))
+          },
+          teams: {
+            listMembersInOrg: jest.fn().mockResolvedValue({ data: [{ login: 'member' }, { login: 'author' }] })
+          }
+        }
+      };
+    });
+
+    it('should invite the author, CODEOWNERS, reviewers and team members', async () => {
+      const attendees = resolver({ staticEmails: ['lead@example.com'] });
+      await attendees.load();
+
+      expect(await attendees.resolve({ file: 'src/app.js' })).toEqual([
+        { email: 'author@example.com' },
+        { email: 'lead@example.com' },
+        { email: 'owner@example.com' },
+        { email: 'reviewer@example.com' },
+        { email: 'member@example.com' }
+      ]);
+      expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ path: '.github/CODEOWNERS', ref: 'base-sha' }));
+      expect(octokit.rest.teams.listMembersInOrg).toHaveBeenCalledWith({ org: 'octo-org', team_slug: 'core', per_page: 100 });
+    });
+
+    it('should only add CODEOWNERS of the concern file', async () => {
+      const attendees = resolver();
+      await attendees.load();
+
+      expect(await attendees.resolve({ file: 'README.md' })).not.toContainEqual({ email: 'owner@example.com' });
+    });
+
+    it('should fall back to the other CODEOWNERS locations', async () => {
+      delete files['.github/CODEOWNERS'];
+      files['docs/CODEOWNERS'] = '*.md @owner\n';
+      const attendees = resolver();
+      await attendees.load();
+
+      expect(await attendees.resolve({ file: 'README.md' })).toContainEqual({ email: 'owner@example.com' });
+    });
+
+    it('should expand teams and emails listed in CODEOWNERS', async () => {
+      files['.github/CODEOWNERS'] = '*.js @octo-org/core ops@example.com\n';
+      const attendees = resolver({ pullRequest: { ...pullRequest, requested_reviewers: [], requested_teams: [] } });
+      await attendees.load();
+
+      expect(await attendees.resolve({ file: 'a.js' })).toEqual([
+        { email: 'author@example.com' },
+        { email: 'member@example.com' },
+        { email: 'ops@example.com' }
+      ]);
+    });
+
+    it('should skip people without an email and say so once', async () => {
+      files['.github/bikeshed-emails.yml'] = 'author: author@example.com\n';
+      const attendees = resolver();
+      await attendees.load();
+
+      await attendees.resolve({ file: 'a.js' });
+      await attendees.resolve({ file: 'b.js' });
+
+      expect(core.info).toHaveBeenCalledWith('No email for @reviewer in .github/bikeshed-emails.yml, not inviting them');
+      expect(core.info.mock.calls.filter(([message]) => message.includes('@reviewer'))).toHaveLength(1);
+      expect(core.info.mock.calls.some(([message]) => message.includes('dependabot'))).toBe(false);
+    });
+
+    it('should honour the exclusion list by login or email', async () => {
+      config['exclude-attendees'] = ['@reviewer', 'OWNER@example.com'];
+      const attendees = resolver();
+      await attendees.load();
+
+      expect(await attendees.resolve({ file: 'src/app.js' })).toEqual([
+        { email: 'author@example.com' },
+        { email: 'member@example.com' }
+      ]);
+    });
+
+    it('should dedupe emails case-insensitively and cap the invitees', async () => {
+      config['max-attendees'] = 2;
+      const attendees = resolver({ staticEmails: ['AUTHOR@example.com', 'lead@example.com'] });
+      await attendees.load();
+
+      expect(await attendees.resolve({ file: 'src/app.js' })).toEqual([
+        { email: 'author@example.com' },
+        { email: 'lead@example.com' }
+      ]);
+    });
+
+    it('should carry on when team members cannot be listed', async () => {
+      octokit.rest.teams.listMembersInOrg.mockRejectedValue(new Error('Resource not accessible by integration'));
+      const attendees = resolver();
+      await attendees.load();
+
+      await attendees.resolve({ file: 'a.js' });
+      await attendees.resolve({ file: 'b.js' });
+
+      expect(core.warning).toHaveBeenCalledTimes(1);
+      expect(core.warning).toHaveBeenCalledWith('Could not list the members of @octo-org/core: Resource not accessible by integration');
+    });
+
+    it('should work without an email map or CODEOWNERS', async () => {
+      files = {};
+      const attendees = resolver({ staticEmails: ['lead@example.com'] });
+      await attendees.load();
+
+      expect(await attendees.resolve({ file: 'a.js' })).toEqual([{ email: 'lead@example.com' }]);
+    });
+
+    it('should reject an email map that is not a map of emails', async () => {
+      files['.github/bikeshed-emails.yml'] = '- author@example.com\n';
+
+      await expect(resolver().load())
+        .rejects.toThrow('Invalid .github/bikeshed-emails.yml: expected a map of GitHub logins to emails');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { MeetingBudget, attendeeId, meetingId } = require('../src/budget');
+const { concernMarker, stateMarker } = require('../src/markers');
+
+describe('MeetingBudget', () => {
+  const dev = attendeeId('dev@example.com');
+  const meeting = (eventId, start, duration, attendees = [dev]) => ({ eventId, start, duration, attendees });
+  const budget = meetings => new MeetingBudget({ minutes: 90, timezone: 'America/New_York', meetings });
+
+  it('should hash attendees regardless of case', () => {
+    expect(attendeeId(' Dev@Example.com')).toBe(dev);
+    expect(dev).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should identify meetings by event, invite or start', () => {
+    expect(meetingId({ eventId: 'evt1', start: 's' })).toBe('evt1');
+    expect(meetingId({ ics: 'a.ics', start: 's' })).toBe('a.ics');
+    expect(meetingId({ start: 's' })).toBe('s');
+  });
+
+  it('should report attendees a meeting would take over the budget of its week', () => {
+    const tracked = budget([
+      meeting('a', '2026-10-19T14:00:00.000Z', 60),
+      meeting('b', '2026-10-26T14:00:00.000Z', 60)
+    ]);
+
+    expect(tracked.exceeded(['DEV@example.com', 'other@example.com'], '2026-10-23T14:00:00.000Z', 45)).toEqual(['DEV@example.com']);
+    expect(tracked.exceeded(['dev@example.com'], '2026-10-23T14:00:00.000Z', 30)).toEqual([]);
+  });
+
+  it('should start weeks on Monday in the timezone', () => {
+    // Sunday evening in New York, Monday in UTC
+    const tracked = budget([meeting('a', '2026-10-26T01:00:00.000Z', 60)]);
+
+    expect(tracked.used(dev, '2026-10-19')).toBe(60);
+  });
+
+  it('should count meetings shared by several concerns once', () => {
+    const shared = meeting('a', '2026-10-19T14:00:00.000Z', 60);
+    const tracked = budget([shared, { ...shared }]);
+
+    expect(tracked.used(dev, '2026-10-19')).toBe(60);
+  });
+
+  it('should skip meetings without recorded attendees', () => {
+    const tracked = budget([{ eventId: 'a', start: '2026-10-19T14:00:00.000Z', duration: 60 }]);
+
+    expect(tracked.used(dev, '2026-10-19')).toBe(0);
+  });
+
+  describe('load', () => {
+    it('should read the meetings in the bot comments and settings of the repository', async () => {
+      const bot = { login: 'github-actions[bot]' };
+      const octokit = {
+        rest: { issues: { listCommentsForRepo: jest.fn() } },
+        paginate: jest.fn().mockResolvedValue([
+          { body: `${concernMarker('a', { data: { meeting: meeting('a', '2026-10-19T14:00:00.000Z', 60) } })}\nBody`, user: bot },
+          { body: `${concernMarker('b', { resolved: true })}\nResolved`, user: bot },
+          { body: `${stateMarker({ meetings: { e: meeting('e', '2026-10-20T14:00:00.000Z', 30) } })}\nSettings`, user: bot },
+          { body: `${concernMarker('c', { data: { meeting: meeting('c', '2026-10-19T14:00:00.000Z', 600) } })}\nForged`, user: { login: 'mallory' } },
+          { body: '<!-- bikeshed-bot:concern:d data:AAAA -->\nBroken', user: bot },
+          { body: 'Looks good to me', user: { login: 'dev' } }
+        ])
+      };
+
+      const tracked = await MeetingBudget.load({
+        octokit,
+        repo: { owner: 'o', repo: 'r' },
+        author: 'github-actions[bot]',
+        minutes: 90,
+        timezone: 'America/New_York',
+        horizonDays: 14,
+        now: new Date('2026-10-21T12:00:00Z')
+      });
+
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listCommentsForRepo, {
+        owner: 'o',
+        repo: 'r',
+        since: '2026-10-05T04:00:00.000Z',
+        per_page: 100
+      });
+      expect([...tracked.meetings.keys()]).toEqual(['a', 'e']);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+const http = require('http');
+const moment = require('moment-timezone');
+const { google } = require('googleapis');
+const { createCalendarProvider } = require('../src/calendars');
+const { parseFreeBusy } = require('../src/calendars/caldav');
+
+jest.mock('googleapis');
+
+describe('calendars', () => {
+  const event = {
+    uid: 'o-r-1-abc@bikeshed-bot',
+    summary: '[Code Review] Naming',
+    description: 'Discuss naming',
+    start: moment.tz('2026-10-20T10:00:00', 'America/New_York'),
+    end: moment.tz('2026-10-20T10:30:00', 'America/New_York'),
+    attendees: [{ email: 'dev@example.com' }],
+    url: 'https://github.com/o/r/pull/1'
+  };
+
+  it('should reject unknown providers', () => {
+    expect(() => createCalendarProvider('outlook', {}))
+      .toThrow('Unknown calendar provider "outlook". Available providers: google, caldav');
+  });
+
+  describe('google', () => {
+    let client;
+    let provider;
+
+    beforeEach(() => {
+      client = {
+        events: {
+          insert: jest.fn().mockResolvedValue({ data: { id: 'evt1', htmlLink: 'https://cal/evt1' } }),
+          update: jest.fn().mockResolvedValue({ data: { id: 'evt1', htmlLink: 'https://cal/evt1' } }),
+          delete: jest.fn().mockResolvedValue({})
+        },
+        freebusy: { query: jest.fn() }
+      };
+      google.calendar.mockReturnValue(client);
+      google.auth = { GoogleAuth: jest.fn() };
+
+      provider = createCalendarProvider('google', {
+        calendarId: 'team@example.com',
+        credentials: '{"type":"service_account"}',
+        timezone: 'America/New_York'
+      });
+    });
+
+    it('should insert events and send invitations', async () => {
+      const result = await provider.insert(event);
+
+      expect(google.auth.GoogleAuth).toHaveBeenCalledWith(expect.objectContaining({ credentials: { type: 'service_account' } }));
+      expect(result).toEqual({ eventId: 'evt1', link: 'https://cal/evt1' });
+      expect(client.events.insert).toHaveBeenCalledWith({
+        calendarId: 'team@example.com',
+        resource: expect.objectContaining({
+          summary: '[Code Review] Naming',
+          start: { dateTime: '2026-10-20T10:00:00-04:00', timeZone: 'America/New_York' },
+          attendees: [{ email: 'dev@example.com' }]
+        }),
+        sendUpdates: 'all'
+      });
+    });
+
+    it('should request a video call for events with a conference', async () => {
+      client.events.insert.mockResolvedValue({
+        data: { id: 'evt1', htmlLink: 'https://cal/evt1', hangoutLink: 'https://meet.google.com/abc-defg-hij' }
+      });
+
+      const result = await provider.insert({ ...event, conference: true });
+
+      expect(provider.supportsConferences).toBe(true);
+      expect(result).toEqual({ eventId: 'evt1', link: 'https://cal/evt1', conferenceLink: 'https://meet.google.com/abc-defg-hij' });
+      expect(client.events.insert).toHaveBeenCalledWith(expect.objectContaining({
+        resource: expect.objectContaining({
+          conferenceData: {
+            createRequest: { requestId: 'o-r-1-abc@bikeshed-bot', conferenceSolutionKey: { type: 'hangoutsMeet' } }
+          }
+        }),
+        conferenceDataVersion: 1
+      }));
+    });
+
+    it('should update and cancel events', async () => {
+      await provider.update('evt1', event);
+      await provider.cancel('evt1');
+
+      expect(client.events.update).toHaveBeenCalledWith(expect.objectContaining({ calendarId: 'team@example.com', eventId: 'evt1' }));
+      expect(client.events.delete).toHaveBeenCalledWith({ calendarId: 'team@example.com', eventId: 'evt1', sendUpdates: 'all' });
+    });
+
+    it('should query free/busy for the calendar and all attendees', async () => {
+      client.freebusy.query.mockResolvedValue({
+        data: {
+          calendars: {
+            'team@example.com': { busy: [{ start: 's1', end: 'e1' }] },
+            'dev@example.com': { busy: [{ start: 's2', end: 'e2' }] },
+            'unknown@example.com': { errors: [{ reason: 'notFound' }] }
+          }
+        }
+      });
+
+      const busy = await provider.freeBusy({
+        timeMin: moment.utc('2026-10-19T00:00:00Z'),
+        timeMax: moment.utc('2026-11-03T00:00:00Z'),
+        attendees: [{ email: 'dev@example.com' }, { email: 'unknown@example.com' }]
+      });
+
+      expect(client.freebusy.query).toHaveBeenCalledWith({
+        requestBody: {
+          timeMin: '2026-10-19T00:00:00.000Z',
+          timeMax: '2026-11-03T00:00:00.000Z',
+          timeZone: 'America/New_York',
+          items: [{ id: 'team@example.com' }, { id: 'dev@example.com' }, { id: 'unknown@example.com' }]
+        }
+      });
+      expect(busy).toEqual([{ start: 's1', end: 'e1' }, { start: 's2', end: 'e2' }]);
+    });
+  });
+
+  describe('caldav', () => {
+    // A minimal CalDAV server keeping events in memory
+    let server;
+    let url;
+    let events;
+    let requests;
+
+    beforeEach(async () => {
+      events = new Map();
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+          if (req.headers.authorization !== `Basic ${Buffer.from('bot:secret').toString('base64')}`) {
+            res.writeHead(401).end();
+          } else if (req.method === 'PUT') {
+            const exists = events.has(req.url);
+            if (exists && req.headers['if-none-match'] === '*') return res.writeHead(412).end();
+            events.set(req.url, body);
+            res.writeHead(exists ? 204 : 201).end();
+          } else if (req.method === 'DELETE') {
+            res.writeHead(events.delete(req.url) ? 204 : 404).end();
+          } else if (req.method === 'REPORT') {
+            res.writeHead(200, { 'Content-Type': 'text/calendar' }).end([
+              'BEGIN:VCALENDAR',
+              'BEGIN:VFREEBUSY',
+              'FREEBUSY:20261020T140000Z/20261020T150000Z,20261021T',
+              ' 180000Z/PT30M',
+              'FREEBUSY;FBTYPE=FREE:20261022T140000Z/20261022T150000Z',
+              'END:VFREEBUSY',
+              'END:VCALENDAR'
+            ].join('\r\n'));
+          } else {
+            res.writeHead(405).end();
+          }
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/calendars/bot/review`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const caldav = (options = {}) => createCalendarProvider('caldav', { url, username: 'bot', password: 'secret', ...options });
+
+    it('should require a calendar url', () => {
+      expect(() => createCalendarProvider('caldav', {})).toThrow('caldav-url is required for the caldav calendar provider');
+    });
+
+    it('should store events as .ics resources in the calendar', async () => {
+      const result = await caldav().insert(event);
+
+      const resource = '/calendars/bot/review/o-r-1-abc%40bikeshed-bot.ics';
+      expect(result).toEqual({ eventId: 'o-r-1-abc@bikeshed-bot', link: `http://127.0.0.1:${server.address().port}${resource}` });
+      expect(requests[0].headers['if-none-match']).toBe('*');
+      expect(requests[0].headers['content-type']).toBe('text/calendar; charset=utf-8');
+
+      const ics = events.get(resource);
+      expect(ics).toContain('UID:o-r-1-abc@bikeshed-bot');
+      expect(ics).toContain('DTSTART:20261020T140000Z');
+      expect(ics).toContain('mailto:dev@example.com');
+      expect(ics).not.toContain('METHOD:');
+    });
+
+    it('should not overwrite an existing event on insert', async () => {
+      await caldav().insert(event);
+
+      await expect(caldav().insert(event)).rejects.toMatchObject({ code: 412 });
+    });
+
+    it('should update and cancel events', async () => {
+      const { eventId } = await caldav().insert(event);
+
+      await caldav().update(eventId, { ...event, summary: 'Moved' });
+      expect([...events.values()][0]).toContain('SUMMARY:Moved');
+
+      await caldav().cancel(eventId);
+      expect(events.size).toBe(0);
+    });
+
+    it('should report events that are already gone with their status code', async () => {
+      await expect(caldav().cancel('missing')).rejects.toMatchObject({ code: 404 });
+    });
+
+    it('should report authentication failures', async () => {
+      await expect(caldav({ password: 'wrong' }).insert(event)).rejects.toThrow(/failed with 401/);
+    });
+
+    it('should read busy periods with a free-busy query', async () => {
+      const busy = await caldav().freeBusy({
+        timeMin: moment.utc('2026-10-19T00:00:00Z'),
+        timeMax: moment.utc('2026-11-03T00:00:00Z')
+      });
+
+      const report = requests[0];
+      expect(report.method).toBe('REPORT');
+      expect(report.url).toBe('/calendars/bot/review/');
+      expect(report.headers.depth).toBe('1');
+      expect(report.body).toContain('<C:time-range start="20261019T000000Z" end="20261103T000000Z"/>');
+      expect(busy).toEqual([
+        { start: '2026-10-20T14:00:00.000Z', end: '2026-10-20T15:00:00.000Z' },
+        { start: '2026-10-21T18:00:00.000Z', end: '2026-10-21T18:30:00.000Z' }
+      ]);
+    });
+
+    it('should parse busy types and durations', () => {
+      expect(parseFreeBusy('FREEBUSY;FBTYPE=BUSY-TENTATIVE:20261020T140000Z/P1DT2H\r\n')).toEqual([
+        { start: '2026-10-20T14:00:00.000Z', end: '2026-10-21T16:00:00.000Z' }
+      ]);
+    });
+  });
+});
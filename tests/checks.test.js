@@ -0,0 +1,46 @@
+const { checkConclusion, annotationLevel, batches } = require('../src/checks');
+
+describe('checks', () => {
+  const concern = (severity) => ({ severity });
+
+  describe('checkConclusion', () => {
+    it('should succeed without concerns', () => {
+      expect(checkConclusion([], 'HIGH')).toBe('success');
+    });
+
+    it('should fail when a concern is at or above the failure severity', () => {
+      expect(checkConclusion([concern('MEDIUM'), concern('HIGH')], 'HIGH')).toBe('failure');
+      expect(checkConclusion([concern('CRITICAL')], 'HIGH')).toBe('failure');
+    });
+
+    it('should be neutral for concerns below the failure severity', () => {
+      expect(checkConclusion([concern('MEDIUM')], 'HIGH')).toBe('neutral');
+    });
+
+    it('should not fail on padding concerns', () => {
+      expect(checkConclusion([{ ...concern('WORTH_DISCUSSING'), rule: 'min-concerns' }], 'WORTH_NOTING')).toBe('neutral');
+      expect(annotationLevel({ ...concern('WORTH_DISCUSSING'), rule: 'min-concerns' }, 'WORTH_NOTING')).toBe('notice');
+    });
+
+    it('should never fail with a failure severity of none', () => {
+      expect(checkConclusion([concern('CRITICAL')], 'none')).toBe('neutral');
+    });
+  });
+
+  describe('annotationLevel', () => {
+    it('should map severities to annotation levels', () => {
+      expect(annotationLevel(concern('HIGH'), 'HIGH')).toBe('failure');
+      expect(annotationLevel(concern('MEDIUM'), 'HIGH')).toBe('warning');
+      expect(annotationLevel(concern('WORTH_NOTING'), 'HIGH')).toBe('notice');
+    });
+  });
+
+  describe('batches', () => {
+    it('should split items into batches of 50', () => {
+      const items = Array.from({ length: 101 }, (_, i) => i);
+
+      expect(batches(items).map(batch => batch.length)).toEqual([50, 50, 1]);
+      expect(batches([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { run } = require('../src/cli');
+
+describe('cli', () => {
+  const todoPatch = [
+    'diff --git a/src/my_file.js b/src/my_file.js',
+    '--- a/src/my_file.js',
+    '+++ b/src/my_file.js',
+    '@@ -1 +1,2 @@',
+    ' const a = 1;',
+    '+// TODO: later',
+    'diff --git a/logo.png b/logo.png',
+    'Binary files a/logo.png and b/logo.png differ',
+    'diff --git a/dist/app.js b/dist/app.js',
+    '--- a/dist/app.js',
+    '+++ b/dist/app.js',
+    '@@ -0,0 +1 @@',
+    '+// TODO: built',
+    ''
+  ].join('\n');
+  let cwd;
+  let out;
+  let err;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+    fs.writeFileSync(path.join(cwd, file), content);
+  };
+  const bikeshed = (...args) => run(args, {
+    cwd,
+    stdout: { write: text => { out += text; } },
+    stderr: { write: text => { err += text; } },
+    stdin: () => todoPatch
+  });
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'bikeshed-cli-'));
+    out = '';
+    err = '';
+    write('change.patch', todoPatch);
+    write('.github/bikeshed.yml', 'min-concerns: 0\ntemplates:\n  constructive: ["About {FILE}: {TOPIC}"]\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  it('should review a patch file as text', async () => {
+    expect(await bikeshed('change.patch')).toBe(0);
+
+    expect(out).toContain('src/my_file.js:2  FOLLOW_UP_NEEDED  TODO items and technical debt [todo-markers]\n' +
+      '    About src/my_file.js: TODO items and technical debt\n');
+    expect(out).toContain('Skipped logo.png (binary file)');
+    expect(out).toContain('Filtered out 1 file(s) by dist/');
+    expect(out).toMatch(/1 concern\n$/);
+  });
+
+  it('should render the overview and comments as Markdown', async () => {
+    await bikeshed('--format', 'md', 'change.patch');
+
+    expect(out).toContain('## 🤖 Bikeshed Bot Review');
+    expect(out).toContain('### `src/my_file.js:2`');
+    expect(out).toContain('About src/my\\_file.js: TODO items and technical debt');
+  });
+
+  it('should print JSON with the rendered comments', async () => {
+    await bikeshed('-f', 'json', '-');
+
+    const output = JSON.parse(out);
+    expect(output.concerns).toEqual([expect.objectContaining({
+      key: 'todo-markers|src/my_file.js',
+      file: 'src/my_file.js',
+      line: 2,
+      severity: 'FOLLOW_UP_NEEDED',
+      comment: expect.stringContaining('> 1 new TODO marker added.')
+    })]);
+    expect(output.filteredFiles).toEqual([{ pattern: 'dist/', files: 1 }]);
+  });
+
+  it('should use the style conventions of the checkout', async () => {
+    write('.editorconfig', '[*.js]\nindent_style = space\n');
+    write('tabs.patch', '--- a/a.js\n+++ b/a.js\n@@ -0,0 +1,2 @@\n+if (a) {\n+\tb();\n');
+
+    await bikeshed('-f', 'json', 'tabs.patch');
+
+    expect(JSON.parse(out).concerns[0].convention).toEqual({ file: '.editorconfig', setting: '[*.js] indent_style = space' });
+  });
+
+  it('should review a git diff range', async () => {
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, stdio: 'ignore' });
+    git('init', '-q');
+    write('src/a.js', 'const a = 1;\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'first');
+    write('src/a.js', 'const a = 1;\n// FIXME: soon\n');
+
+    await bikeshed();
+
+    expect(out).toContain('src/a.js:2  FOLLOW_UP_NEEDED');
+  });
+
+  it('should exit with 1 at fail-on-severity', async () => {
+    write('.github/bikeshed.yml', 'min-concerns: 0\nfail-on-severity: FOLLOW_UP_NEEDED\n');
+
+    expect(await bikeshed('change.patch')).toBe(1);
+  });
+
+  it('should report usage and config errors', async () => {
+    expect(await bikeshed('--format', 'xml')).toBe(2);
+    expect(err).toContain('unknown format "xml". Available formats: text, md, json');
+
+    err = '';
+    write('.github/bikeshed.yml', 'min-concerns: lots\n');
+    expect(await bikeshed('change.patch')).toBe(2);
+    expect(err).toContain('bikeshed: Invalid .github/bikeshed.yml: "min-concerns" must be an integer');
+  });
+});
@@ -0,0 +1,33 @@
+const { parseCommand, hasPermission } = require('../src/commands');
+
+describe('commands', () => {
+  describe('parseCommand', () => {
+    it('should parse commands with arguments', () => {
+      expect(parseCommand('/bikeshed ignore naming conventions')).toEqual({ name: 'ignore', args: 'naming conventions' });
+      expect(parseCommand('/bikeshed Rerun')).toEqual({ name: 'rerun', args: '' });
+    });
+
+    it('should find commands on any line of the comment', () => {
+      expect(parseCommand('Thanks for the review!\n/bikeshed reschedule 2\nCheers')).toEqual({ name: 'reschedule', args: '2' });
+    });
+
+    it('should not take the next line as the command', () => {
+      expect(parseCommand('/bikeshed\nrerun this please')).toEqual({ name: '', args: '' });
+    });
+
+    it('should ignore comments without commands', () => {
+      expect(parseCommand('We should /bikeshed this later')).toBeNull();
+      expect(parseCommand('/bikeshedding is fun')).toBeNull();
+      expect(parseCommand(undefined)).toBeNull();
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should compare repository roles', () => {
+      expect(hasPermission('admin', 'write')).toBe(true);
+      expect(hasPermission('maintain', 'write')).toBe(true);
+      expect(hasPermission('triage', 'write')).toBe(false);
+      expect(hasPermission('none', 'read')).toBe(false);
+    });
+  });
+});
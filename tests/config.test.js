@@ -0,0 +1,139 @@
+const core = require('@actions/core');
+const { validate, schema, parseConfigFile, buildConfig, resolveTopics } = require('../src/config');
+
+jest.mock('@actions/core');
+
+describe('config', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.getInput.mockReturnValue('');
+  });
+
+  describe('validate', () => {
+    it('should accept a complete config', () => {
+      const config = {
+        'comment-style': 'friendly',
+        'max-meetings-per-pr': 2,
+        'preferred-meeting-hours': [9, 16],
+        'topics': { 'naming conventions': { 'meeting-length': 30, 'urgency': 'low' } },
+        'templates': { friendly: ['Hi {FILE}'] },
+        'labels': { 'priority-prefix': 'bikeshed/' }
+      };
+
+      expect(validate(config, schema)).toEqual([]);
+    });
+
+    it('should name nested keys in errors', () => {
+      expect(validate({ 'preferred-meeting-hours': [10, 25] }, schema))
+        .toEqual(['"preferred-meeting-hours[1]" must be at most 23']);
+      expect(validate({ topics: { x: { 'meeting-length': 'long' } } }, schema))
+        .toEqual(['"topics.x.meeting-length" must be an integer']);
+      expect(validate({ templates: { formal: 'Hello' } }, schema))
+        .toEqual(['"templates.formal" must be a list']);
+    });
+
+    it('should check formatted strings', () => {
+      expect(validate({ holidays: ['2026-12-25', '25/12/2026'] }, schema))
+        .toEqual(['"holidays[1]" must be formatted as YYYY-MM-DD']);
+    });
+
+    it('should reject unknown keys and enum values', () => {
+      expect(validate({ 'comment-mode': 'email', 'colour': 'blue' }, schema)).toEqual([
+        '"comment-mode" must be one of issue, review, check',
+        '"colour" is not a known setting'
+      ]);
+    });
+
+    it('should check path overrides', () => {
+      expect(validate({ 'path-overrides': [{ 'paths': ['docs/'], 'meetings': false, 'severity-boost': 1 }] }, schema))
+        .toEqual([]);
+      expect(validate({ 'path-overrides': [{ 'meetings': 'no' }, { 'paths': ['a/'], 'severity-boost': 9 }] }, schema)).toEqual([
+        '"path-overrides[0].paths" is required',
+        '"path-overrides[0].meetings" must be a boolean',
+        '"path-overrides[1].severity-boost" must be at most 6'
+      ]);
+    });
+  });
+
+  describe('parseConfigFile', () => {
+    it('should parse YAML and JSON', () => {
+      expect(parseConfigFile('bot-name: Bot\n', 'a.yml')).toEqual({ 'bot-name': 'Bot' });
+      expect(parseConfigFile('{"bot-name": "Bot"}', 'a.json')).toEqual({ 'bot-name': 'Bot' });
+      expect(parseConfigFile('', 'a.yml')).toEqual({});
+    });
+
+    it('should report syntax errors with the file name', () => {
+      expect(() => parseConfigFile('a: [1', 'a.yml')).toThrow('Could not parse a.yml');
+    });
+  });
+
+  describe('buildConfig', () => {
+    it('should fill in defaults', () => {
+      const config = buildConfig();
+
+      expect(config['comment-style']).toBe('constructive');
+      expect(config['max-meetings-per-pr']).toBe(3);
+      expect(config.labels.discussion).toBe('needs-discussion');
+    });
+
+    it('should convert input strings to typed values', () => {
+      core.getInput.mockImplementation((name) => ({
+        'add-labels': 'false',
+        'min-concerns': '2',
+        'preferred-meeting-hours': '9, 13',
+        'reviewer-emails': 'a@example.com,b@example.com',
+        'review-event': 'request_changes'
+      })[name] || '');
+
+      expect(buildConfig()).toMatchObject({
+        'add-labels': false,
+        'min-concerns': 2,
+        'preferred-meeting-hours': [9, 13],
+        'reviewer-emails': ['a@example.com', 'b@example.com'],
+        'review-event': 'REQUEST_CHANGES'
+      });
+    });
+
+    it('should prefer inputs over the file and the file over defaults', () => {
+      core.getInput.mockImplementation((name) => name === 'bot-name' ? 'Input Bot' : '');
+
+      const config = buildConfig({ 'bot-name': 'File Bot', 'timezone': 'Europe/Berlin', 'labels': { reviewed: 'shed' } });
+
+      expect(config['bot-name']).toBe('Input Bot');
+      expect(config.timezone).toBe('Europe/Berlin');
+      expect(config.labels).toEqual({ discussion: 'needs-discussion', reviewed: 'shed', 'priority-prefix': 'priority-' });
+    });
+
+    it('should reject invalid inputs', () => {
+      core.getInput.mockImplementation((name) => name === 'max-meetings-per-pr' ? 'lots' : '');
+
+      expect(() => buildConfig()).toThrow('Invalid action inputs: "max-meetings-per-pr" must be an integer');
+    });
+
+    it('should take inputs from the caller instead of the action', () => {
+      core.getInput.mockImplementation((name) => name === 'bot-name' ? 'Input Bot' : '');
+
+      const config = buildConfig({ 'bot-name': 'File Bot' }, 'config file', { 'min-concerns': 0 });
+
+      expect(config['bot-name']).toBe('File Bot');
+      expect(config['min-concerns']).toBe(0);
+      expect(core.getInput).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveTopics', () => {
+    it('should override and add topics', () => {
+      const topics = resolveTopics({
+        topics: {
+          'whitespace philosophy': { 'meeting-length': 5 },
+          'semicolon placement': { urgency: 'existential' }
+        }
+      });
+
+      expect(topics.find(t => t.topic === 'whitespace philosophy')).toEqual({
+        topic: 'whitespace philosophy', meetingLength: 5, urgency: 'urgent'
+      });
+      expect(topics.find(t => t.topic === 'semicolon placement').urgency).toBe('existential');
+    });
+  });
+});
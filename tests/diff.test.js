@@ -0,0 +1,233 @@
+const { parsePatch, getAddedLines, formatHunk, excerptHunk, mapLine, buildPatch, parseDiff } = require('../src/diff');
+
+describe('diff', () => {
+  describe('parsePatch', () => {
+    it('should return no hunks for a missing patch', () => {
+      expect(parsePatch(undefined)).toEqual([]);
+      expect(parsePatch('')).toEqual([]);
+    });
+
+    it('should parse hunk headers', () => {
+      const hunks = parsePatch('@@ -10,3 +12,4 @@ function main() {\n a\n+b\n c\n d');
+
+      expect(hunks).toHaveLength(1);
+      expect(hunks[0]).toMatchObject({
+        oldStart: 10,
+        oldLines: 3,
+        newStart: 12,
+        newLines: 4,
+        section: 'function main() {'
+      });
+    });
+
+    it('should default omitted hunk lengths to one', () => {
+      const [hunk] = parsePatch('@@ -1 +1 @@\n-a\n+b');
+
+      expect(hunk.oldLines).toBe(1);
+      expect(hunk.newLines).toBe(1);
+    });
+
+    it('should track real line numbers across hunks', () => {
+      const patch = [
+        '@@ -1,3 +1,4 @@',
+        ' const a = 1;',
+        '-const b = 2;',
+        '+const b = 3;',
+        '+const c = 4;',
+        ' module.exports = a;',
+        '@@ -20,2 +21,3 @@ function later() {',
+        ' return a;',
+        '+// TODO: remove',
+        ' }'
+      ].join('\n');
+
+      const added = getAddedLines(parsePatch(patch));
+
+      expect(added.map(line => [line.newLine, line.content])).toEqual([
+        [2, 'const b = 3;'],
+        [3, 'const c = 4;'],
+        [22, '// TODO: remove']
+      ]);
+      expect(added[2].hunk.newStart).toBe(21);
+    });
+
+    it('should number deleted lines against the old file', () => {
+      const [hunk] = parsePatch('@@ -5,2 +5,1 @@\n keep\n-gone');
+
+      expect(hunk.lines[1]).toEqual({ type: 'del', content: 'gone', oldLine: 6 });
+    });
+
+    it('should ignore file headers and no-newline markers', () => {
+      const patch = [
+        'diff --git a/x.js b/x.js',
+        '--- a/x.js',
+        '+++ b/x.js',
+        '@@ -1 +1 @@',
+        '-old',
+        '\\ No newline at end of file',
+        '+new',
+        '\\ No newline at end of file',
+        ''
+      ].join('\n');
+
+      const [hunk] = parsePatch(patch);
+
+      expect(hunk.lines).toHaveLength(2);
+      expect(hunk.lines[1]).toMatchObject({ type: 'add', content: 'new', newLine: 1, noNewline: true });
+    });
+
+    it('should treat blank lines inside a hunk as context', () => {
+      const added = getAddedLines(parsePatch('@@ -1,2 +1,3 @@\n a\n\n+b'));
+
+      expect(added[0].newLine).toBe(3);
+    });
+  });
+
+  describe('formatHunk', () => {
+    it('should render a hunk back to diff text', () => {
+      const patch = '@@ -1,2 +1,2 @@\n a\n-b\n+c';
+      const [hunk] = parsePatch(patch);
+
+      expect(formatHunk(hunk)).toBe(patch);
+    });
+  });
+
+  describe('excerptHunk', () => {
+    const [hunk] = parsePatch('@@ -1,6 +1,6 @@\n a\n b\n c\n-d\n+done\n e\n f\n g');
+
+    it('should render the lines around a line of the new version', () => {
+      expect(excerptHunk(hunk, 4, { context: 1 })).toBe('-d\n+done\n e');
+    });
+
+    it('should cut off long lines', () => {
+      expect(excerptHunk(hunk, 4, { context: 0, width: 3 })).toBe('+d…');
+    });
+
+    it('should return nothing for lines outside the hunk', () => {
+      expect(excerptHunk(hunk, 9)).toBe('');
+    });
+  });
+
+  describe('mapLine', () => {
+    const hunks = parsePatch([
+      '@@ -2,3 +2,3 @@',
+      ' b',
+      '-c',
+      '+C',
+      ' d',
+      '@@ -10,0 +11,2 @@',
+      '+x',
+      '+y'
+    ].join('\n'));
+
+    it('should keep lines before the first change', () => {
+      expect(mapLine(hunks, 1)).toBe(1);
+    });
+
+    it('should follow context lines inside a hunk', () => {
+      expect(mapLine(hunks, 4)).toBe(4);
+    });
+
+    it('should return null for changed lines', () => {
+      expect(mapLine(hunks, 3)).toBeNull();
+    });
+
+    it('should shift lines after inserted ones', () => {
+      expect(mapLine(hunks, 10)).toBe(10);
+      expect(mapLine(hunks, 11)).toBe(13);
+    });
+  });
+
+  describe('buildPatch', () => {
+    it('should mark every line of a new file as added', () => {
+      expect(buildPatch(null, 'a\nb\n')).toBe('@@ -0,0 +1,2 @@\n+a\n+b');
+    });
+
+    it('should keep lines that were already there as context', () => {
+      const patch = buildPatch('a\nb\nc\n', 'a\nx\nc\nc\n');
+      const added = getAddedLines(parsePatch(patch));
+
+      expect(added.map(line => [line.newLine, line.content])).toEqual([[2, 'x'], [4, 'c']]);
+    });
+
+    it('should return an empty patch for an empty file', () => {
+      expect(buildPatch('a\n', '')).toBe('');
+    });
+  });
+
+  describe('parseDiff', () => {
+    it('should split git diff output into files', () => {
+      const diff = [
+        'diff --git a/src/a.js b/src/a.js',
+        'index 1111111..2222222 100644',
+        '--- a/src/a.js',
+        '+++ b/src/a.js',
+        '@@ -1,2 +1,2 @@',
+        ' keep',
+        '--- removed line that looks like a header',
+        '+++ added line that looks like one too',
+        'diff --git a/new.js b/new.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/new.js',
+        '@@ -0,0 +1 @@',
+        '+x',
+        '\\ No newline at end of file',
+        'diff --git a/gone.js b/gone.js',
+        'deleted file mode 100644',
+        '--- a/gone.js',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '-y',
+        'diff --git a/old name.js b/new name.js',
+        'similarity index 100%',
+        'rename from old name.js',
+        'rename to new name.js',
+        'diff --git a/logo.png b/logo.png',
+        'Binary files a/logo.png and b/logo.png differ',
+        ''
+      ].join('\n');
+
+      const files = parseDiff(diff);
+
+      expect(files).toEqual([
+        {
+          filename: 'src/a.js',
+          status: 'modified',
+          additions: 1,
+          deletions: 1,
+          changes: 2,
+          patch: '@@ -1,2 +1,2 @@\n keep\n--- removed line that looks like a header\n+++ added line that looks like one too'
+        },
+        expect.objectContaining({ filename: 'new.js', status: 'added', patch: '@@ -0,0 +1 @@\n+x\n\\ No newline at end of file' }),
+        expect.objectContaining({ filename: 'gone.js', status: 'removed', deletions: 1 }),
+        expect.objectContaining({ filename: 'new name.js', previous_filename: 'old name.js', status: 'renamed', patch: '' }),
+        expect.objectContaining({ filename: 'logo.png', binary: true })
+      ]);
+      expect(files[4]).not.toHaveProperty('patch');
+    });
+
+    it('should read plain unified diffs and skip mail headers of .patch files', () => {
+      const patch = [
+        'From 123 Mon Sep 17 00:00:00 2001',
+        'Subject: [PATCH] Change things',
+        '---',
+        ' a.txt | 2 +-',
+        '--- a.txt.orig\t2024-01-01',
+        '+++ a.txt\t2024-01-02',
+        '@@ -1 +1 @@',
+        '-a',
+        '+b',
+        '--- b.txt',
+        '+++ b.txt',
+        '@@ -1 +1,2 @@',
+        ' b',
+        '+c',
+        '-- ',
+        '2.43.0'
+      ].join('\n');
+
+      expect(parseDiff(patch).map(file => [file.filename, file.changes])).toEqual([['a.txt', 2], ['b.txt', 1]]);
+    });
+  });
+});
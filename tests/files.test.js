@@ -0,0 +1,172 @@
+const { MAX_COMPARED_FILES, loadPullRequestFiles, loadChangedFilesSince } = require('../src/files');
+
+const encode = text => Buffer.from(text).toString('base64');
+
+describe('files', () => {
+  const repo = { owner: 'test-owner', repo: 'test-repo' };
+  const pullRequest = { number: 5, changed_files: 2, head: { sha: 'head' }, base: { sha: 'base' } };
+  let octokit;
+
+  const withFiles = (files) => octokit.rest.pulls.listFiles.mockResolvedValue({ data: files });
+  const withContents = (contents) => octokit.rest.repos.getContent.mockImplementation(({ path, ref }) => {
+    const content = contents[`${ref}:${path}`];
+    return content === undefined ?
+      Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })) :
+      Promise.resolve({ data: content });
+  });
+
+  beforeEach(() => {
+    octokit = {
+      paginate: jest.fn((method, params) => method(params).then(response => response.data)),
+      rest: {
+        pulls: { listFiles: jest.fn() },
+        repos: { getContent: jest.fn(), compareCommitsWithBasehead: jest.fn() }
+      }
+    };
+  });
+
+  it('should list every page of files', async () => {
+    withFiles([{ filename: 'a.js', patch: '@@ -0,0 +1 @@\n+a' }]);
+
+    const { files, skipped, unlisted } = await loadPullRequestFiles({ octokit, repo, pullRequest: { ...pullRequest, changed_files: 1 } });
+
+    expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.listFiles, { ...repo, pull_number: 5, per_page: 100 });
+    expect(files).toHaveLength(1);
+    expect(skipped).toEqual([]);
+    expect(unlisted).toBe(0);
+  });
+
+  it('should rebuild the patch of a large added file from its contents', async () => {
+    withFiles([{ filename: 'big.js', status: 'added', changes: 2 }]);
+    withContents({ 'head:big.js': { type: 'file', encoding: 'base64', content: encode('one\ntwo\n') } });
+
+    const { files } = await loadPullRequestFiles({ octokit, repo, pullRequest });
+
+    expect(files[0]).toMatchObject({ filename: 'big.js', patch: '@@ -0,0 +1,2 @@\n+one\n+two', patchSource: 'contents' });
+  });
+
+  it('should compare a large modified file against the base version', async () => {
+    withFiles([{ filename: 'new.js', previous_filename: 'old.js', status: 'renamed', changes: 3 }]);
+    withContents({
+      'head:new.js': { type: 'file', encoding: 'base64', content: encode('keep\nadded\n') },
+      'base:old.js': { type: 'file', encoding: 'base64', content: encode('keep\ngone\n') }
+    });
+
+    const { files } = await loadPullRequestFiles({ octokit, repo, pullRequest });
+
+    expect(files[0].patch).toBe('@@ -1,1 +1,2 @@\n keep\n+added');
+  });
+
+  it('should skip binary and oversized files with a reason', async () => {
+    withFiles([
+      { filename: 'logo.png', status: 'added', changes: 0 },
+      { filename: 'data.bin', status: 'added', changes: 10 },
+      { filename: 'huge.json', status: 'added', changes: 10 },
+      { filename: 'gone.js', status: 'removed', changes: 10 }
+    ]);
+    withContents({
+      'head:data.bin': { type: 'file', encoding: 'base64', content: Buffer.from([1, 0, 2]).toString('base64') },
+      'head:huge.json': { type: 'file', encoding: 'none', content: '', size: 2 * 1024 * 1024 }
+    });
+
+    const { files, skipped } = await loadPullRequestFiles({ octokit, repo, pullRequest });
+
+    expect(files.map(file => file.filename)).toEqual(['gone.js']);
+    expect(skipped).toEqual([
+      { file: 'logo.png', reason: 'binary file' },
+      { file: 'data.bin', reason: 'binary file' },
+      { file: 'huge.json', reason: 'too large to fetch' }
+    ]);
+  });
+
+  it('should skip files whose contents could not be fetched', async () => {
+    withFiles([{ filename: 'missing.js', status: 'added', changes: 1 }]);
+    withContents({});
+
+    const { skipped } = await loadPullRequestFiles({ octokit, repo, pullRequest });
+
+    expect(skipped).toEqual([{ file: 'missing.js', reason: 'could not fetch contents (Not Found)' }]);
+  });
+
+  it('should leave out filtered files without fetching them', async () => {
+    withFiles([
+      { filename: 'a.js', patch: '@@ -0,0 +1 @@\n+a' },
+      { filename: 'dist/huge.js', changes: 90000 }
+    ]);
+
+    const { files, skipped, filtered } = await loadPullRequestFiles({
+      octokit,
+      repo,
+      pullRequest,
+      filter: file => file.startsWith('dist/') ? 'dist/' : null
+    });
+
+    expect(files.map(file => file.filename)).toEqual(['a.js']);
+    expect(skipped).toEqual([]);
+    expect(filtered).toEqual([{ file: 'dist/huge.js', pattern: 'dist/' }]);
+    expect(octokit.rest.repos.getContent).not.toHaveBeenCalled();
+  });
+
+  it('should count files GitHub did not list', async () => {
+    withFiles([{ filename: 'a.js', patch: '@@ -0,0 +1 @@\n+a' }]);
+
+    const { unlisted } = await loadPullRequestFiles({ octokit, repo, pullRequest: { ...pullRequest, changed_files: 3500 } });
+
+    expect(unlisted).toBe(3499);
+  });
+
+  describe('loadChangedFilesSince', () => {
+    const withComparison = (data) => octokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({ data });
+
+    it('should load the files changed by the new commits', async () => {
+      withFiles([{ filename: 'a.js' }, { filename: 'b.js' }]);
+      withComparison({
+        status: 'ahead',
+        files: [
+          { filename: 'a.js', patch: '@@ -1 +1 @@\n-a\n+b' },
+          { filename: 'merged-from-main.js', patch: '@@ -0,0 +1 @@\n+m' },
+          { filename: 'gone.js', status: 'removed' }
+        ]
+      });
+
+      const changes = await loadChangedFilesSince({ octokit, repo, pullRequest, since: 'last' });
+
+      expect(octokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith({ ...repo, basehead: 'last...head' });
+      expect(changes.files.map(file => file.filename)).toEqual(['a.js', 'gone.js']);
+      expect(changes.unlisted).toBe(0);
+    });
+
+    it('should rebuild missing patches against the last reviewed commit', async () => {
+      withFiles([{ filename: 'big.js' }]);
+      withComparison({ status: 'ahead', files: [{ filename: 'big.js', status: 'modified', changes: 3 }] });
+      withContents({
+        'head:big.js': { type: 'file', encoding: 'base64', content: encode('keep\nadded\n') },
+        'last:big.js': { type: 'file', encoding: 'base64', content: encode('keep\n') }
+      });
+
+      const { files } = await loadChangedFilesSince({ octokit, repo, pullRequest, since: 'last' });
+
+      expect(files[0].patch).toBe('@@ -1,1 +1,2 @@\n keep\n+added');
+    });
+
+    it('should return null after a force push', async () => {
+      withComparison({ status: 'diverged', files: [] });
+
+      expect(await loadChangedFilesSince({ octokit, repo, pullRequest, since: 'last' })).toBeNull();
+    });
+
+    it('should return null when the last reviewed commit is gone', async () => {
+      octokit.rest.repos.compareCommitsWithBasehead.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+      expect(await loadChangedFilesSince({ octokit, repo, pullRequest, since: 'last' })).toBeNull();
+    });
+
+    it('should return null when the comparison may be missing files', async () => {
+      const files = Array.from({ length: MAX_COMPARED_FILES }, (_, i) => ({ filename: `f${i}.js`, patch: '' }));
+      withComparison({ status: 'ahead', files });
+
+      expect(await loadChangedFilesSince({ octokit, repo, pullRequest, since: 'last' })).toBeNull();
+      expect(octokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,16 @@
+module.exports = [
+  {
+    id: 'no-console',
+    topic: 'syntax style consistency',
+    check({ addedLines }) {
+      return addedLines
+        .filter(line => line.content.includes('console.log'))
+        .map(line => ({ line: line.newLine, message: 'console.log added.' }));
+    }
+  },
+  {
+    id: 'semicolon-debate',
+    topic: { topic: 'semicolon placement', meetingLength: 60, urgency: 'existential' },
+    check: () => []
+  }
+];
@@ -0,0 +1,89 @@
+const core = require('@actions/core');
+const { requestWithRetry, retryDelay } = require('../src/github');
+
+jest.mock('@actions/core');
+
+const httpError = (status, { headers = {}, message = '' } = {}) =>
+  Object.assign(new Error(message || `HTTP ${status}`), { status, response: { headers, data: { message } } });
+
+describe('github', () => {
+  const options = { method: 'GET', url: '/repos/{owner}/{repo}/pulls/{pull_number}/files' };
+  let sleep;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sleep = jest.fn().mockResolvedValue();
+  });
+
+  describe('retryDelay', () => {
+    const settings = { delay: 1000 };
+
+    it('should back off exponentially on server errors', () => {
+      expect(retryDelay(httpError(502), 0, settings)).toBe(1000);
+      expect(retryDelay(httpError(503), 2, settings)).toBe(4000);
+    });
+
+    it('should honour retry-after', () => {
+      expect(retryDelay(httpError(429, { headers: { 'retry-after': '7' } }), 0, settings)).toBe(7000);
+    });
+
+    it('should wait for the primary rate limit to reset', () => {
+      const reset = Math.floor(Date.now() / 1000) + 30;
+      const delay = retryDelay(httpError(403, {
+        headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }
+      }), 0, settings);
+
+      expect(delay).toBeGreaterThan(25000);
+      expect(delay).toBeLessThanOrEqual(31000);
+    });
+
+    it('should wait a minute on secondary rate limits without retry-after', () => {
+      const error = httpError(403, { message: 'You have exceeded a secondary rate limit.' });
+
+      expect(retryDelay(error, 0, settings)).toBe(60000);
+    });
+
+    it('should not retry client errors', () => {
+      expect(retryDelay(httpError(403, { message: 'Resource not accessible by integration' }), 0, settings)).toBeNull();
+      expect(retryDelay(httpError(404), 0, settings)).toBeNull();
+      expect(retryDelay(httpError(422), 0, settings)).toBeNull();
+    });
+  });
+
+  describe('requestWithRetry', () => {
+    it('should retry transient errors until the request succeeds', async () => {
+      const request = jest.fn()
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValueOnce(httpError(429, { headers: { 'retry-after': '2' } }))
+        .mockResolvedValue({ data: 'ok' });
+
+      const response = await requestWithRetry(request, options, { sleep });
+
+      expect(response).toEqual({ data: 'ok' });
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(sleep.mock.calls).toEqual([[1000], [2000]]);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('failed with 502, retrying in 1s'));
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      const request = jest.fn().mockRejectedValue(httpError(500));
+
+      await expect(requestWithRetry(request, options, { sleep, retries: 2 })).rejects.toThrow('HTTP 500');
+      expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not wait for rate limits that reset too far ahead', async () => {
+      const request = jest.fn().mockRejectedValue(httpError(429, { headers: { 'retry-after': '3600' } }));
+
+      await expect(requestWithRetry(request, options, { sleep })).rejects.toThrow('HTTP 429');
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should rethrow errors that are not retried', async () => {
+      const request = jest.fn().mockRejectedValue(httpError(404));
+
+      await expect(requestWithRetry(request, options, { sleep })).rejects.toThrow('HTTP 404');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+  });
+});
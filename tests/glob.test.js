@@ -0,0 +1,40 @@
+const { matchesGlob } = require('../src/glob');
+
+describe('glob', () => {
+  it('should match patterns without a slash at any depth', () => {
+    expect(matchesGlob('*.js', 'index.js')).toBe(true);
+    expect(matchesGlob('*.js', 'src/rules/index.js')).toBe(true);
+    expect(matchesGlob('*.js', 'src/index.ts')).toBe(false);
+    expect(matchesGlob('README.md', 'docs/README.md')).toBe(true);
+  });
+
+  it('should anchor patterns with a slash to the root', () => {
+    expect(matchesGlob('/build/', 'build/out.js')).toBe(true);
+    expect(matchesGlob('/build/', 'src/build/out.js')).toBe(false);
+    expect(matchesGlob('src/*.js', 'lib/src/a.js')).toBe(false);
+  });
+
+  it('should match everything below a matching directory', () => {
+    expect(matchesGlob('apps/', 'packages/apps/web/index.js')).toBe(true);
+    expect(matchesGlob('/docs', 'docs/guide/intro.md')).toBe(true);
+    expect(matchesGlob('/build/', 'build')).toBe(false);
+  });
+
+  it('should only match files directly in a directory for a trailing wildcard', () => {
+    expect(matchesGlob('docs/*', 'docs/intro.md')).toBe(true);
+    expect(matchesGlob('docs/*', 'docs/guide/intro.md')).toBe(false);
+  });
+
+  it('should support ** and ?', () => {
+    expect(matchesGlob('apps/**', 'apps/web/src/a.js')).toBe(true);
+    expect(matchesGlob('src/**/test.js', 'src/test.js')).toBe(true);
+    expect(matchesGlob('src/**/test.js', 'src/a/b/test.js')).toBe(true);
+    expect(matchesGlob('file?.txt', 'file1.txt')).toBe(true);
+    expect(matchesGlob('file?.txt', 'file10.txt')).toBe(false);
+  });
+
+  it('should treat regular expression characters literally', () => {
+    expect(matchesGlob('a+b(1).js', 'a+b(1).js')).toBe(true);
+    expect(matchesGlob('a.js', 'abjs')).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+const { buildIcs, escapeText, foldLine } = require('../src/ics');
+
+describe('ics', () => {
+  const meeting = {
+    uid: 'owner-repo-1-abc@bikeshed-bot',
+    start: new Date('2026-10-20T14:00:00Z'),
+    end: new Date('2026-10-20T17:00:00Z'),
+    summary: '[Code Review] Naming, again',
+    description: 'Line one\nLine two; with detail',
+    attendees: [{ email: 'a@example.com' }, { email: 'b@example.com' }],
+    url: 'https://github.com/owner/repo/pull/1',
+    stamp: new Date('2026-10-19T08:30:15.123Z')
+  };
+
+  it('should build a VEVENT with UTC times', () => {
+    const ics = buildIcs(meeting);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics).toContain('\r\nUID:owner-repo-1-abc@bikeshed-bot\r\n');
+    expect(ics).toContain('\r\nDTSTAMP:20261019T083015Z\r\n');
+    expect(ics).toContain('\r\nDTSTART:20261020T140000Z\r\n');
+    expect(ics).toContain('\r\nDTEND:20261020T170000Z\r\n');
+    expect(ics).toContain('\r\nSUMMARY:[Code Review] Naming\\, again\r\n');
+    expect(ics).toContain('\r\nATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:b@example.com\r\n');
+    expect(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('should escape text values', () => {
+    expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+  });
+
+  it('should fold long lines at 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`).split('\r\n');
+
+    expect(folded[0]).toHaveLength(75);
+    folded.slice(1).forEach(line => {
+      expect(line.startsWith(' ')).toBe(true);
+      expect(line.length).toBeLessThanOrEqual(75);
+    });
+    expect(folded.map((line, i) => i === 0 ? line : line.substring(1)).join('')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+
+  it('should not split multi-byte characters when folding', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`).split('\r\n');
+
+    folded.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+  });
+});
@@ -1,14 +1,25 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const BikeshedBot = require('../src/index');
+const { concernMarker, stateMarker, parseMarker } = require('../src/markers');
+const { findSlot } = require('../src/slots');
+const { parsePatch } = require('../src/diff');
+const { renderComment } = require('../src/comments');
+const { MeetingBudget, attendeeId } = require('../src/budget');
 const core = require('@actions/core');
 const github = require('@actions/github');
+const moment = require('moment-timezone');
 
 // Mock dependencies
 jest.mock('@actions/core');
 jest.mock('@actions/github');
 jest.mock('googleapis');
 jest.mock('moment-timezone');
+jest.mock('../src/slots');
 
 describe('BikeshedBot', () => {
+  const botUser = { login: 'github-actions[bot]', type: 'Bot' };
   let bot;
   let mockOctokit;
   let mockContext;
@@ -53,8 +64,10 @@ describe('BikeshedBot', () => {
 
     // Setup Octokit mock
     mockOctokit = {
+      paginate: jest.fn((method, params) => method(params).then(response => response.data)),
       rest: {
         pulls: {
+          createReview: jest.fn().mockResolvedValue({ data: { id: 2 } }),
           listFiles: jest.fn().mockResolvedValue({
             data: [
               {
@@ -70,112 +83,1589 @@ describe('BikeshedBot', () => {
         },
         issues: {
           createComment: jest.fn().mockResolvedValue({ data: { id: 1 } }),
-          addLabels: jest.fn().mockResolvedValue({ data: [] })
+          updateComment: jest.fn().mockResolvedValue({ data: { id: 1 } }),
+          deleteComment: jest.fn().mockResolvedValue({}),
+          listComments: jest.fn().mockResolvedValue({ data: [] }),
+          addLabels: jest.fn().mockResolvedValue({ data: [] }),
+          removeLabel: jest.fn().mockResolvedValue({ data: [] }),
+          listLabelsOnIssue: jest.fn().mockResolvedValue({ data: [] }),
+          getLabel: jest.fn().mockResolvedValue({ data: {} }),
+          createLabel: jest.fn().mockResolvedValue({ data: {} })
+        },
+        checks: {
+          create: jest.fn().mockResolvedValue({ data: { id: 77 } }),
+          update: jest.fn().mockResolvedValue({ data: { id: 77 } })
+        },
+        repos: {
+          getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })),
+          getCollaboratorPermissionLevel: jest.fn().mockResolvedValue({ data: { permission: 'write', role_name: 'write' } })
+        },
+        reactions: {
+          createForIssueComment: jest.fn().mockResolvedValue({ data: {} })
+        },
+        users: {
+          // The GITHUB_TOKEN can't read its own user
+          getAuthenticated: jest.fn().mockRejectedValue(Object.assign(new Error('Resource not accessible by integration'), { status: 403 }))
         }
       }
     };
 
-    github.getOctokit.mockReturnValue(mockOctokit);
-    github.context = mockContext;
+    github.getOctokit.mockReturnValue(mockOctokit);
+    github.context = mockContext;
+
+    bot = new BikeshedBot();
+  });
+
+  describe('constructor', () => {
+    it('should initialize with correct defaults', () => {
+      expect(bot.octokit).toBe(mockOctokit);
+      expect(bot.context).toBe(mockContext);
+      expect(bot.calendarEnabled).toBe(false);
+      expect(bot.maxMeetingsPerPR).toBe(3);
+      expect(bot.commentStyle).toBe('constructive');
+    });
+
+    it('should parse calendar enabled as boolean', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'enable-calendar') return 'true';
+        return name === 'github-token' ? 'fake-token' : '';
+      });
+      
+      const botWithCalendar = new BikeshedBot();
+      expect(botWithCalendar.calendarEnabled).toBe(true);
+    });
+  });
+
+  describe('run', () => {
+    it('should skip non-pull request events', async () => {
+      github.context.eventName = 'push';
+      
+      await bot.run();
+      
+      expect(core.info).toHaveBeenCalledWith('This action only runs on pull request and issue comment events');
+      expect(mockOctokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+    });
+
+    it('should analyze PR and post comments', async () => {
+      await bot.run();
+
+      expect(mockOctokit.rest.pulls.listFiles).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        pull_number: 123,
+        per_page: 100
+      });
+
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('concerns-found', expect.any(Number));
+      expect(core.setOutput).toHaveBeenCalledWith('meetings-scheduled', expect.any(Number));
+    });
+
+    it('should handle errors gracefully', async () => {
+      const error = new Error('API Error');
+      mockOctokit.rest.pulls.listFiles.mockRejectedValue(error);
+
+      await bot.run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Action failed: API Error');
+    });
+  });
+
+  describe('loadConfig', () => {
+    const encode = (content) => ({ data: { content: Buffer.from(content).toString('base64'), encoding: 'base64' } });
+
+    beforeEach(() => {
+      mockContext.payload.pull_request.base = { sha: 'base123' };
+    });
+
+    it('should read the config file at the base ref', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValueOnce(encode('bot-name: Config Bot\ngoogle-calendar-id: team@example.com\n'));
+
+      await bot.loadConfig();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        path: '.github/bikeshed.yml',
+        ref: 'base123'
+      });
+      expect(bot.config['google-calendar-id']).toBe('team@example.com');
+      expect(core.info).toHaveBeenCalledWith(expect.stringContaining('"google-calendar-id": "team@example.com"'));
+    });
+
+    it('should let action inputs override the config file', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValueOnce(encode('bot-name: Config Bot\ncomment-style: formal\n'));
+
+      await bot.loadConfig();
+
+      expect(bot.config['bot-name']).toBe('Test Bot');
+      expect(bot.commentStyle).toBe('constructive');
+    });
+
+    it('should read the config path input', async () => {
+      core.getInput.mockImplementation((name) => name === 'config-path' ? 'config/bikeshed.json' : '');
+      mockOctokit.rest.repos.getContent.mockResolvedValueOnce(encode('{"topics": {"naming conventions": {"meeting-length": 15}}}'));
+
+      await bot.loadConfig();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(
+        expect.objectContaining({ path: 'config/bikeshed.json' })
+      );
+      expect(bot.topics.find(t => t.topic === 'naming conventions').meetingLength).toBe(15);
+    });
+
+    it('should use the inputs when there is no config file', async () => {
+      await bot.loadConfig();
+
+      expect(core.info).toHaveBeenCalledWith('No config file at .github/bikeshed.yml, using action inputs');
+      expect(bot.config['bot-name']).toBe('Test Bot');
+    });
+
+    it('should name the bad key in validation errors', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(encode('labels:\n  reviewed: 42\n'));
+
+      await expect(bot.loadConfig()).rejects.toThrow(
+        'Invalid .github/bikeshed.yml: "labels.reviewed" must be a string'
+      );
+    });
+
+    it('should fail the run on an invalid config file', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(encode('meeting-lenght: 5\n'));
+
+      await bot.run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Invalid .github/bikeshed.yml: "meeting-lenght" is not a known setting'
+      );
+    });
+  });
+
+  describe('analyzePR', () => {
+    it('should find concerns in files', async () => {
+      const concerns = await bot.analyzePR();
+
+      expect(concerns.length).toBeGreaterThan(0);
+      expect(concerns.length).toBeLessThanOrEqual(3);
+      
+      concerns.forEach(concern => {
+        expect(concern).toHaveProperty('file');
+        expect(concern).toHaveProperty('topic');
+        expect(concern).toHaveProperty('severity');
+      });
+    });
+
+    it('should detect TODO patterns', async () => {
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [
+          {
+            filename: 'src/index.js',
+            patch: '+// TODO: Implement this feature\n+const x = 1;'
+          }
+        ]
+      });
+
+      const concerns = await bot.analyzePR();
+      // With random generation, we may not always get a TODO concern
+      // so let's just check that concerns were generated
+      expect(concerns.length).toBeGreaterThan(0);
+    });
+
+    it('should point concerns at real added lines', async () => {
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [
+          {
+            filename: 'src/index.js',
+            patch: '@@ -40,2 +40,3 @@ class Foo {\n   bar() {\n+    // TODO: handle errors\n   }'
+          }
+        ]
+      });
+
+      const concerns = await bot.analyzePR();
+
+      expect(concerns).toHaveLength(1);
+      expect(concerns[0]).toMatchObject({
+        file: 'src/index.js',
+        rule: 'todo-markers',
+        line: 41,
+        side: 'RIGHT',
+        codeSnippet: '    // TODO: handle errors'
+      });
+      expect(concerns[0].topic.topic).toBe('TODO items and technical debt');
+      expect(concerns[0].hunk.header).toBe('@@ -40,2 +40,3 @@ class Foo {');
+    });
+
+    it('should leave out filtered files and apply path overrides', async () => {
+      bot.applyConfig({
+        ...bot.config,
+        'include-paths': ['src/', 'docs/'],
+        'path-overrides': [
+          { 'paths': ['docs/'], 'meetings': false, 'comment-style': 'friendly', 'severity-boost': 1 },
+          { 'paths': ['src/legacy/'], 'enabled-rules': ['naming-conventions'] }
+        ]
+      });
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [
+          { filename: 'docs/guide.js', changes: 1, patch: '@@ -0,0 +1 @@\n+// TODO: write' },
+          { filename: 'src/legacy/old.js', changes: 1, patch: '@@ -0,0 +1 @@\n+// TODO: remove' },
+          { filename: 'src/dist/app.js', changes: 1, patch: '@@ -0,0 +1 @@\n+// TODO: build' },
+          { filename: 'package.json', changes: 1, patch: '@@ -0,0 +1 @@\n+// TODO: bump' }
+        ]
+      });
+
+      const concerns = await bot.analyzePR();
+
+      expect(concerns.filter(concern => concern.rule !== 'min-concerns')).toEqual([expect.objectContaining({
+        file: 'docs/guide.js',
+        severity: 'DISCUSSION_NEEDED',
+        severityReasons: ['severity-boost 1 for docs/'],
+        commentStyle: 'friendly',
+        noMeeting: true
+      })]);
+      expect(bot.filteredFiles).toEqual([
+        { pattern: 'dist/', files: 1 },
+        { pattern: 'not in include-paths', files: 1 }
+      ]);
+    });
+
+    it('should raise style concerns against the conventions on the base ref', async () => {
+      mockContext.payload.pull_request.base = { sha: 'base-sha' };
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path, ref }) => path === '.editorconfig' && ref === 'base-sha' ?
+        Promise.resolve({ data: { type: 'file', encoding: 'base64', content: Buffer.from('[*.js]\nindent_style = space\n').toString('base64') } }) :
+        Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [
+          { filename: 'src/a.js', patch: '@@ -0,0 +1,2 @@\n+if (a) {\n+\tb();' },
+          { filename: 'Makefile', patch: '@@ -0,0 +1,2 @@\n+all:\n+\tmake' }
+        ]
+      });
+
+      const concerns = await bot.analyzePR();
+
+      expect(concerns.filter(concern => concern.rule === 'indentation-patterns')).toEqual([expect.objectContaining({
+        file: 'src/a.js',
+        line: 2,
+        detail: '1 added line indents with tabs, but `.editorconfig`: `[*.js] indent_style = space` declares spaces.',
+        convention: { file: '.editorconfig', setting: '[*.js] indent_style = space' }
+      })]);
+    });
+
+    it('should reject unknown rules in path overrides', async () => {
+      bot.applyConfig({ ...bot.config, 'path-overrides': [{ 'paths': ['a/'], 'disabled-rules': ['todo'] }] });
+
+      await expect(bot.analyzePR()).rejects.toThrow('Unknown rule "todo" in path-overrides[0]. Available rules: indentation-patterns');
+    });
+
+    it('should only raise file concerns for rule findings', async () => {
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [
+          { filename: 'src/old.js', patch: '@@ -1,1 +0,0 @@\n-const x = 1;' },
+          { filename: 'src/clean.js', patch: '@@ -0,0 +1,1 @@\n+const x = 1;' }
+        ]
+      });
+
+      const concerns = await bot.analyzePR();
+
+      expect(concerns).toHaveLength(1);
+      expect(concerns[0].file).toBe('overall approach');
+    });
+
+    it('should analyse files GitHub returned without a patch from their contents', async () => {
+      mockContext.payload.pull_request.head = { sha: 'head-sha' };
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [{ filename: 'src/big.js', status: 'added', changes: 5000 }]
+      });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('const a = 1;\n// TODO: split\n').toString('base64') }
+      });
+
+      const concerns = await bot.analyzePR();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'src/big.js', ref: 'head-sha' }));
+      expect(concerns[0]).toMatchObject({ file: 'src/big.js', rule: 'todo-markers', line: 2, outsideDiff: true });
+      expect(bot.skippedFiles).toEqual([]);
+    });
+
+    it('should record files that could not be analysed', async () => {
+      mockContext.payload.pull_request.changed_files = 3002;
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [{ filename: 'logo.png', status: 'added', changes: 0 }]
+      });
+
+      await bot.analyzePR();
+
+      expect(bot.skippedFiles).toEqual([{ file: 'logo.png', reason: 'binary file' }]);
+      expect(bot.unlistedFiles).toBe(3001);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('3001 file(s) were not analysed'));
+    });
+
+    it('should skip disabled rules', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'disabled-rules') return 'todo-markers';
+        if (name === 'min-concerns') return '0';
+        return '';
+      });
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [{ filename: 'src/index.js', patch: '@@ -0,0 +1,1 @@\n+// TODO: later' }]
+      });
+
+      const concerns = await new BikeshedBot().analyzePR();
+
+      expect(concerns).toHaveLength(0);
+    });
+
+    it('should rate findings from the diff by their rule', async () => {
+      mockOctokit.rest.pulls.listFiles.mockResolvedValueOnce({
+        data: [{ filename: 'src/index.js', changes: 1, patch: '@@ -0,0 +1 @@\n+// TODO: later' }]
+      });
+
+      const [concern] = await bot.analyzePR();
+
+      expect(concern).toMatchObject({ rule: 'todo-markers', severity: 'FOLLOW_UP_NEEDED', severityReasons: [] });
+    });
+
+    it('should respect minimum concerns setting', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'min-concerns') return '5';
+        if (name === 'max-meetings-per-pr') return '10';
+        return name === 'github-token' ? 'fake-token' : '';
+      });
+
+      const botWithMinConcerns = new BikeshedBot();
+      const concerns = await botWithMinConcerns.analyzePR();
+
+      expect(concerns.length).toBeGreaterThanOrEqual(5);
+    });
+  });
+
+  describe('postComments', () => {
+    const anchored = {
+      file: 'src/app.js',
+      line: 12,
+      side: 'RIGHT',
+      codeSnippet: 'const x = 1;',
+      topic: { topic: 'naming conventions', urgency: 'critical' },
+      severity: 'HIGH'
+    };
+    const unanchored = {
+      file: 'overall approach',
+      topic: { topic: 'code structure', urgency: 'high' },
+      severity: 'WORTH_DISCUSSING'
+    };
+
+    it('should post issue comments by default', async () => {
+      await bot.postComments([anchored, unanchored]);
+
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(3);
+      expect(mockOctokit.rest.pulls.createReview).not.toHaveBeenCalled();
+    });
+
+    it('should edit its previous comments instead of posting again', async () => {
+      const concerns = [{ ...anchored, key: 'naming-conventions|src/app.js' }];
+      await bot.postComments(concerns);
+
+      const posted = mockOctokit.rest.issues.createComment.mock.calls.map(([call], i) => ({
+        id: i + 1,
+        body: call.body,
+        user: botUser
+      }));
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 99, body: 'Unrelated human comment' }, ...posted]
+      });
+      mockOctokit.rest.issues.createComment.mockClear();
+
+      await bot.postComments(concerns);
+
+      expect(mockOctokit.rest.issues.listComments).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 123,
+        per_page: 100
+      });
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    });
+
+    it('should only read markers in its own comments', async () => {
+      bot.calendarEnabled = true;
+      bot.calendar = { cancel: jest.fn() };
+      const meeting = { eventId: 'someone-elses', start: new Date(Date.now() + 86400000).toISOString() };
+      mockOctokit.rest.users.getAuthenticated.mockResolvedValue({ data: { login: 'bikeshed-bot' } });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { id: 5, body: `${concernMarker('forged', { data: { meeting } })}\nForged`, user: { login: 'mallory', type: 'User' } },
+          { id: 6, body: `${stateMarker({ ignoredTopics: ['todo-markers'] })}\nForged`, user: botUser },
+          { id: 7, body: '<!-- bikeshed-bot:overview -->\nOld overview', user: { login: 'bikeshed-bot', type: 'User' } }
+        ]
+      });
+
+      const existing = await bot.findBotComments();
+      await bot.postComments([]);
+
+      expect(existing.concerns.size).toBe(0);
+      expect(existing.state).toBeNull();
+      expect(existing.overview.id).toBe(7);
+      expect(bot.calendar.cancel).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.users.getAuthenticated).toHaveBeenCalledTimes(1);
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    it('should read the comments of bot-login when it is set', async () => {
+      const getInput = core.getInput.getMockImplementation();
+      core.getInput.mockImplementation(name => name === 'bot-login' ? 'my-app[bot]' : getInput(name));
+      const appBot = new BikeshedBot();
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 7, body: '<!-- bikeshed-bot:overview -->\nOld overview', user: { login: 'my-app[bot]', type: 'Bot' } }]
+      });
+
+      const existing = await appBot.findBotComments();
+
+      expect(existing.overview.id).toBe(7);
+      expect(mockOctokit.rest.users.getAuthenticated).not.toHaveBeenCalled();
+    });
+
+    it('should warn once when only other accounts carry its markers', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 7, body: '<!-- bikeshed-bot:overview -->\nOld overview', user: { login: 'my-app[bot]', type: 'Bot' } }]
+      });
+
+      await bot.findBotComments();
+      await bot.findBotComments();
+
+      expect(core.warning).toHaveBeenCalledTimes(1);
+      expect(core.warning).toHaveBeenCalledWith('Found bot markers only in comments by my-app[bot], not github-actions[bot]. ' +
+        'Set bot-login to the account the github-token comments as.');
+    });
+
+    it('should update changed comments in place', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 7, body: '<!-- bikeshed-bot:overview -->\nOld overview', user: botUser }]
+      });
+
+      await bot.postComments([]);
+
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 7,
+        body: expect.stringContaining('Test Bot Review')
+      });
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should mark comments for concerns that no longer apply as resolved', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 8, body: '<!-- bikeshed-bot:concern:todo-markers%7Csrc%2Fa.js -->\nOld concern', user: botUser }]
+      });
+
+      await bot.postComments([]);
+
+      const update = mockOctokit.rest.issues.updateComment.mock.calls.find(([call]) => call.comment_id === 8)[0];
+      expect(update.body).toContain('<!-- bikeshed-bot:concern:todo-markers%7Csrc%2Fa.js:resolved -->');
+      expect(update.body).toContain('Resolved');
+      expect(update.body).toContain('Old concern');
+    });
+
+    it('should leave already resolved comments alone', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 8, body: '<!-- bikeshed-bot:concern:old:resolved -->\nResolved', user: botUser }]
+      });
+
+      await bot.postComments([]);
+
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalledWith(expect.objectContaining({ comment_id: 8 }));
+    });
+
+    it('should delete stale comments when configured', async () => {
+      bot.config['stale-comments'] = 'delete';
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 8, body: '<!-- bikeshed-bot:concern:old -->\nOld concern', user: botUser }]
+      });
+
+      await bot.postComments([]);
+
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 8
+      });
+    });
+
+    it('should submit a single review with inline comments in review mode', async () => {
+      bot.commentMode = 'review';
+      mockContext.payload.pull_request.head = { sha: 'abc123' };
+
+      await bot.postComments([anchored, unanchored]);
+
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.createReview).toHaveBeenCalledTimes(1);
+
+      const review = mockOctokit.rest.pulls.createReview.mock.calls[0][0];
+      expect(review).toMatchObject({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        pull_number: 123,
+        commit_id: 'abc123',
+        event: 'COMMENT'
+      });
+      expect(review.comments).toEqual([
+        { path: 'src/app.js', line: 12, side: 'RIGHT', body: expect.any(String) }
+      ]);
+      expect(review.body).toContain('Test Bot Review');
+      expect(review.body).toContain('General notes');
+      expect(review.body).toContain('**overall approach**');
+    });
+
+    it('should not comment inline on lines outside the diff', async () => {
+      bot.commentMode = 'review';
+      mockContext.payload.pull_request.head = { sha: 'abc123' };
+
+      await bot.postComments([{ ...anchored, outsideDiff: true }]);
+
+      const review = mockOctokit.rest.pulls.createReview.mock.calls[0][0];
+      expect(review.comments).toEqual([]);
+      expect(review.body).toContain('General notes');
+    });
+
+    it('should create a check run with annotations in check mode', async () => {
+      bot.commentMode = 'check';
+      mockContext.payload.pull_request.head = { sha: 'abc123' };
+
+      await bot.postComments([anchored, unanchored]);
+
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.listComments).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.checks.update).not.toHaveBeenCalled();
+
+      const checkRun = mockOctokit.rest.checks.create.mock.calls[0][0];
+      expect(checkRun).toMatchObject({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        name: 'Test Bot',
+        head_sha: 'abc123',
+        status: 'completed',
+        conclusion: 'neutral'
+      });
+      expect(checkRun.output.annotations).toEqual([{
+        path: 'src/app.js',
+        start_line: 12,
+        end_line: 12,
+        annotation_level: 'warning',
+        title: 'naming conventions (HIGH)',
+        message: expect.any(String)
+      }]);
+      expect(checkRun.output.summary).toContain('Test Bot Review');
+      expect(checkRun.output.summary).toContain('**overall approach**');
+    });
+
+    it('should fail the check run at the configured severity', async () => {
+      bot.commentMode = 'check';
+      bot.config['check-failure-severity'] = 'HIGH';
+
+      await bot.postComments([anchored]);
+
+      const checkRun = mockOctokit.rest.checks.create.mock.calls[0][0];
+      expect(checkRun.conclusion).toBe('failure');
+      expect(checkRun.output.annotations[0].annotation_level).toBe('failure');
+    });
+
+    it('should send annotations in batches of 50', async () => {
+      bot.commentMode = 'check';
+      const concerns = Array.from({ length: 120 }, (_, i) => ({ ...anchored, line: i + 1 }));
+
+      await bot.postComments(concerns);
+
+      expect(mockOctokit.rest.checks.create.mock.calls[0][0].output.annotations).toHaveLength(50);
+      expect(mockOctokit.rest.checks.update).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.checks.update.mock.calls.map(([call]) => call.output.annotations.length)).toEqual([50, 20]);
+      expect(mockOctokit.rest.checks.update).toHaveBeenCalledWith(expect.objectContaining({ check_run_id: 77 }));
+    });
+
+    it('should use the configured review event', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'comment-mode') return 'review';
+        if (name === 'review-event') return 'request_changes';
+        return '';
+      });
+
+      const reviewBot = new BikeshedBot();
+      await reviewBot.postComments([anchored]);
+
+      expect(mockOctokit.rest.pulls.createReview).toHaveBeenCalledWith(
+        expect.objectContaining({ event: 'REQUEST_CHANGES' })
+      );
+    });
+
+    it('should reject unknown review events', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'review-event') return 'APPROVE';
+        return '';
+      });
+
+      expect(() => new BikeshedBot()).toThrow('"review-event" must be one of COMMENT, REQUEST_CHANGES');
+    });
+  });
+
+  describe('scheduleMeetings', () => {
+    const concernFor = (key) => ({ key, file: 'a.js', topic: { topic: 'naming conventions', meetingLength: 30 } });
+
+    beforeEach(() => {
+      bot.calendarEnabled = true;
+      bot.config['meeting-grouping'] = 'concern';
+    });
+
+    it('should schedule at most max-meetings-per-pr meetings', async () => {
+      bot.maxMeetingsPerPR = 2;
+      bot.scheduleMeeting = jest.fn().mockResolvedValue({ time: 'Monday', duration: 30 });
+      const concerns = [concernFor('a'), concernFor('b'), concernFor('c')];
+
+      const scheduled = await bot.scheduleMeetings(concerns, null);
+
+      expect(scheduled).toBe(2);
+      expect(bot.scheduleMeeting).toHaveBeenCalledTimes(2);
+      expect(concerns[2].meeting).toBeUndefined();
+    });
+
+    it('should not count failed bookings', async () => {
+      bot.scheduleMeeting = jest.fn().mockResolvedValue(null);
+
+      expect(await bot.scheduleMeetings([concernFor('a')], null)).toBe(0);
+    });
+
+    it('should not schedule meetings for concerns without meetings', async () => {
+      bot.scheduleMeeting = jest.fn().mockResolvedValue({ time: 'Monday', duration: 30 });
+      const concerns = [{ ...concernFor('a'), noMeeting: true }, concernFor('b')];
+
+      expect(await bot.scheduleMeetings(concerns, null)).toBe(1);
+      expect(bot.scheduleMeeting).toHaveBeenCalledWith([concerns[1]]);
+    });
+
+    it('should keep meetings booked on earlier runs', async () => {
+      bot.maxMeetingsPerPR = 1;
+      bot.scheduleMeeting = jest.fn().mockResolvedValue({ time: 'Tuesday', duration: 30 });
+      const meeting = { time: 'Monday', duration: 30 };
+      const existing = {
+        concerns: new Map([['b', { id: 5, body: `${concernMarker('b', { data: { meeting } })}\nBody` }]])
+      };
+      const concerns = [concernFor('a'), concernFor('b')];
+
+      const scheduled = await bot.scheduleMeetings(concerns, existing);
+
+      expect(scheduled).toBe(0);
+      expect(bot.scheduleMeeting).not.toHaveBeenCalled();
+      expect(concerns[1].meeting).toEqual(meeting);
+    });
+
+    it('should group the concerns of a file into one meeting', async () => {
+      bot.config['meeting-grouping'] = 'file';
+      bot.scheduleMeeting = jest.fn().mockResolvedValue({ eventId: 'evt1', duration: 60 });
+      const concerns = [concernFor('a'), { ...concernFor('b'), file: 'b.js' }, concernFor('c')];
+
+      expect(await bot.scheduleMeetings(concerns, null)).toBe(2);
+      expect(bot.scheduleMeeting.mock.calls).toEqual([[[concerns[0], concerns[2]]], [[concerns[1]]]]);
+      expect(concerns[2].meeting).toBe(concerns[0].meeting);
+    });
+
+    it('should group concerns with the same attendees into one meeting', async () => {
+      bot.config['meeting-grouping'] = 'attendees';
+      const attendees = {
+        'a.js': [{ email: 'dev@example.com' }, { email: 'Reviewer@example.com' }],
+        'b.js': [{ email: 'reviewer@example.com' }, { email: 'dev@example.com' }],
+        'c.js': [{ email: 'owner@example.com' }]
+      };
+      bot.getMeetingAttendees = jest.fn(async concern => attendees[concern.file]);
+      bot.scheduleMeeting = jest.fn().mockResolvedValue({ eventId: 'evt1', duration: 60 });
+      const concerns = [concernFor('a'), { ...concernFor('b'), file: 'b.js' }, { ...concernFor('c'), file: 'c.js' }];
+
+      await bot.scheduleMeetings(concerns, null);
+
+      expect(bot.scheduleMeeting.mock.calls).toEqual([[[concerns[0], concerns[1]]], [[concerns[2]]]]);
+    });
+
+    it('should keep a shared meeting when one of its concerns is rescheduled', async () => {
+      bot.rescheduleKeys.add('a');
+      bot.cancelMeeting = jest.fn().mockResolvedValue(true);
+      bot.scheduleMeeting = jest.fn().mockResolvedValue({ eventId: 'new', duration: 60 });
+      const meeting = { eventId: 'old', start: '2026-10-20T14:00:00.000Z', duration: 60 };
+      const existing = {
+        concerns: new Map(['a', 'b'].map(key => [key, { body: `${concernMarker(key, { data: { meeting } })}\nBody` }]))
+      };
+      const concerns = [concernFor('a'), concernFor('b')];
+
+      await bot.scheduleMeetings(concerns, existing);
+
+      expect(bot.cancelMeeting).toHaveBeenCalledTimes(1);
+      expect(concerns.map(concern => concern.meeting.eventId)).toEqual(['new', 'new']);
+    });
+
+    it('should size a meeting by its concerns up to max-meeting-minutes', async () => {
+      bot.config['max-meeting-minutes'] = 75;
+      moment.mockReturnValueOnce({ tz: () => 'now' });
+      bot.findNextAvailableSlot = jest.fn().mockResolvedValue({ clone: () => ({ add: () => 'end' }) });
+      bot.getMeetingAttendees = jest.fn(async concern => [{ email: 'dev@example.com' }, { email: `${concern.key}@example.com` }]);
+      bot.templates.meetingTitles = ['About {FILE}'];
+      bot.context.payload.pull_request.html_url = 'https://github.com/test-owner/test-repo/pull/123';
+
+      const proposal = await bot.proposeMeeting([concernFor('a'), concernFor('b'), concernFor('c')]);
+
+      expect(bot.findNextAvailableSlot).toHaveBeenCalledWith('now', 75, expect.any(Array));
+      expect(proposal).toMatchObject({ summary: '[Code Review] About a.js (+2 more)', duration: 75, concerns: 3 });
+      expect(proposal.attendees.map(attendee => attendee.email))
+        .toEqual(['dev@example.com', 'a@example.com', 'b@example.com', 'c@example.com']);
+      expect(proposal.description).toContain('Agenda (3 concerns):');
+    });
+
+    it('should discuss in comments when the weekly meeting budget is used up', async () => {
+      bot.config['weekly-meeting-budget'] = 120;
+      const budget = { exceeded: jest.fn().mockReturnValue(['dev@example.com']), add: jest.fn() };
+      jest.spyOn(MeetingBudget, 'load').mockResolvedValue(budget);
+      bot.proposeMeeting = jest.fn().mockResolvedValue({ start: 'monday', duration: 60, attendees: [{ email: 'dev@example.com' }] });
+      bot.insertCalendarEvent = jest.fn();
+      const concerns = [concernFor('a')];
+
+      expect(await bot.scheduleMeetings(concerns, null)).toBe(0);
+
+      expect(MeetingBudget.load).toHaveBeenCalledWith(expect.objectContaining({ minutes: 120, horizonDays: 14 }));
+      expect(budget.exceeded).toHaveBeenCalledWith(['dev@example.com'], 'monday', 60);
+      expect(bot.insertCalendarEvent).not.toHaveBeenCalled();
+      expect(renderComment(concerns[0], ['Hi'])).toBe('Hi\n\n💬 No meeting was booked because the weekly meeting budget ' +
+        'of an attendee is used up. Let\'s discuss it here instead.');
+      MeetingBudget.load.mockRestore();
+    });
+
+    it('should warn instead of failing when attendees or the budget cannot be read', async () => {
+      bot.config['meeting-grouping'] = 'attendees';
+      bot.getMeetingAttendees = jest.fn().mockRejectedValue(new Error('Invalid email map'));
+      bot.scheduleMeeting = jest.fn();
+
+      expect(await bot.scheduleMeetings([concernFor('a')], null)).toBe(0);
+      expect(core.warning).toHaveBeenCalledWith('Calendar scheduling failed: Invalid email map');
+
+      bot.config['weekly-meeting-budget'] = 60;
+      jest.spyOn(MeetingBudget, 'load').mockRejectedValue(new Error('Server Error'));
+
+      expect(await bot.scheduleMeetings([concernFor('a')], null)).toBe(0);
+      expect(core.warning).toHaveBeenCalledWith('Calendar scheduling failed: Server Error');
+      expect(bot.scheduleMeeting).not.toHaveBeenCalled();
+      MeetingBudget.load.mockRestore();
+    });
+
+    it('should count booked meetings against the weekly meeting budget', async () => {
+      bot.meetingBudget = { exceeded: jest.fn().mockReturnValue([]), add: jest.fn() };
+      bot.proposeMeeting = jest.fn().mockResolvedValue({ start: 'monday', end: 'later', duration: 60, concerns: 2, attendees: [{ email: 'dev@example.com' }] });
+      bot.insertCalendarEvent = jest.fn().mockResolvedValue({ eventId: 'evt1', duration: 60, concerns: 2, attendees: [attendeeId('dev@example.com')] });
+
+      const meeting = await bot.scheduleMeeting([concernFor('a'), concernFor('b')]);
+
+      expect(bot.meetingBudget.add).toHaveBeenCalledWith(meeting);
+      expect(renderComment({ ...concernFor('a'), meeting }, ['Hi'])).toContain('- Agenda: 2 concerns of this pull request');
+    });
+
+    it('should report meetings in run outputs and comments', async () => {
+      const getInput = core.getInput.getMockImplementation();
+      core.getInput.mockImplementation(name => name === 'enable-calendar' ? 'true' : getInput(name));
+      bot.scheduleMeeting = jest.fn().mockResolvedValue({ time: 'Monday', duration: 30, link: 'https://cal/1' });
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [{ filename: 'src/index.js', patch: '@@ -0,0 +1,1 @@\n+// TODO: later' }]
+      });
+
+      await bot.run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('meetings-scheduled', 1);
+      const concernComment = mockOctokit.rest.issues.createComment.mock.calls[1][0].body;
+      expect(concernComment).toContain('Meeting Details');
+      expect(concernComment).toContain('[Open in calendar](https://cal/1)');
+      expect(parseMarker(concernComment).data.meeting.link).toBe('https://cal/1');
+    });
+  });
+
+  describe('meeting lifecycle', () => {
+    const future = new Date(Date.now() + 86400000).toISOString();
+    const past = new Date(Date.now() - 86400000).toISOString();
+    const commentWith = (id, key, meeting) => ({
+      id,
+      body: `${concernMarker(key, { data: { meeting } })}\nConcern body`,
+      user: botUser
+    });
+
+    beforeEach(() => {
+      bot.calendarEnabled = true;
+      bot.config['google-calendar-id'] = 'team@example.com';
+      bot.calendar = { cancel: jest.fn().mockResolvedValue() };
+    });
+
+    it('should record the calendar event id of booked meetings', async () => {
+      bot.calendar.insert = jest.fn().mockResolvedValue({ eventId: 'evt1', link: 'https://cal/evt1' });
+      const start = { format: () => 'formatted', tz: () => 'UTC', toISOString: () => future };
+
+      const meeting = await bot.insertCalendarEvent({ uid: 'u1', summary: 'S', start, end: start, duration: 30, attendees: [] });
+
+      expect(bot.calendar.insert).toHaveBeenCalledWith(expect.objectContaining({ uid: 'u1', summary: 'S' }));
+      expect(meeting).toMatchObject({ eventId: 'evt1', link: 'https://cal/evt1', provider: 'google', start: future });
+    });
+
+    it('should request a video call with add-conference-link', async () => {
+      bot.config['add-conference-link'] = true;
+      bot.calendar.supportsConferences = true;
+      bot.calendar.insert = jest.fn().mockResolvedValue({ eventId: 'evt1', link: 'https://cal/evt1', conferenceLink: 'https://meet/abc' });
+      const start = { format: () => 'formatted', tz: () => 'UTC', toISOString: () => future };
+
+      const meeting = await bot.insertCalendarEvent({ uid: 'u1', summary: 'S', start, end: start, duration: 30, attendees: [] });
+
+      expect(bot.calendar.insert).toHaveBeenCalledWith(expect.objectContaining({ conference: true }));
+      expect(meeting.conferenceLink).toBe('https://meet/abc');
+      expect(renderComment({ topic: { topic: 'Naming' }, meeting }, ['Hi'])).toContain('- Video call: https://meet/abc');
+    });
+
+    it('should warn when the calendar provider cannot add video calls', () => {
+      bot.calendar = null;
+      Object.assign(bot.config, { 'calendar-provider': 'caldav', 'caldav-url': 'https://dav.example.com/cal/', 'add-conference-link': true });
+
+      bot.getCalendar();
+
+      expect(core.warning).toHaveBeenCalledWith('The caldav calendar can\'t add video calls, add-conference-link is ignored');
+    });
+
+    it('should describe meetings with an agenda linking the pull request and the code', () => {
+      Object.assign(mockContext.payload.pull_request, {
+        title: 'Parser',
+        html_url: 'https://github.com/test-owner/test-repo/pull/123',
+        head: { sha: 'abc123' }
+      });
+      const [hunk] = parsePatch('@@ -0,0 +1 @@\n+// TODO: later');
+
+      const description = bot.generateMeetingDescription([
+        { file: 'src/a.js', line: 1, hunk, topic: { topic: 'TODO items' }, severity: 'FOLLOW_UP_NEEDED' }
+      ]);
+
+      expect(description).toContain('Pull request #123: Parser\nhttps://github.com/test-owner/test-repo/pull/123');
+      expect(description).toContain('Line 1: https://github.com/test-owner/test-repo/blob/abc123/src/a.js#L1');
+      expect(description).toContain('       +// TODO: later');
+      expect(description).toContain('Action items:');
+    });
+
+    it('should cancel upcoming meetings when the PR is closed', async () => {
+      mockContext.payload.action = 'closed';
+      mockContext.payload.pull_request.merged = true;
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          commentWith(1, 'a', { eventId: 'upcoming', start: future }),
+          commentWith(2, 'b', { eventId: 'done', start: past }),
+          commentWith(3, 'c', { ics: 'invite.ics', start: future })
+        ]
+      });
+      bot.loadConfig = jest.fn();
+
+      await bot.run();
+
+      expect(mockOctokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+      expect(bot.calendar.cancel).toHaveBeenCalledTimes(1);
+      expect(bot.calendar.cancel).toHaveBeenCalledWith('upcoming');
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledTimes(1);
+
+      const update = mockOctokit.rest.issues.updateComment.mock.calls[0][0];
+      expect(update.comment_id).toBe(1);
+      expect(update.body).toContain('cancelled because the pull request was merged');
+      expect(parseMarker(update.body).data).toEqual({});
+      expect(core.setOutput).toHaveBeenCalledWith('meetings-cancelled', 1);
+    });
+
+    it('should cancel the meeting of a concern that is no longer detected', async () => {
+      await bot.retireComment('a', commentWith(1, 'a', { eventId: 'upcoming', start: future }));
+
+      expect(bot.calendar.cancel).toHaveBeenCalledWith('upcoming');
+      expect(mockOctokit.rest.issues.updateComment.mock.calls[0][0].body).toContain('has been cancelled');
+    });
+
+    it('should keep a meeting that a current concern shares', async () => {
+      await bot.retireComment('a', commentWith(1, 'a', { eventId: 'upcoming', start: future }), new Set(['upcoming']));
+
+      expect(bot.calendar.cancel).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment.mock.calls[0][0].body).not.toContain('has been cancelled');
+    });
+
+    it('should cancel a shared meeting once when the PR is closed', async () => {
+      const meeting = { eventId: 'shared', start: future };
+      mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [commentWith(1, 'a', meeting), commentWith(2, 'b', meeting)] });
+
+      await bot.cancelAllMeetings('the pull request was closed');
+
+      expect(bot.calendar.cancel).toHaveBeenCalledTimes(1);
+      expect(bot.meetingsCancelled).toBe(1);
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledTimes(2);
+    });
+
+    describe('in review mode', () => {
+      const concernFor = key => ({ key, file: 'src/app.js', topic: { topic: 'naming conventions', urgency: 'high' } });
+      const savedState = () => {
+        const bodies = [
+          ...mockOctokit.rest.issues.createComment.mock.calls,
+          ...mockOctokit.rest.issues.updateComment.mock.calls
+        ].map(([call]) => call.body);
+        return parseMarker(bodies[bodies.length - 1]).data;
+      };
+      const reviewBot = async (state) => {
+        mockOctokit.rest.issues.listComments.mockResolvedValue({
+          data: state ? [{ id: 40, body: `${stateMarker(state)}\nSettings`, user: botUser }] : []
+        });
+        const loaded = new BikeshedBot();
+        await loaded.loadState();
+        Object.assign(loaded, { commentMode: 'review', calendarEnabled: true, calendar: bot.calendar });
+        loaded.config['meeting-grouping'] = 'concern';
+        return loaded;
+      };
+
+      it('should not book the meetings of an earlier run again', async () => {
+        const first = await reviewBot(null);
+        first.scheduleMeeting = jest.fn().mockResolvedValue({ eventId: 'evt1', start: future, duration: 30 });
+        expect(await first.postComments([concernFor('a')])).toBe(1);
+        const state = savedState();
+        expect(state.meetings).toEqual({ a: { eventId: 'evt1', start: future, duration: 30 } });
+
+        const second = await reviewBot(state);
+        second.scheduleMeeting = jest.fn();
+        const concerns = [concernFor('a')];
+
+        expect(await second.postComments(concerns)).toBe(0);
+        expect(second.scheduleMeeting).not.toHaveBeenCalled();
+        expect(concerns[0].meeting).toEqual(state.meetings.a);
+        expect(bot.calendar.cancel).not.toHaveBeenCalled();
+      });
+
+      it('should cancel the meeting of a concern that is no longer detected', async () => {
+        const stale = await reviewBot({ ignoredTopics: [], meetings: { a: { eventId: 'upcoming', start: future } } });
+
+        await stale.postComments([]);
+
+        expect(bot.calendar.cancel).toHaveBeenCalledWith('upcoming');
+        expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 40 }));
+        expect(savedState().meetings).toBeUndefined();
+      });
+
+      it('should cancel the recorded meetings when the PR is closed', async () => {
+        const closing = await reviewBot({ ignoredTopics: [], meetings: { a: { eventId: 'shared', start: future }, b: { eventId: 'shared', start: future } } });
+
+        await closing.cancelAllMeetings('the pull request was closed');
+
+        expect(bot.calendar.cancel).toHaveBeenCalledTimes(1);
+        expect(closing.meetingsCancelled).toBe(1);
+        expect(savedState().meetings).toBeUndefined();
+      });
+    });
+
+    it('should treat events deleted elsewhere as cancelled', async () => {
+      bot.calendar.cancel.mockRejectedValue(Object.assign(new Error('Gone'), { code: 410 }));
+
+      expect(await bot.cancelMeeting({ eventId: 'gone', start: future })).toBe(true);
+    });
+
+    it('should warn when a meeting cannot be cancelled', async () => {
+      bot.calendar.cancel.mockRejectedValue(Object.assign(new Error('Forbidden'), { code: 403 }));
+
+      expect(await bot.cancelMeeting({ eventId: 'x', start: future })).toBe(false);
+      expect(core.warning).toHaveBeenCalledWith('Could not cancel meeting x: Forbidden');
+    });
+
+    it('should not cancel meetings booked with another calendar provider', async () => {
+      expect(await bot.cancelMeeting({ eventId: 'x', start: future, provider: 'caldav' })).toBe(false);
+      expect(bot.calendar.cancel).not.toHaveBeenCalled();
+      expect(core.warning).toHaveBeenCalledWith('Could not cancel meeting x: it was booked with the caldav calendar provider');
+    });
+  });
+
+  describe('slash commands', () => {
+    const todoFile = { filename: 'src/index.js', patch: '@@ -0,0 +1,1 @@\n+// TODO: later' };
+
+    const commentOn = (body, login = 'reviewer') => {
+      mockContext.eventName = 'issue_comment';
+      mockContext.payload = {
+        action: 'created',
+        issue: { number: 123, pull_request: { url: 'https://api/pulls/123' } },
+        comment: { id: 555, body, user: { login } }
+      };
+    };
+
+    const stateComment = (state) => ({ id: 40, body: `${stateMarker(state)}\nSettings`, user: botUser });
+
+    beforeEach(() => {
+      mockOctokit.rest.pulls.get = jest.fn().mockResolvedValue({
+        data: { number: 123, base: { sha: 'base' }, head: { sha: 'head' } }
+      });
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({ data: [todoFile] });
+    });
+
+    it('should ignore comments that are not commands', async () => {
+      commentOn('Looks good to me');
+
+      await bot.run();
+
+      expect(mockOctokit.rest.repos.getCollaboratorPermissionLevel).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.reactions.createForIssueComment).not.toHaveBeenCalled();
+    });
+
+    it('should rerun the review and acknowledge the command', async () => {
+      commentOn('/bikeshed rerun');
+
+      await bot.run();
+
+      expect(mockOctokit.rest.pulls.get).toHaveBeenCalledWith({ owner: 'test-owner', repo: 'test-repo', pull_number: 123 });
+      expect(mockOctokit.rest.pulls.listFiles).toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalled();
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 555,
+        content: '+1'
+      });
+    });
+
+    it('should refuse commands from users without enough permission', async () => {
+      commentOn('/bikeshed rerun', 'drive-by');
+      mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({ data: { permission: 'read', role_name: 'read' } });
+
+      await bot.run();
+
+      expect(mockOctokit.rest.repos.getCollaboratorPermissionLevel).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        username: 'drive-by'
+      });
+      expect(mockOctokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(expect.objectContaining({ content: '-1' }));
+    });
+
+    it('should react with confusion to unknown commands', async () => {
+      commentOn('/bikeshed paint it blue');
+
+      await bot.run();
+
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(expect.objectContaining({ content: 'confused' }));
+    });
+
+    it('should persist ignored topics and drop their concerns', async () => {
+      commentOn('/bikeshed ignore TODO items and technical debt');
+      core.getInput.mockImplementation((name) => ({ 'github-token': 'fake-token', 'min-concerns': '0' })[name] || '');
+
+      const commandBot = new BikeshedBot();
+      await commandBot.run();
+
+      const stateBody = mockOctokit.rest.issues.createComment.mock.calls
+        .map(([call]) => call.body)
+        .find(body => parseMarker(body).type === 'state');
+      expect(parseMarker(stateBody).data).toEqual({ ignoredTopics: ['todo items and technical debt'] });
+      expect(core.setOutput).toHaveBeenCalledWith('concerns-found', 0);
+    });
+
+    it('should respect ignored topics on later pull request runs', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [stateComment({ ignoredTopics: ['todo-markers'] })]
+      });
+      core.getInput.mockImplementation((name) => ({ 'github-token': 'fake-token', 'min-concerns': '0' })[name] || '');
+
+      await new BikeshedBot().run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('concerns-found', 0);
+    });
+
+    it('should snooze reviews', async () => {
+      commentOn('/bikeshed snooze 3');
+
+      await bot.run();
+
+      const stateBody = mockOctokit.rest.issues.createComment.mock.calls[0][0].body;
+      const { snoozedUntil } = parseMarker(stateBody).data;
+      expect(new Date(snoozedUntil) - Date.now()).toBeGreaterThan(2.9 * 86400000);
+      expect(mockOctokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+    });
+
+    it('should skip pull request runs while snoozed', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [stateComment({ ignoredTopics: [], snoozedUntil: new Date(Date.now() + 86400000).toISOString() })]
+      });
+
+      await bot.run();
+
+      expect(mockOctokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should reschedule the meeting of a concern', async () => {
+      commentOn('/bikeshed reschedule 1');
+      const start = new Date(Date.now() + 86400000).toISOString();
+      const meeting = { eventId: 'old', start, duration: 30 };
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 9, body: `${concernMarker('todo-markers|src/index.js', { data: { meeting } })}\nBody`, user: botUser }]
+      });
+      const getInput = core.getInput.getMockImplementation();
+      core.getInput.mockImplementation(name => name === 'enable-calendar' ? 'true' : getInput(name));
+      bot.cancelMeeting = jest.fn().mockResolvedValue(true);
+      bot.scheduleMeeting = jest.fn().mockResolvedValue({ eventId: 'new', time: 'Later', duration: 30 });
+
+      await bot.run();
+
+      expect(bot.cancelMeeting).toHaveBeenCalledWith(meeting);
+      expect(bot.bookedSlots).toEqual([{ start, end: new Date(Date.parse(start) + 30 * 60000).toISOString() }]);
+      expect(bot.scheduleMeeting).toHaveBeenCalledTimes(1);
+      const update = mockOctokit.rest.issues.updateComment.mock.calls.find(([call]) => call.comment_id === 9)[0];
+      expect(parseMarker(update.body).data.meeting.eventId).toBe('new');
+    });
+
+    it('should reject reschedule requests for unknown concerns', async () => {
+      commentOn('/bikeshed reschedule 7');
+
+      await bot.run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Action failed: /bikeshed reschedule needs a concern number between 1 and 1');
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(expect.objectContaining({ content: 'confused' }));
+    });
+
+    it('should cancel all meetings on request', async () => {
+      commentOn('/bikeshed cancel-meetings');
+      bot.cancelAllMeetings = jest.fn();
+
+      await bot.run();
+
+      expect(bot.cancelAllMeetings).toHaveBeenCalledWith('@reviewer asked to cancel the meetings');
+    });
+  });
+
+  describe('incremental review', () => {
+    const todoTopic = 'TODO items and technical debt';
+    const lastReview = {
+      sha: 'old',
+      concerns: [
+        { key: 'todo-markers|src/keep.js', file: 'src/keep.js', line: 5, side: 'RIGHT', rule: 'todo-markers', topic: todoTopic, severity: 'FOLLOW_UP_NEEDED' },
+        { key: 'todo-markers|src/a.js', file: 'src/a.js', line: 2, side: 'RIGHT', rule: 'todo-markers', topic: todoTopic, severity: 'FOLLOW_UP_NEEDED' },
+        { key: 'todo-markers|src/old.js', file: 'src/old.js', line: 1, side: 'RIGHT', rule: 'todo-markers', topic: todoTopic, severity: 'FOLLOW_UP_NEEDED' }
+      ]
+    };
+
+    const savedState = () => {
+      const bodies = [
+        ...mockOctokit.rest.issues.createComment.mock.calls,
+        ...mockOctokit.rest.issues.updateComment.mock.calls
+      ].map(([call]) => call.body).filter(body => parseMarker(body).type === 'state');
+      return parseMarker(bodies[bodies.length - 1]).data;
+    };
+
+    beforeEach(() => {
+      mockContext.payload.pull_request = { number: 123, base: { sha: 'base' }, head: { sha: 'new' } };
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 40, body: `${stateMarker({ ignoredTopics: [], lastReview })}\nSettings`, user: botUser }]
+      });
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [{ filename: 'src/a.js' }, { filename: 'src/keep.js' }, { filename: 'src/new.js' }]
+      });
+      mockOctokit.rest.repos.compareCommitsWithBasehead = jest.fn().mockResolvedValue({
+        data: {
+          status: 'ahead',
+          files: [
+            { filename: 'src/a.js', status: 'modified', patch: '@@ -1,3 +1,4 @@\n a\n-// TODO: old\n+b\n+// TODO: new\n c' },
+            { filename: 'src/new.js', previous_filename: 'src/old.js', status: 'renamed', patch: '@@ -0,0 +1 @@\n+x' }
+          ]
+        }
+      });
+    });
+
+    it('should analyse only the commits pushed since the last review', async () => {
+      const concerns = await (await loadedBot()).analyzePR();
+
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        basehead: 'old...new'
+      });
+      expect(concerns.map(c => [c.key, c.file, c.line, Boolean(c.outstanding)])).toEqual([
+        ['todo-markers|src/a.js', 'src/a.js', 3, false],
+        ['todo-markers|src/keep.js', 'src/keep.js', 5, true],
+        ['todo-markers|src/old.js', 'src/new.js', 2, true]
+      ]);
+    });
+
+    it('should split the overview into new and outstanding concerns', async () => {
+      const incrementalBot = await loadedBot();
+      const overview = incrementalBot.generateOverviewComment(await incrementalBot.analyzePR());
+
+      expect(overview).toContain('🆕 **New since last push** (since old)\n\n1. **TODO items and technical debt** in `src/a.js`');
+      expect(overview).toContain('⏳ **Still outstanding**\n\n2. **TODO items and technical debt** in `src/keep.js` (planning-required)\n3.');
+    });
+
+    it('should comment inline only on the new concerns in review mode', async () => {
+      const incrementalBot = await loadedBot();
+      incrementalBot.commentMode = 'review';
+      await incrementalBot.postComments(await incrementalBot.analyzePR());
+
+      const [[review]] = mockOctokit.rest.pulls.createReview.mock.calls;
+      expect(review.comments.map(comment => [comment.path, comment.line])).toEqual([['src/a.js', 3]]);
+      expect(review.body).toContain('⏳ **Still outstanding**\n\n2. **TODO items and technical debt** in `src/keep.js`');
+      expect(review.body).not.toContain('### General notes');
+    });
 
-    bot = new BikeshedBot();
+    it('should remember the reviewed head and its concerns', async () => {
+      await (await loadedBot()).review();
+
+      const { lastReview: saved } = savedState();
+      expect(saved.sha).toBe('new');
+      expect(saved.concerns.map(c => [c.key, c.line])).toEqual([
+        ['todo-markers|src/a.js', 3],
+        ['todo-markers|src/keep.js', 5],
+        ['todo-markers|src/old.js', 2]
+      ]);
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({
+        comment_id: 40,
+        body: expect.stringContaining('Last reviewed at new.')
+      }));
+    });
+
+    describe('with many concerns', () => {
+      const concernsIn = count => Array.from({ length: count }, (_, i) => ({
+        key: `todo-markers|src/file${i}.js`,
+        file: `src/file${i}.js`,
+        line: i + 1,
+        side: 'RIGHT',
+        codeSnippet: `// TODO: ${'x'.repeat(200)}`,
+        rule: 'todo-markers',
+        topic: { topic: 'TODO items and technical debt', urgency: 'planning-required', meetingLength: 180 },
+        detail: 'TODO marker left in the code.',
+        severity: 'FOLLOW_UP_NEEDED',
+        severityReasons: ['rule todo-markers']
+      }));
+
+      it('should only remember what carrying the concerns over needs', async () => {
+        await (await loadedBot()).saveLastReview(concernsIn(200));
+
+        const [body] = mockOctokit.rest.issues.updateComment.mock.calls.map(([call]) => call.body);
+        expect(body.length).toBeLessThan(65536);
+        const { lastReview: saved } = savedState();
+        expect(saved.concerns).toHaveLength(200);
+        expect(saved.concerns[0]).toEqual({
+          key: 'todo-markers|src/file0.js',
+          file: 'src/file0.js',
+          line: 1,
+          side: 'RIGHT',
+          codeSnippet: `// TODO: ${'x'.repeat(31)}`,
+          rule: 'todo-markers',
+          topic: 'TODO items and technical debt',
+          severity: 'FOLLOW_UP_NEEDED'
+        });
+      });
+
+      it('should review the next push in full when the concerns do not fit in the settings comment', async () => {
+        await (await loadedBot()).saveLastReview(concernsIn(1000));
+
+        expect(savedState().lastReview).toBeUndefined();
+        expect(core.info).toHaveBeenCalledWith('The 1000 concerns don\'t fit in the settings comment, the next push is reviewed in full');
+      });
+    });
+
+    it('should review the whole pull request after a force push', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({ data: { status: 'diverged', files: [] } });
+
+      const incrementalBot = await loadedBot();
+      await incrementalBot.analyzePR();
+
+      expect(incrementalBot.incremental).toBeNull();
+      expect(mockOctokit.rest.pulls.listFiles).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 123 }));
+      expect(core.info).toHaveBeenCalledWith(expect.stringContaining('reviewing the whole pull request'));
+    });
+
+    it('should review the whole pull request when incremental-review is off', async () => {
+      core.getInput.mockImplementation((name) => ({ 'github-token': 'fake-token', 'incremental-review': 'false' })[name] || '');
+
+      const incrementalBot = await loadedBot();
+      await incrementalBot.analyzePR();
+
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).not.toHaveBeenCalled();
+    });
+
+    it('should review the whole pull request on /bikeshed rerun', async () => {
+      const incrementalBot = await loadedBot();
+      await incrementalBot.runCommand({ name: 'rerun' }, { user: { login: 'reviewer' } });
+
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).not.toHaveBeenCalled();
+      expect(savedState().lastReview.sha).toBe('new');
+    });
+
+    async function loadedBot() {
+      const loaded = new BikeshedBot();
+      await loaded.loadConfig();
+      await loaded.loadState();
+      return loaded;
+    }
   });
 
-  describe('constructor', () => {
-    it('should initialize with correct defaults', () => {
-      expect(bot.octokit).toBe(mockOctokit);
-      expect(bot.context).toBe(mockContext);
-      expect(bot.calendarEnabled).toBe(false);
-      expect(bot.maxMeetingsPerPR).toBe(3);
-      expect(bot.commentStyle).toBe('constructive');
+  describe('dry run', () => {
+    let summaryFile;
+
+    beforeEach(() => {
+      summaryFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bikeshed-')), 'summary.md');
+      process.env.GITHUB_STEP_SUMMARY = summaryFile;
+      core.getInput.mockImplementation((name) => ({
+        'github-token': 'fake-token',
+        'dry-run': 'true',
+        'bot-name': 'Test Bot'
+      })[name] || '');
+      mockContext.payload.pull_request.html_url = 'https://github.com/test-owner/test-repo/pull/123';
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: [{ filename: 'src/index.js', patch: '@@ -0,0 +1,1 @@\n+// TODO: later' }]
+      });
     });
 
-    it('should parse calendar enabled as boolean', () => {
-      core.getInput.mockImplementation((name) => {
-        if (name === 'enable-calendar') return 'true';
-        return 'fake-token';
+    afterEach(() => {
+      fs.rmSync(path.dirname(summaryFile), { recursive: true, force: true });
+      delete process.env.GITHUB_STEP_SUMMARY;
+    });
+
+    it('should record side effects without performing them', async () => {
+      const dryBot = new BikeshedBot();
+
+      await dryBot.run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled();
+      expect(dryBot.recorder.ofType('comment')).toHaveLength(2);
+    });
+
+    it('should emit a JSON report', async () => {
+      await new BikeshedBot().run();
+
+      const [, json] = core.setOutput.mock.calls.find(([name]) => name === 'report');
+      const report = JSON.parse(json);
+
+      expect(report.dryRun).toBe(true);
+      expect(report.pullRequest).toEqual({ number: 123, url: 'https://github.com/test-owner/test-repo/pull/123' });
+      expect(report.concerns).toEqual([expect.objectContaining({
+        rule: 'todo-markers',
+        file: 'src/index.js',
+        line: 1,
+        topic: 'TODO items and technical debt'
+      })]);
+      expect(report.comments.map(c => c.action)).toEqual(['create', 'create']);
+      expect(report.labels).toEqual(expect.arrayContaining(['needs-discussion', 'bikeshed-review']));
+    });
+
+    it('should write a Markdown job summary', async () => {
+      await new BikeshedBot().run();
+
+      const summary = fs.readFileSync(summaryFile, 'utf8');
+      expect(summary).toContain('## Bikeshed Bot dry run for #123');
+      expect(summary).toContain('| `src/index.js` | 1 | TODO items and technical debt |');
+      expect(summary).toContain('Test Bot Review');
+    });
+
+    it('should propose meetings without booking them', async () => {
+      const dryBot = new BikeshedBot();
+      dryBot.calendarEnabled = true;
+      dryBot.calendar = { insert: jest.fn() };
+      const start = { format: () => 'Monday', tz: () => 'UTC', toISOString: () => '2026-10-20T14:00:00.000Z' };
+
+      const meeting = await dryBot.insertCalendarEvent({
+        summary: 'Sync',
+        start,
+        end: start,
+        duration: 30,
+        attendees: [{ email: 'dev@example.com' }]
       });
-      
-      const botWithCalendar = new BikeshedBot();
-      expect(botWithCalendar.calendarEnabled).toBe(true);
+
+      expect(dryBot.calendar.insert).not.toHaveBeenCalled();
+      expect(meeting).toMatchObject({ time: 'Monday', duration: 30, eventId: undefined });
+      expect(dryBot.recorder.ofType('meeting')).toEqual([{
+        type: 'meeting',
+        action: 'schedule',
+        summary: 'Sync',
+        start: '2026-10-20T14:00:00.000Z',
+        duration: 30,
+        attendees: ['dev@example.com']
+      }]);
     });
   });
 
-  describe('run', () => {
-    it('should skip non-pull request events', async () => {
-      github.context.eventName = 'push';
-      
-      await bot.run();
-      
-      expect(core.info).toHaveBeenCalledWith('This action only runs on pull request events');
-      expect(mockOctokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+  describe('writeInvite', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bikeshed-'));
+      bot.config['ics-directory'] = directory;
     });
 
-    it('should analyze PR and post comments', async () => {
-      await bot.run();
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
 
-      expect(mockOctokit.rest.pulls.listFiles).toHaveBeenCalledWith({
-        owner: 'test-owner',
-        repo: 'test-repo',
-        pull_number: 123
+    it('should write an .ics file when the calendar is disabled', async () => {
+      bot.proposeMeeting = jest.fn().mockReturnValue({
+        summary: '[Code Review] Naming',
+        description: 'Discuss naming',
+        start: {
+          toDate: () => new Date('2026-10-20T14:00:00Z'),
+          toISOString: () => '2026-10-20T14:00:00.000Z',
+          format: () => 'October 20th 2026, 10:00 am'
+        },
+        end: { toDate: () => new Date('2026-10-20T14:30:00Z') },
+        duration: 30,
+        attendees: [{ email: 'dev@example.com' }]
       });
 
-      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalled();
-      expect(core.setOutput).toHaveBeenCalledWith('concerns-found', expect.any(Number));
-      expect(core.setOutput).toHaveBeenCalledWith('meetings-scheduled', expect.any(Number));
+      const meeting = await bot.scheduleMeeting([{ key: 'todo-markers|a.js', file: 'a.js' }]);
+
+      expect(meeting).toMatchObject({ time: 'October 20th 2026, 10:00 am', duration: 30 });
+      expect(bot.icsFiles).toEqual([meeting.ics]);
+
+      const ics = fs.readFileSync(meeting.ics, 'utf8');
+      expect(ics).toContain('DTSTART:20261020T140000Z');
+      expect(ics).toContain('SUMMARY:[Code Review] Naming');
+      expect(ics).toContain('mailto:dev@example.com');
     });
 
-    it('should handle errors gracefully', async () => {
-      const error = new Error('API Error');
-      mockOctokit.rest.pulls.listFiles.mockRejectedValue(error);
+    it('should not propose meetings without a calendar or ics directory', async () => {
+      delete bot.config['ics-directory'];
+      bot.scheduleMeeting = jest.fn();
 
-      await bot.run();
+      expect(await bot.scheduleMeetings([{ key: 'a', file: 'a.js' }], null)).toBe(0);
+      expect(bot.scheduleMeeting).not.toHaveBeenCalled();
+    });
+  });
 
-      expect(core.setFailed).toHaveBeenCalledWith('Action failed: API Error');
+  describe('writeSarif', () => {
+    let directory;
+    const concern = {
+      key: 'todo-markers|a.js',
+      file: 'src/a.js',
+      line: 4,
+      rule: 'todo-markers',
+      topic: { topic: 'TODO items and technical debt', meetingLength: 180, urgency: 'planning-required' },
+      severity: 'HIGH',
+      detail: '1 new TODO marker added.'
+    };
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bikeshed-'));
+      bot.config['sarif-file'] = path.join(directory, 'out', 'bikeshed.sarif');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should write the concerns as SARIF and return the path', async () => {
+      const file = await bot.writeSarif([concern]);
+
+      expect(file).toBe(path.join(directory, 'out', 'bikeshed.sarif'));
+      const sarif = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(sarif.version).toBe('2.1.0');
+      expect(sarif.runs[0].tool.driver.rules).toHaveLength(bot.topics.length);
+      expect(sarif.runs[0].results[0]).toMatchObject({
+        ruleId: 'bikeshed/todo-items-and-technical-debt',
+        level: 'error'
+      });
+    });
+
+    it('should not write anything in dry-run mode', async () => {
+      bot.recorder.dryRun = true;
+
+      expect(await bot.writeSarif([concern])).toBeNull();
+      expect(fs.existsSync(path.join(directory, 'out'))).toBe(false);
+      expect(bot.recorder.ofType('sarif')).toEqual([
+        { type: 'sarif', file: path.join(directory, 'out', 'bikeshed.sarif'), results: 1 }
+      ]);
+    });
+
+    it('should do nothing without sarif-file', async () => {
+      delete bot.config['sarif-file'];
+
+      expect(await bot.writeSarif([concern])).toBeNull();
     });
   });
 
-  describe('analyzePR', () => {
-    it('should find concerns in files', async () => {
-      const concerns = await bot.analyzePR();
+  describe('sendNotifications', () => {
+    const concerns = [
+      {
+        key: 'naming|src/a b.js',
+        file: 'src/a b.js',
+        line: 4,
+        topic: { topic: 'Naming conventions', meetingLength: 30 },
+        severity: 'HIGH',
+        meeting: { time: 'October 20th 2026, 10:00 am', start: '2026-10-20T14:00:00.000Z', duration: 30, link: 'https://cal/1' }
+      },
+      { key: 'tests|PR', file: 'PR', topic: { topic: 'Testing strategy' }, severity: 'WORTH_NOTING' }
+    ];
 
-      expect(concerns.length).toBeGreaterThan(0);
-      expect(concerns.length).toBeLessThanOrEqual(3);
-      
-      concerns.forEach(concern => {
-        expect(concern).toHaveProperty('file');
-        expect(concern).toHaveProperty('topic');
-        expect(concern).toHaveProperty('severity');
+    beforeEach(() => {
+      const getInput = core.getInput.getMockImplementation();
+      core.getInput.mockImplementation(name =>
+        name === 'webhook-urls' ? 'https://hooks.example.com/a,\n https://hooks.example.com/b' : getInput(name));
+      Object.assign(mockContext.payload.pull_request, {
+        title: 'Parser',
+        html_url: 'https://github.com/test-owner/test-repo/pull/123',
+        head: { sha: 'abc123' }
       });
+      bot.recorder.dryRun = true;
+      bot.config['webhook-format'] = 'json';
     });
 
-    it('should detect TODO patterns', async () => {
-      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
-        data: [
+    it('should send a summary of the concerns and meetings to every webhook', async () => {
+      await bot.sendNotifications(concerns);
+
+      const notifications = bot.recorder.ofType('notification');
+      expect(notifications.map(notification => notification.host)).toEqual(['hooks.example.com', 'hooks.example.com']);
+      expect(notifications[0].payload).toEqual({
+        event: 'bikeshed.review',
+        repository: 'test-owner/test-repo',
+        pullRequest: { number: 123, title: 'Parser', url: 'https://github.com/test-owner/test-repo/pull/123' },
+        concerns: [
           {
-            filename: 'src/index.js',
-            patch: '+// TODO: Implement this feature\n+const x = 1;'
+            topic: 'Naming conventions',
+            severity: 'HIGH',
+            file: 'src/a b.js',
+            line: 4,
+            url: 'https://github.com/test-owner/test-repo/blob/abc123/src/a%20b.js#L4'
+          },
+          {
+            topic: 'Testing strategy',
+            severity: 'WORTH_NOTING',
+            file: 'PR',
+            line: null,
+            url: 'https://github.com/test-owner/test-repo/pull/123/files'
           }
-        ]
+        ],
+        meetings: [{
+          topic: 'Naming conventions',
+          time: 'October 20th 2026, 10:00 am',
+          start: '2026-10-20T14:00:00.000Z',
+          duration: 30,
+          link: 'https://cal/1'
+        }]
       });
+    });
 
-      const concerns = await bot.analyzePR();
-      // With random generation, we may not always get a TODO concern
-      // so let's just check that concerns were generated
-      expect(concerns.length).toBeGreaterThan(0);
+    it('should list a meeting shared by several concerns once', async () => {
+      const meeting = { eventId: 'evt1', time: 'Monday', start: '2026-10-19T14:00:00.000Z', duration: 60, link: 'https://cal/1' };
+      const shared = [
+        { file: 'a.js', topic: { topic: 'Naming conventions' }, severity: 'HIGH', meeting },
+        { file: 'b.js', topic: { topic: 'Testing strategy' }, severity: 'HIGH', meeting: { ...meeting } }
+      ];
+
+      await bot.sendNotifications(shared);
+
+      expect(bot.recorder.ofType('notification')[0].payload.meetings).toEqual([{
+        topic: 'Naming conventions, Testing strategy',
+        time: 'Monday',
+        start: '2026-10-19T14:00:00.000Z',
+        duration: 60,
+        link: 'https://cal/1'
+      }]);
     });
 
-    it('should respect minimum concerns setting', async () => {
-      core.getInput.mockImplementation((name) => {
-        if (name === 'min-concerns') return '5';
-        if (name === 'max-meetings-per-pr') return '10';
-        return 'fake-token';
-      });
+    it('should not notify without concerns', async () => {
+      expect(await bot.sendNotifications([])).toBe(0);
+      expect(bot.recorder.ofType('notification')).toEqual([]);
+    });
 
-      const botWithMinConcerns = new BikeshedBot();
-      const concerns = await botWithMinConcerns.analyzePR();
+    it('should not notify without webhook-urls', async () => {
+      core.getInput.mockImplementation(() => '');
 
-      expect(concerns.length).toBeGreaterThanOrEqual(5);
+      expect(await bot.sendNotifications(concerns)).toBe(0);
+      expect(bot.recorder.ofType('notification')).toEqual([]);
     });
   });
 
@@ -202,6 +1692,27 @@ describe('BikeshedBot', () => {
       expect(comment).toContain('index.js');
     });
 
+    it('should list skipped files', () => {
+      bot.skippedFiles = [{ file: 'logo.png', reason: 'binary file' }];
+      bot.unlistedFiles = 2;
+
+      const comment = bot.generateOverviewComment([]);
+
+      expect(comment).toContain('3 files were not analysed');
+      expect(comment).toContain('- `logo.png` (binary file)');
+      expect(comment).toContain('- 2 more file(s)');
+    });
+
+    it('should count filtered files per pattern', () => {
+      bot.filteredFiles = [{ pattern: 'dist/', files: 4 }, { pattern: 'yarn.lock', files: 1 }];
+
+      expect(bot.generateOverviewComment([])).toContain('🗂️ 5 files were filtered out: `dist/` (4), `yarn.lock` (1)');
+    });
+
+    it('should not mention skipped files when there are none', () => {
+      expect(bot.generateOverviewComment([])).not.toContain('not analysed');
+    });
+
     it('should include calendar message when enabled', () => {
       bot.calendarEnabled = true;
       const concerns = [{ file: 'test.js', topic: { topic: 'test', urgency: 'low' } }];
@@ -238,6 +1749,19 @@ describe('BikeshedBot', () => {
       expect(templates.some(t => t.includes('Technical review'))).toBe(true);
     });
 
+    it('should use the comment style of a path override', async () => {
+      bot.commentStyle = 'formal';
+      const comment = await bot.generateComment({
+        key: 'a',
+        file: 'docs/a.md',
+        topic: { topic: 'naming conventions' },
+        commentStyle: 'friendly'
+      });
+
+      expect(bot.getCommentTemplates('friendly')).toContain(comment.replace(/docs\/a\.md|naming conventions|this implementation/g, m =>
+        ({ 'docs/a.md': '{FILE}', 'naming conventions': '{TOPIC}', 'this implementation': '{CODE_SNIPPET|this implementation}' })[m]));
+    });
+
     it('should return constructive templates by default', () => {
       const templates = bot.getCommentTemplates();
       
@@ -246,62 +1770,302 @@ describe('BikeshedBot', () => {
     });
   });
 
-  describe('addLabels', () => {
-    it('should add appropriate labels', async () => {
-      const concern = {
-        severity: 'HIGH',
-        topic: { topic: 'test' }
-      };
+  describe('templates', () => {
+    const concern = {
+      key: 'naming-conventions|src/my_file.js',
+      file: 'src/my_file.js',
+      codeSnippet: 'const *x* = `y`;',
+      topic: { topic: 'naming conventions', urgency: 'critical' },
+      severity: 'HIGH'
+    };
+
+    beforeEach(() => {
+      mockContext.payload.pull_request.base = { sha: 'base123' };
+    });
+
+    it('should replace every placeholder and escape user data', async () => {
+      bot.config.templates = { custom: ['{FILE} and {FILE}{#LINE_NUMBER} at {LINE_NUMBER}{/LINE_NUMBER}: {CODE_SNIPPET}'] };
+      bot.applyConfig(bot.config);
+      bot.commentStyle = 'custom';
+
+      expect(await bot.generateComment(concern)).toBe('src/my\\_file.js and src/my\\_file.js: const \\*x\\* = \\`y\\`;');
+      expect(await bot.generateComment({ ...concern, line: 7 })).toContain('at 7:');
+    });
+
+    it('should load styles and meeting titles from the repository template file', async () => {
+      core.getInput.mockImplementation((name) => name === 'comment-style' ? 'pirate' : '');
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path }) => path === '.github/bikeshed-templates.yml' ?
+        Promise.resolve({ data: { type: 'file', encoding: 'base64', content: Buffer.from(
+          'styles:\n  pirate:\n    - "Arr, {FILE} needs a word about {TOPIC}"\nmeeting-titles:\n  - "Parley: {TOPIC}"\n'
+        ).toString('base64') } }) :
+        Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+
+      await bot.loadConfig();
 
-      await bot.addLabels(concern);
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ path: '.github/bikeshed-templates.yml', ref: 'base123' }));
+      expect(await bot.generateComment(concern)).toBe('Arr, src/my\\_file.js needs a word about naming conventions');
+      expect(bot.templates.meetingTitles).toEqual(['Parley: {TOPIC}']);
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    it('should warn about unknown comment styles and fall back to constructive', async () => {
+      core.getInput.mockImplementation((name) => name === 'comment-style' ? 'pirate' : '');
+
+      await bot.loadConfig();
+
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Unknown comment style "pirate", using constructive'));
+      expect(bot.getCommentTemplates()).toBe(bot.templates.styles.constructive);
+    });
+
+    it('should only mention the line in meeting titles when it is known', async () => {
+      bot.templates.meetingTitles = ['Sync about {#LINE_NUMBER}line {LINE_NUMBER}{/LINE_NUMBER}{^LINE_NUMBER}{FILE}{/LINE_NUMBER}', 'Line {LINE_NUMBER}'];
+      moment.mockReturnValueOnce({ tz: () => 'now' });
+      bot.findNextAvailableSlot = jest.fn().mockResolvedValue({ clone: () => ({ add: () => 'end' }) });
+      bot.getMeetingAttendees = jest.fn().mockResolvedValue([]);
+      const withTopic = { ...concern, topic: { ...concern.topic, meetingLength: 30 } };
+
+      const proposal = await bot.proposeMeeting([withTopic]);
+
+      expect(proposal.summary).toBe('[Code Review] Sync about src/my_file.js');
+    });
+  });
+
+  describe('syncLabels', () => {
+    const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+    it('should add the labels for the highest severity in one call', async () => {
+      await bot.syncLabels([{ severity: 'MEDIUM' }, { severity: 'HIGH' }, { severity: 'WORTH_NOTING' }]);
 
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledTimes(1);
       expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
         issue_number: 123,
-        labels: expect.arrayContaining([
-          'needs-discussion',
-          'priority-high',
-          'bikeshed-review'
-        ])
+        labels: ['bikeshed-review', 'needs-discussion', 'priority-high']
+      });
+    });
+
+    it('should create missing labels with colours and descriptions', async () => {
+      mockOctokit.rest.issues.getLabel.mockImplementation(({ name }) =>
+        name === 'priority-critical' ? Promise.reject(notFound()) : Promise.resolve({ data: {} }));
+
+      await bot.syncLabels([{ severity: 'CRITICAL' }]);
+
+      expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        name: 'priority-critical',
+        color: 'b60205',
+        description: 'Bikeshed Bot: highest concern is critical'
+      });
+    });
+
+    it('should use configured label definitions', async () => {
+      mockOctokit.rest.issues.getLabel.mockRejectedValue(notFound());
+      bot.config.labels.definitions = { 'needs-discussion': { color: '000000', description: 'Talk it out' } };
+
+      await bot.syncLabels([{ severity: 'HIGH' }]);
+
+      expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'needs-discussion',
+        color: '000000',
+        description: 'Talk it out'
+      }));
+    });
+
+    it('should remove outdated priority labels and leave other labels alone', async () => {
+      mockOctokit.rest.issues.listLabelsOnIssue.mockResolvedValue({
+        data: [{ name: 'priority-critical' }, { name: 'needs-discussion' }, { name: 'bikeshed-review' }, { name: 'bug' }]
+      });
+
+      await bot.syncLabels([{ severity: 'MEDIUM' }]);
+
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['priority-medium'] }));
+      expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 123,
+        name: 'priority-critical'
       });
     });
 
+    it('should drop discussion labels once there are no concerns', async () => {
+      mockOctokit.rest.issues.listLabelsOnIssue.mockResolvedValue({
+        data: [{ name: 'priority-high' }, { name: 'needs-discussion' }, { name: 'bikeshed-review' }]
+      });
+
+      await bot.syncLabels([]);
+
+      expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.removeLabel.mock.calls.map(([call]) => call.name))
+        .toEqual(['priority-high', 'needs-discussion']);
+    });
+
     it('should handle label errors gracefully', async () => {
       mockOctokit.rest.issues.addLabels.mockRejectedValue(new Error('Permission denied'));
       
-      await bot.addLabels({ severity: 'HIGH' });
+      await bot.syncLabels([{ severity: 'HIGH' }]);
       
-      expect(core.warning).toHaveBeenCalledWith('Could not add labels: Permission denied');
+      expect(core.warning).toHaveBeenCalledWith('Could not update labels: Permission denied');
     });
   });
 
-  describe('calculateSeverity', () => {
-    it('should return valid severity levels', () => {
-      const validSeverities = ['CRITICAL', 'HIGH', 'MEDIUM', 'DISCUSSION_NEEDED', 'WORTH_NOTING'];
-      
-      for (let i = 0; i < 20; i++) {
-        const severity = bot.calculateSeverity();
-        expect(validSeverities).toContain(severity);
-      }
+  describe('checkFailSeverity', () => {
+    const concerns = [
+      { file: 'a.js', topic: { topic: 'naming conventions' }, severity: 'HIGH' },
+      { file: 'b.js', topic: { topic: 'whitespace philosophy' }, severity: 'WORTH_NOTING' }
+    ];
+
+    it('should not fail by default', () => {
+      expect(bot.checkFailSeverity(concerns)).toBe(false);
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    it('should fail when a concern reaches fail-on-severity', () => {
+      bot.config['fail-on-severity'] = 'MEDIUM';
+
+      expect(bot.checkFailSeverity(concerns)).toBe(true);
+      expect(core.setFailed).toHaveBeenCalledWith('1 concern at or above MEDIUM: naming conventions in a.js (HIGH)');
+    });
+
+    it('should pass when every concern is below fail-on-severity', () => {
+      bot.config['fail-on-severity'] = 'CRITICAL';
+
+      expect(bot.checkFailSeverity(concerns)).toBe(false);
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    it('should not fail a pull request without findings on the min-concerns padding', async () => {
+      const getInput = core.getInput.getMockImplementation();
+      core.getInput.mockImplementation(name =>
+        ({ 'fail-on-severity': 'WORTH_NOTING', 'check-failure-severity': 'WORTH_NOTING', 'comment-mode': 'check' })[name] || getInput(name));
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({ data: [{ filename: 'a.js', patch: '@@ -0,0 +1 @@\n+const a = 1;' }] });
+
+      await bot.run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('concerns-found', 1);
+      expect(mockOctokit.rest.checks.create.mock.calls[0][0].conclusion).toBe('neutral');
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reviewing more concerns than max-comments', () => {
+    beforeEach(() => {
+      const getInput = core.getInput.getMockImplementation();
+      core.getInput.mockImplementation(name =>
+        ({ 'critical-paths': 'src/auth/', 'fail-on-severity': 'MEDIUM', 'min-concerns': '0', 'max-comments': '3' })[name] || getInput(name));
+      mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+        data: ['a.js', 'b.js', 'c.js', 'src/auth/login.js'].map(filename => ({ filename, patch: '@@ -0,0 +1 @@\n+// TODO: later' }))
+      });
+    });
+
+    it('should gate on every concern and comment on the most severe', async () => {
+      await bot.run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('concerns-found', 4);
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('in src/auth/login.js (MEDIUM)'));
+
+      const bodies = mockOctokit.rest.issues.createComment.mock.calls.map(([call]) => call.body);
+      expect(bodies).toHaveLength(4);
+      expect(bodies[0]).toContain('1. **TODO items and technical debt** in `src/auth/login.js`');
+      expect(bodies[0]).toContain('➕ 1 less severe concern was found but not commented on.');
+    });
+
+    it('should comment on more concerns than it books meetings for', async () => {
+      const getInput = core.getInput.getMockImplementation();
+      core.getInput.mockImplementation(name =>
+        ({ 'max-comments': '10', 'max-meetings-per-pr': '1', 'enable-calendar': 'true' })[name] || getInput(name));
+      bot.scheduleMeeting = jest.fn(async group => ({ eventId: `evt-${group.length}`, time: 'Monday', duration: 60 }));
+
+      await bot.run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('meetings-scheduled', 1);
+      const bodies = mockOctokit.rest.issues.createComment.mock.calls.map(([call]) => call.body);
+      expect(bodies).toHaveLength(5);
+      expect(bodies.filter(body => body.includes('Meeting Details'))).toHaveLength(4);
+    });
+
+    it('should annotate every concern in check mode', async () => {
+      const getInput = core.getInput.getMockImplementation();
+      core.getInput.mockImplementation(name => name === 'comment-mode' ? 'check' : getInput(name));
+
+      await bot.run();
+
+      expect(mockOctokit.rest.checks.create.mock.calls[0][0].output.annotations).toHaveLength(4);
     });
   });
 
   describe('findNextAvailableSlot', () => {
-    it('should skip weekends', () => {
-      // Create a mock moment object
-      const mockNow = {
-        clone: jest.fn().mockReturnValue({
-          add: jest.fn().mockReturnThis(),
-          day: jest.fn().mockReturnValue(1), // Monday
-          hour: jest.fn().mockReturnThis(),
-          minute: jest.fn().mockReturnThis(),
-          second: jest.fn().mockReturnThis(),
-        })
-      };
-      
-      bot.findNextAvailableSlot(mockNow);
-      expect(mockNow.clone).toHaveBeenCalled();
+    const now = { clone: () => ({ add: () => 'later' }) };
+
+    it('should search around busy times and meetings booked by this run', async () => {
+      const slot = { hour: 10 };
+      findSlot.mockReturnValue(slot);
+      bot.config.holidays = ['2026-12-25'];
+      bot.bookedSlots = [{ start: 'booked-start', end: 'booked-end' }];
+      bot.getBusyIntervals = jest.fn().mockResolvedValue([{ start: 'busy-start', end: 'busy-end' }]);
+
+      const result = await bot.findNextAvailableSlot(now, 90, [{ email: 'dev@example.com' }]);
+
+      expect(result).toBe(slot);
+      expect(bot.getBusyIntervals).toHaveBeenCalledWith(now, 'later', [{ email: 'dev@example.com' }]);
+      expect(findSlot).toHaveBeenCalledWith({
+        now,
+        duration: 90,
+        preferredHours: [10, 14, 15],
+        busy: [
+          { start: 'busy-start', end: 'busy-end' },
+          { start: 'booked-start', end: 'booked-end' }
+        ],
+        holidays: ['2026-12-25'],
+        horizonDays: 14
+      });
+    });
+
+    it('should fail when no slot fits within the horizon', async () => {
+      findSlot.mockReturnValue(null);
+
+      await expect(bot.findNextAvailableSlot(now, 90)).rejects.toThrow('No free 90 minute slot in the next 14 days');
+    });
+  });
+
+  describe('getMeetingAttendees', () => {
+    it('should resolve attendees from the pull request and the email map', async () => {
+      core.getInput.mockImplementation((name) => name === 'pr-author-email' ? 'fallback@example.com' : '');
+      const attendeeBot = new BikeshedBot();
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path }) => path === '.github/bikeshed-emails.yml' ?
+        Promise.resolve({ data: { type: 'file', encoding: 'base64', content: Buffer.from('test-user: dev@example.com').toString('base64') } }) :
+        Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+
+      const first = await attendeeBot.getMeetingAttendees({ file: 'a.js' });
+      const second = await attendeeBot.getMeetingAttendees({ file: 'b.js' });
+
+      expect(first).toEqual([{ email: 'dev@example.com' }, { email: 'fallback@example.com' }]);
+      expect(second).toEqual(first);
+      // The email map and CODEOWNERS are only read once per run
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('getBusyIntervals', () => {
+    const time = (iso) => ({ toISOString: () => iso });
+
+    it('should not query anything without a calendar', async () => {
+      expect(await bot.getBusyIntervals(time('a'), time('b'), [])).toEqual([]);
+    });
+
+    it('should ask the calendar provider for busy intervals', async () => {
+      bot.calendarEnabled = true;
+      bot.calendar = { freeBusy: jest.fn().mockResolvedValue([{ start: 's1', end: 'e1' }]) };
+      const [timeMin, timeMax] = [time('a'), time('b')];
+      const attendees = [{ email: 'dev@example.com' }];
+
+      const busy = await bot.getBusyIntervals(timeMin, timeMax, attendees);
+
+      expect(bot.calendar.freeBusy).toHaveBeenCalledWith({ timeMin, timeMax, attendees });
+      expect(busy).toEqual([{ start: 's1', end: 'e1' }]);
     });
   });
 });
@@ -313,6 +2077,7 @@ describe('BikeshedBot Integration', () => {
   beforeEach(() => {
     // Setup for integration test
     mockOctokit = {
+      paginate: jest.fn((method, params) => method(params).then(response => response.data)),
       rest: {
         pulls: {
           listFiles: jest.fn().mockResolvedValue({
@@ -326,7 +2091,20 @@ describe('BikeshedBot Integration', () => {
         },
         issues: {
           createComment: jest.fn().mockResolvedValue({ data: { id: 1 } }),
-          addLabels: jest.fn().mockResolvedValue({ data: [] })
+          updateComment: jest.fn().mockResolvedValue({ data: { id: 1 } }),
+          deleteComment: jest.fn().mockResolvedValue({}),
+          listComments: jest.fn().mockResolvedValue({ data: [] }),
+          addLabels: jest.fn().mockResolvedValue({ data: [] }),
+          removeLabel: jest.fn().mockResolvedValue({ data: [] }),
+          listLabelsOnIssue: jest.fn().mockResolvedValue({ data: [] }),
+          getLabel: jest.fn().mockResolvedValue({ data: {} }),
+          createLabel: jest.fn().mockResolvedValue({ data: {} })
+        },
+        repos: {
+          getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }))
+        },
+        users: {
+          getAuthenticated: jest.fn().mockResolvedValue({ data: { login: 'bikeshed-bot' } })
         }
       }
     };
@@ -343,6 +2121,6 @@ describe('BikeshedBot Integration', () => {
     expect(mockOctokit.rest.pulls.listFiles).toHaveBeenCalled();
     // Check that createComment was called at least once
     expect(mockOctokit.rest.issues.createComment).toHaveBeenCalled();
-    expect(core.setOutput).toHaveBeenCalledTimes(2);
+    expect(core.setOutput).toHaveBeenCalledTimes(6);
   });
 });
\ No newline at end of file
@@ -0,0 +1,76 @@
+const {
+  overviewMarker,
+  concernMarker,
+  withMarker,
+  parseMarker,
+  assignConcernKeys,
+  hashKey
+} = require('../src/markers');
+
+describe('markers', () => {
+  it('should round-trip overview markers', () => {
+    const body = withMarker('## Review', overviewMarker());
+
+    expect(parseMarker(body)).toEqual({ type: 'overview', key: undefined, resolved: false, data: {}, text: '## Review' });
+  });
+
+  it('should round-trip concern keys with special characters', () => {
+    const key = 'naming-conventions|src/some file.js#2';
+
+    expect(parseMarker(withMarker('Body', concernMarker(key)))).toMatchObject({ type: 'concern', key, resolved: false });
+    expect(parseMarker(withMarker('Body', concernMarker(key, { resolved: true }))).resolved).toBe(true);
+  });
+
+  it('should carry state data in concern markers', () => {
+    const data = { meeting: { time: 'Monday', note: 'ends with -->' } };
+    const marker = concernMarker('todo-markers|a.js', { data });
+
+    expect(marker).not.toContain('ends with');
+    expect(parseMarker(withMarker('Body', marker))).toMatchObject({ key: 'todo-markers|a.js', data, text: 'Body' });
+  });
+
+  it('should ignore unmarked comments', () => {
+    expect(parseMarker('LGTM')).toBeNull();
+    expect(parseMarker(undefined)).toBeNull();
+  });
+
+  it('should ignore markers whose data does not decode', () => {
+    expect(parseMarker('<!-- bikeshed-bot:state data:AAAA -->\nSettings')).toBeNull();
+    expect(parseMarker('<!-- bikeshed-bot:concern:a data:bnVsbA== -->\nBody').data).toEqual({});
+  });
+
+  it('should key concerns by rule and file', () => {
+    const topic = { topic: 'naming conventions' };
+    const concerns = assignConcernKeys([
+      { rule: 'todo-markers', file: 'a.js', topic },
+      { rule: 'todo-markers', file: 'a.js', topic },
+      { file: 'b.js', topic }
+    ]);
+
+    expect(concerns.map(c => c.key)).toEqual([
+      'todo-markers|a.js',
+      'todo-markers|a.js#2',
+      'naming conventions|b.js'
+    ]);
+  });
+
+  it('should keep existing keys and give new concerns the next free one', () => {
+    const topic = { topic: 'naming conventions' };
+    const concerns = assignConcernKeys([
+      { rule: 'todo-markers', file: 'a.js', topic },
+      { rule: 'todo-markers', file: 'a.js', topic, key: 'todo-markers|a.js' },
+      { rule: 'todo-markers', file: 'a.js', topic, key: 'todo-markers|a.js#3' }
+    ]);
+
+    expect(concerns.map(c => c.key)).toEqual([
+      'todo-markers|a.js#2',
+      'todo-markers|a.js',
+      'todo-markers|a.js#3'
+    ]);
+  });
+
+  it('should hash keys stably', () => {
+    expect(hashKey('todo-markers|a.js')).toBe(hashKey('todo-markers|a.js'));
+    expect(hashKey('todo-markers|a.js')).not.toBe(hashKey('todo-markers|b.js'));
+  });
+});
@@ -0,0 +1,152 @@
+const http = require('http');
+const core = require('@actions/core');
+const { Notifier, buildSlackPayload, buildJsonPayload, postWithRetry } = require('../src/notify');
+const { Recorder } = require('../src/recorder');
+
+jest.mock('@actions/core');
+
+describe('notify', () => {
+  const summary = {
+    botName: 'Bikeshed Bot',
+    repository: 'o/r',
+    pullRequest: { number: 7, title: 'Add <parser> & tests', url: 'https://github.com/o/r/pull/7' },
+    concerns: [
+      { topic: 'Naming', severity: 'HIGH', file: 'src/a.js', line: 3, url: 'https://github.com/o/r/blob/abc/src/a.js#L3' },
+      { topic: 'Testing', severity: 'WORTH_NOTING', file: 'PR', line: null, url: null }
+    ],
+    meetings: [
+      { topic: 'Naming', time: 'October 20th 2026, 10:00 am', start: '2026-10-20T14:00:00.000Z', duration: 30, link: 'https://cal/evt1' }
+    ]
+  };
+
+  describe('payloads', () => {
+    it('should build Slack Block Kit messages', () => {
+      const payload = buildSlackPayload(summary);
+
+      expect(payload.text).toBe('Bikeshed Bot found 2 concerns on o/r#7 and booked 1 meeting');
+      expect(payload.blocks[0]).toEqual({ type: 'header', text: { type: 'plain_text', text: 'Bikeshed Bot review' } });
+      expect(payload.blocks[1].text.text).toBe('o/r <https://github.com/o/r/pull/7|#7 Add &lt;parser&gt; &amp; tests>');
+      expect(payload.blocks[2].text.text).toBe('*Concerns*\n' +
+        '• *HIGH* Naming in <https://github.com/o/r/blob/abc/src/a.js#L3|src/a.js:3>\n' +
+        '• *WORTH_NOTING* Testing in `PR`');
+      expect(payload.blocks[3].text.text).toBe('*Meetings*\n' +
+        '• October 20th 2026, 10:00 am (30 min): Naming <https://cal/evt1|invite>');
+    });
+
+    it('should cap the listed concerns', () => {
+      const concerns = Array.from({ length: 25 }, (_, i) => ({ topic: 'Naming', severity: 'LOW', file: `f${i}.js`, line: 1 }));
+      const payload = buildSlackPayload({ ...summary, concerns, meetings: [] });
+
+      expect(payload.blocks).toHaveLength(3);
+      expect(payload.blocks[2].text.text.split('\n')).toHaveLength(22);
+      expect(payload.blocks[2].text.text).toContain('…and 5 more');
+    });
+
+    it('should build generic JSON payloads', () => {
+      expect(buildJsonPayload(summary)).toEqual({
+        event: 'bikeshed.review',
+        repository: 'o/r',
+        pullRequest: summary.pullRequest,
+        concerns: summary.concerns,
+        meetings: summary.meetings
+      });
+    });
+  });
+
+  describe('delivery', () => {
+    let server;
+    let url;
+    let requests;
+    let responses;
+    const sleep = jest.fn().mockResolvedValue();
+
+    beforeEach(async () => {
+      requests = [];
+      responses = [];
+      sleep.mockClear();
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ method: req.method, url: req.url, type: req.headers['content-type'], body: JSON.parse(body) });
+          const { status = 200, headers = {} } = responses.shift() || {};
+          res.writeHead(status, headers);
+          res.end(status === 200 ? 'ok' : 'error');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/services/T000/B000/secret`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should post the payload as JSON', async () => {
+      await expect(postWithRetry(url, { text: 'Hi' }, { sleep })).resolves.toBe(200);
+
+      expect(requests).toEqual([{ method: 'POST', url: '/services/T000/B000/secret', type: 'application/json', body: { text: 'Hi' } }]);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should retry server errors with back-off', async () => {
+      responses.push({ status: 500 }, { status: 503 });
+
+      await postWithRetry(url, { text: 'Hi' }, { sleep, delay: 100 });
+
+      expect(requests).toHaveLength(3);
+      expect(sleep.mock.calls).toEqual([[100], [200]]);
+    });
+
+    it('should honour retry-after on rate limits', async () => {
+      responses.push({ status: 429, headers: { 'retry-after': '2' } });
+
+      await postWithRetry(url, { text: 'Hi' }, { sleep });
+
+      expect(sleep).toHaveBeenCalledWith(2000);
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should give up after the configured retries', async () => {
+      responses.push({ status: 500 }, { status: 500 }, { status: 500 });
+
+      await expect(postWithRetry(url, {}, { sleep, retries: 2 })).rejects.toThrow('Webhook responded with 500');
+      expect(requests).toHaveLength(3);
+    });
+
+    it('should not retry client errors', async () => {
+      responses.push({ status: 404 });
+
+      await expect(postWithRetry(url, {}, { sleep })).rejects.toThrow('Webhook responded with 404');
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should notify every webhook and warn about failures without the URL', async () => {
+      responses.push({ status: 403 });
+      const recorder = new Recorder();
+      const notifier = new Notifier({ urls: [url, url], format: 'json', recorder, retry: { sleep } });
+
+      await expect(notifier.notify(summary)).resolves.toBe(1);
+
+      expect(requests[1].body.event).toBe('bikeshed.review');
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining(`Could not notify webhook at 127.0.0.1:${server.address().port}`));
+      expect(core.warning.mock.calls[0][0]).not.toContain('secret');
+      expect(recorder.ofType('notification')[0]).toEqual(expect.objectContaining({ format: 'json', host: expect.not.stringContaining('/') }));
+    });
+
+    it('should only record notifications in a dry run', async () => {
+      const recorder = new Recorder(true);
+      const notifier = new Notifier({ urls: [url], recorder });
+
+      await notifier.notify(summary);
+
+      expect(requests).toHaveLength(0);
+      expect(recorder.ofType('notification')[0].payload.blocks).toBeDefined();
+    });
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => new Notifier({ urls: [], format: 'xml' }))
+      .toThrow('Unknown webhook format "xml". Available formats: slack, json');
+  });
+});
@@ -0,0 +1,85 @@
+const { NOT_INCLUDED, PathRules, allowsFinding, countFiltered } = require('../src/paths');
+
+describe('paths', () => {
+  describe('filteredBy', () => {
+    it('should analyse every file without patterns', () => {
+      expect(new PathRules().filteredBy('src/a.js')).toBeNull();
+    });
+
+    it('should return the exclude pattern a file matches', () => {
+      const rules = new PathRules({ exclude: ['package-lock.json', 'dist/', '*.min.js'] });
+
+      expect(rules.filteredBy('package-lock.json')).toBe('package-lock.json');
+      expect(rules.filteredBy('packages/app/package-lock.json')).toBe('package-lock.json');
+      expect(rules.filteredBy('dist/bundle.js')).toBe('dist/');
+      expect(rules.filteredBy('public/jquery.min.js')).toBe('*.min.js');
+      expect(rules.filteredBy('src/dist.js')).toBeNull();
+    });
+
+    it('should leave out files outside the include patterns', () => {
+      const rules = new PathRules({ include: ['src/', 'lib/**/*.js'], exclude: ['src/generated/'] });
+
+      expect(rules.filteredBy('src/a.js')).toBeNull();
+      expect(rules.filteredBy('lib/x/y.js')).toBeNull();
+      expect(rules.filteredBy('README.md')).toBe(NOT_INCLUDED);
+      expect(rules.filteredBy('src/generated/api.js')).toBe('src/generated/');
+    });
+  });
+
+  describe('settingsFor', () => {
+    const rules = new PathRules({
+      overrides: [
+        { 'paths': ['docs/', '*.md'], 'meetings': false, 'comment-style': 'friendly' },
+        { 'paths': ['docs/legal/'], 'comment-style': 'formal', 'severity-boost': 2 }
+      ]
+    });
+
+    it('should merge matching overrides with later ones winning', () => {
+      expect(rules.settingsFor('docs/legal/terms.md')).toEqual({
+        'meetings': false,
+        'comment-style': 'formal',
+        'severity-boost': 2,
+        'sources': { 'meetings': 'docs/', 'comment-style': 'docs/legal/', 'severity-boost': 'docs/legal/' }
+      });
+    });
+
+    it('should return no settings for other files', () => {
+      expect(rules.settingsFor('src/a.js')).toEqual({ sources: {} });
+    });
+  });
+
+  it('should find unknown rule ids in overrides', () => {
+    const rules = new PathRules({
+      overrides: [{ 'paths': ['a/'], 'enabled-rules': ['todo-markers'] }, { 'paths': ['b/'], 'disabled-rules': ['nope'] }]
+    });
+
+    expect(rules.unknownRules(['todo-markers'])).toEqual([{ id: 'nope', source: 'path-overrides[1]' }]);
+  });
+
+  describe('allowsFinding', () => {
+    const finding = { rule: 'naming-conventions', topic: { topic: 'naming conventions' } };
+
+    it('should allow findings without settings', () => {
+      expect(allowsFinding({}, finding)).toBe(true);
+    });
+
+    it('should apply enabled and disabled rules', () => {
+      expect(allowsFinding({ 'enabled-rules': ['todo-markers'] }, finding)).toBe(false);
+      expect(allowsFinding({ 'enabled-rules': ['naming-conventions'] }, finding)).toBe(true);
+      expect(allowsFinding({ 'disabled-rules': ['naming-conventions'] }, finding)).toBe(false);
+    });
+
+    it('should apply topics case-insensitively', () => {
+      expect(allowsFinding({ topics: ['Naming Conventions'] }, finding)).toBe(true);
+      expect(allowsFinding({ topics: ['whitespace philosophy'] }, finding)).toBe(false);
+    });
+  });
+
+  it('should count filtered files per pattern', () => {
+    expect(countFiltered([
+      { file: 'yarn.lock', pattern: 'yarn.lock' },
+      { file: 'dist/a.js', pattern: 'dist/' },
+      { file: 'dist/b.js', pattern: 'dist/' }
+    ])).toEqual([{ pattern: 'dist/', files: 2 }, { pattern: 'yarn.lock', files: 1 }]);
+  });
+});
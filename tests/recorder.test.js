@@ -0,0 +1,106 @@
+const { Recorder, buildReport, renderMarkdown } = require('../src/recorder');
+
+describe('Recorder', () => {
+  it('should record and perform effects in live mode', async () => {
+    const recorder = new Recorder();
+    const effect = jest.fn().mockResolvedValue('done');
+
+    expect(await recorder.perform('labels', { labels: ['a'] }, effect)).toBe('done');
+    expect(effect).toHaveBeenCalled();
+    expect(recorder.actions).toEqual([{ type: 'labels', labels: ['a'] }]);
+  });
+
+  it('should only record effects in dry-run mode', async () => {
+    const recorder = new Recorder(true);
+    const effect = jest.fn();
+
+    expect(await recorder.perform('comment', { action: 'create', body: 'Hi' }, effect)).toBeUndefined();
+    expect(effect).not.toHaveBeenCalled();
+    expect(recorder.ofType('comment')).toHaveLength(1);
+  });
+});
+
+describe('report', () => {
+  const concerns = [{
+    key: 'todo-markers|a.js',
+    rule: 'todo-markers',
+    file: 'a.js',
+    line: 3,
+    topic: { topic: 'TODO items and technical debt' },
+    severity: 'HIGH',
+    detail: '1 new TODO marker added.'
+  }];
+
+  async function recorded() {
+    const recorder = new Recorder(true);
+    await recorder.perform('comment', { action: 'update', commentId: 9, body: 'Updated' });
+    await recorder.perform('labels', { labels: ['needs-discussion', 'priority-high'] });
+    await recorder.perform('labels', { labels: ['needs-discussion'] });
+    await recorder.perform('labels', { action: 'remove', labels: ['priority-medium'] });
+    await recorder.perform('meeting', { action: 'schedule', summary: 'Sync', start: '2026-10-20T14:00:00Z', duration: 30 });
+    return recorder;
+  }
+
+  it('should summarise concerns, comments, labels and meetings', async () => {
+    const report = buildReport({ pullRequest: { number: 5, html_url: 'https://pr/5' }, concerns, recorder: await recorded() });
+
+    expect(report).toEqual({
+      dryRun: true,
+      pullRequest: { number: 5, url: 'https://pr/5' },
+      concerns: [{
+        key: 'todo-markers|a.js',
+        rule: 'todo-markers',
+        file: 'a.js',
+        line: 3,
+        topic: 'TODO items and technical debt',
+        severity: 'HIGH',
+        severityReasons: [],
+        detail: '1 new TODO marker added.'
+      }],
+      skippedFiles: [],
+      filteredFiles: [],
+      comments: [{ type: 'comment', action: 'update', commentId: 9, body: 'Updated' }],
+      labels: ['needs-discussion', 'priority-high'],
+      removedLabels: ['priority-medium'],
+      meetings: [{ type: 'meeting', action: 'schedule', summary: 'Sync', start: '2026-10-20T14:00:00Z', duration: 30 }],
+      notifications: []
+    });
+  });
+
+  it('should render the report as Markdown', async () => {
+    const markdown = renderMarkdown(buildReport({ pullRequest: { number: 5 }, concerns, recorder: await recorded() }));
+
+    expect(markdown).toContain('## Bikeshed Bot dry run for #5');
+    expect(markdown).toContain('| `a.js` | 3 | TODO items and technical debt | HIGH | todo-markers |');
+    expect(markdown).toContain('<details><summary>update comment 9</summary>');
+    expect(markdown).toContain('`needs-discussion`, `priority-high`');
+    expect(markdown).toContain('Removed: `priority-medium`');
+    expect(markdown).toContain('- schedule: Sync at 2026-10-20T14:00:00Z (30 minutes)');
+    expect(markdown).not.toContain('Skipped files');
+    expect(markdown).not.toContain('Notifications');
+  });
+
+  it('should list notifications without their payloads', async () => {
+    const recorder = await recorded();
+    await recorder.perform('notification', { host: 'hooks.slack.com', format: 'slack', payload: { text: 'Hi' } });
+    const report = buildReport({ concerns: [], recorder });
+
+    expect(report.notifications).toEqual([{ host: 'hooks.slack.com', format: 'slack' }]);
+    expect(renderMarkdown(report)).toContain('- slack webhook at hooks.slack.com');
+  });
+
+  it('should list skipped files', async () => {
+    const skippedFiles = [{ file: 'logo.png', reason: 'binary file' }];
+    const markdown = renderMarkdown(buildReport({ concerns: [], skippedFiles, recorder: await recorded() }));
+
+    expect(markdown).toContain('### Skipped files (1)');
+    expect(markdown).toContain('- `logo.png`: binary file');
+  });
+
+  it('should count filtered files per pattern', async () => {
+    const filteredFiles = [{ pattern: 'dist/', files: 3 }, { pattern: 'yarn.lock', files: 1 }];
+    const markdown = renderMarkdown(buildReport({ concerns: [], filteredFiles, recorder: await recorded() }));
+
+    expect(markdown).toContain('### Filtered files\n\n- `dist/`: 3 files\n- `yarn.lock`: 1 file\n');
+  });
+});
@@ -0,0 +1,304 @@
+const path = require('path');
+const { RuleEngine, builtinRules } = require('../src/rules');
+const { parsePatch, getAddedLines } = require('../src/diff');
+
+// Builds a pulls.listFiles entry whose patch adds the given lines
+function addedFile(filename, lines) {
+  return {
+    filename,
+    patch: `@@ -0,0 +1,${lines.length} @@\n` + lines.map(line => `+${line}`).join('\n')
+  };
+}
+
+function runRule(id, file, style) {
+  const rule = builtinRules.find(r => r.id === id);
+  const hunks = parsePatch(file.patch);
+  return rule.check({ filename: file.filename, hunks, addedLines: getAddedLines(hunks), style });
+}
+
+// A convention as StyleConventions returns them
+function declared(value, setting, file = '.editorconfig') {
+  return { value, file, setting };
+}
+
+describe('rules', () => {
+  describe('indentation-patterns', () => {
+    const spaces = { indentStyle: declared('space', '[*] indent_style = space'), indentSize: declared(2, '[*] indent_size = 2') };
+    const tabs = { indentStyle: declared('tab', 'rules.indent: ["error","tab"]', '.eslintrc.json') };
+
+    it('should flag tabs when spaces are declared', () => {
+      const findings = runRule('indentation-patterns', addedFile('a.js', ['if (x) {', '\treturn;', ' \tb();', '}']), spaces);
+
+      expect(findings).toEqual([{
+        line: 2,
+        message: '2 added lines indent with tabs, but `.editorconfig`: `[*] indent_style = space` declares spaces.',
+        convention: spaces.indentStyle
+      }]);
+    });
+
+    it('should flag spaces when tabs are declared', () => {
+      const findings = runRule('indentation-patterns', addedFile('a.js', ['\ta();', '/**', ' * Doc', '\t * Doc', '  b();']), tabs);
+
+      expect(findings).toEqual([{ line: 5, message: expect.stringContaining('with spaces, but `.eslintrc.json`'), convention: tabs.indentStyle }]);
+    });
+
+    it('should flag indents that are not a multiple of the indent size', () => {
+      const findings = runRule('indentation-patterns', addedFile('a.js', ['  a();', '   b();', '    /**', '     * Doc']), spaces);
+
+      expect(findings).toEqual([{
+        line: 2,
+        message: '1 added line indents by 3 spaces, but `.editorconfig`: `[*] indent_size = 2` declares steps of 2.',
+        convention: spaces.indentSize
+      }]);
+    });
+
+    it('should accept indentation that follows the declared style', () => {
+      expect(runRule('indentation-patterns', addedFile('a.js', ['  a();', '    b();']), spaces)).toEqual([]);
+    });
+
+    it('should not flag anything without declared conventions', () => {
+      expect(runRule('indentation-patterns', addedFile('a.js', [' \treturn;', '  a();', '\tc();']), {})).toEqual([]);
+    });
+  });
+
+  describe('naming-conventions', () => {
+    it('should flag mixed camelCase and snake_case declarations', () => {
+      const findings = runRule('naming-conventions', addedFile('a.js', [
+        'const userName = 1;',
+        'const lastLogin = 2;',
+        'let retry_count = 3;'
+      ]));
+
+      expect(findings).toEqual([{ line: 3, message: expect.stringContaining('`retry_count`') }]);
+    });
+
+    it('should flag identifiers combining both styles', () => {
+      const findings = runRule('naming-conventions', addedFile('a.py', ['def get_userName():']));
+
+      expect(findings[0].message).toContain('combines camelCase and snake_case');
+    });
+
+    it('should ignore constants and single-word names', () => {
+      expect(runRule('naming-conventions', addedFile('a.js', [
+        'const MAX_SIZE = 1;',
+        'const fooBar = 2;',
+        'function run() {}'
+      ]))).toEqual([]);
+    });
+  });
+
+  describe('whitespace-philosophy', () => {
+    it('should flag trailing whitespace when it is declared as trimmed', () => {
+      const trim = declared(true, '[*] trim_trailing_whitespace = true');
+      const findings = runRule('whitespace-philosophy', addedFile('a.js', ['a();', 'b(); ', 'c();\t']), { trimTrailingWhitespace: trim });
+
+      expect(findings).toEqual([{
+        line: 2,
+        message: '2 added lines end with trailing whitespace, which `.editorconfig`: `[*] trim_trailing_whitespace = true` rules out.',
+        convention: trim
+      }]);
+    });
+
+    it('should flag a missing final newline when one is declared', () => {
+      const eol = declared(true, 'rules.eol-last: "error"', '.eslintrc.yml');
+      const file = { filename: 'a.js', patch: '@@ -0,0 +1,2 @@\n+a();\n+b();\n\\ No newline at end of file' };
+
+      expect(runRule('whitespace-philosophy', file, { finalNewline: eol })).toEqual([{
+        line: 2,
+        message: 'The file no longer ends with a newline, which `.eslintrc.yml`: `rules.eol-last: "error"` asks for.',
+        convention: eol
+      }]);
+    });
+
+    it('should not flag anything without declared conventions', () => {
+      expect(runRule('whitespace-philosophy', addedFile('a.js', ['b(); ']), {})).toEqual([]);
+    });
+  });
+
+  describe('syntax-style', () => {
+    const single = { quotes: declared('single', 'singleQuote: true', '.prettierrc') };
+
+    it('should flag the other quote style', () => {
+      const findings = runRule('syntax-style', addedFile('a.js', [
+        'const a = \'x\';',
+        'const b = "y";',
+        'const c = "it\'s";',
+        '// say "hi"',
+        'fetch(url); // "z"'
+      ]), single);
+
+      expect(findings).toEqual([{
+        line: 2,
+        message: '1 added line uses double quotes, but `.prettierrc`: `singleQuote: true` declares single quotes.',
+        convention: single.quotes
+      }]);
+    });
+
+    it('should not read regex literals as strings', () => {
+      const findings = runRule('syntax-style', addedFile('a.js', [
+        'const re = /"(.+)"/;',
+        'const git = raw.match(/^diff --git "?a\\/(.+?)"? "?b\\/(.+?)"?$/);',
+        'const half = total / 2 / "x".length;'
+      ]), single);
+
+      expect(findings).toEqual([expect.objectContaining({ line: 3, message: expect.stringContaining('1 added line uses double quotes') })]);
+    });
+
+    it('should leave the text of multi-line template literals alone', () => {
+      const style = { ...single, semi: declared(true, 'rules.semi: ["error","always"]', '.eslintrc.json') };
+      const findings = runRule('syntax-style', addedFile('a.js', [
+        'const usage = `Usage: bikeshed [file]',
+        '',
+        'Reads "file" or standard input',
+        'return x',
+        '`;',
+        'const done = "yes";'
+      ]), style);
+
+      expect(findings).toEqual([expect.objectContaining({ line: 6, message: expect.stringContaining('1 added line uses double quotes') })]);
+    });
+
+    it('should leave JSX attributes alone', () => {
+      expect(runRule('syntax-style', addedFile('a.jsx', ['const a = <div className="x" />;']), single)).toEqual([]);
+    });
+
+    it('should flag statements missing a declared semicolon', () => {
+      const semi = { semi: declared(true, 'rules.semi: ["error","always"]', '.eslintrc.json') };
+      const findings = runRule('syntax-style', addedFile('a.ts', [
+        'const a = 1;',
+        'const b = cond',
+        '  ? 1',
+        '  : 2;',
+        'return a',
+        'if (a) {'
+      ]), semi);
+
+      expect(findings).toEqual([{ line: 5, message: expect.stringContaining('1 added statement is missing a semicolon'), convention: semi.semi }]);
+    });
+
+    it('should flag semicolons when they are declared off', () => {
+      const semi = { semi: declared(false, 'semi: false', '.prettierrc') };
+      const findings = runRule('syntax-style', addedFile('a.js', ['const a = 1', 'for (let i = 0; i < 1; i++) {}', 'b();']), semi);
+
+      expect(findings[0]).toMatchObject({ line: 3, message: expect.stringContaining('ends with a semicolon') });
+    });
+
+    it('should only check scripts', () => {
+      expect(runRule('syntax-style', addedFile('a.py', ['x = "y"']), single)).toEqual([]);
+    });
+  });
+
+  describe('line-length', () => {
+    it('should flag lines over the declared maximum', () => {
+      const max = declared(10, '[*] max_line_length = 10');
+      const findings = runRule('line-length', addedFile('a.js', ['short();', '\t\tlonger();', 'x = "much too long";']), { maxLineLength: max });
+
+      expect(findings).toEqual([{
+        line: 2,
+        message: '2 added lines are longer than 10 characters, the limit `.editorconfig`: `[*] max_line_length = 10` sets.',
+        convention: max
+      }]);
+    });
+
+    it('should not flag anything without a declared maximum', () => {
+      expect(runRule('line-length', addedFile('a.js', ['x'.repeat(500)]), {})).toEqual([]);
+    });
+  });
+
+  describe('todo-markers', () => {
+    it('should flag the first TODO marker', () => {
+      const findings = runRule('todo-markers', addedFile('a.js', ['a();', '// FIXME: later', '// TODO: soon']));
+
+      expect(findings).toEqual([{ line: 2, message: '2 new TODO markers added.' }]);
+    });
+  });
+
+  describe('focused-tests', () => {
+    it('should flag focused tests in test files', () => {
+      const findings = runRule('focused-tests', addedFile('tests/a.test.js', ['it.only("works", () => {});']));
+
+      expect(findings[0].line).toBe(1);
+    });
+
+    it('should ignore non-test files', () => {
+      expect(runRule('focused-tests', addedFile('src/a.js', ['it.only("works", () => {});']))).toEqual([]);
+    });
+  });
+});
+
+describe('RuleEngine', () => {
+  it('should load all built-in rules by default', () => {
+    const engine = RuleEngine.load();
+
+    expect(engine.rules.map(rule => rule.id)).toEqual(builtinRules.map(rule => rule.id));
+    engine.rules.forEach(rule => expect(rule.topic).toHaveProperty('meetingLength'));
+  });
+
+  it('should filter rules by enabled and disabled ids', () => {
+    const engine = RuleEngine.load({
+      enabled: ['todo-markers', 'naming-conventions'],
+      disabled: ['naming-conventions']
+    });
+
+    expect(engine.rules.map(rule => rule.id)).toEqual(['todo-markers']);
+  });
+
+  it('should reject unknown rule ids', () => {
+    expect(() => RuleEngine.load({ disabled: ['no-such-rule'] })).toThrow('Unknown rule "no-such-rule"');
+  });
+
+  it('should load custom rules from a module path', () => {
+    const engine = RuleEngine.load({
+      enabled: ['no-console', 'semicolon-debate'],
+      customRulesPath: path.join(__dirname, 'fixtures', 'custom-rules.js')
+    });
+
+    expect(engine.rules.map(rule => rule.topic.topic)).toEqual(['syntax style consistency', 'semicolon placement']);
+  });
+
+  it('should report custom rule modules that fail to load', () => {
+    expect(() => RuleEngine.load({ customRulesPath: 'does/not/exist.js' }))
+      .toThrow('Could not load custom rules from does/not/exist.js');
+  });
+
+  it('should reject rules without a known topic', () => {
+    expect(() => new RuleEngine([{ id: 'x', topic: 'nope', check: () => [] }]))
+      .toThrow('Rule "x" does not match a bikeshed topic');
+  });
+
+  it('should anchor findings to added lines', () => {
+    const engine = RuleEngine.load({ enabled: ['todo-markers'] });
+    const [finding] = engine.analyzeFile(addedFile('a.js', ['a();', '// TODO: b']));
+
+    expect(finding).toMatchObject({
+      rule: 'todo-markers',
+      topic: { topic: 'TODO items and technical debt' },
+      severity: 'FOLLOW_UP_NEEDED',
+      addedLine: { newLine: 2, content: '// TODO: b' }
+    });
+  });
+
+  it('should reject rules with an unknown severity', () => {
+    expect(() => new RuleEngine([{ id: 'x', topic: 'naming conventions', severity: 'LOW', check: () => [] }]))
+      .toThrow('Rule "x" has an unknown severity "LOW"');
+  });
+
+  it('should pass the style conventions to rules and keep what findings cite', () => {
+    const engine = RuleEngine.load({ enabled: ['line-length'] });
+    const style = { maxLineLength: declared(3, '[*] max_line_length = 3') };
+    const [finding] = engine.analyzeFile(addedFile('a.js', ['long line']), { style });
+
+    expect(finding.convention).toEqual({ file: '.editorconfig', setting: '[*] max_line_length = 3' });
+  });
+
+  it('should let results override the rule severity', () => {
+    const rule = {
+      id: 'x',
+      topic: 'naming conventions',
+      check: ({ addedLines }) => addedLines.map(line => ({ line: line.newLine, message: 'm', severity: line.content }))
+    };
+    const findings = new RuleEngine([rule]).analyzeFile(addedFile('a.js', ['HIGH', 'bogus']));
+
+    expect(findings.map(finding => finding.severity)).toEqual(['HIGH', 'WORTH_DISCUSSING']);
+  });
+});
@@ -0,0 +1,94 @@
+const { buildSarif, sarifLevel, topicRuleId } = require('../src/sarif');
+const { bikeshedTopics } = require('../src/topics');
+
+describe('sarif', () => {
+  const topic = bikeshedTopics.find(t => t.topic === 'naming conventions');
+  const concern = {
+    key: 'naming-conventions|src/a.js',
+    file: 'src/a.js',
+    line: 12,
+    rule: 'naming-conventions',
+    topic,
+    severity: 'MEDIUM',
+    detail: 'Mixed naming styles.'
+  };
+
+  it('should map severities to SARIF levels', () => {
+    expect(sarifLevel('CRITICAL')).toBe('error');
+    expect(sarifLevel('HIGH')).toBe('error');
+    expect(sarifLevel('MEDIUM')).toBe('warning');
+    expect(sarifLevel('DISCUSSION_NEEDED')).toBe('warning');
+    expect(sarifLevel('WORTH_NOTING')).toBe('note');
+  });
+
+  it('should derive stable rule ids from topics', () => {
+    expect(topicRuleId('TODO items and technical debt')).toBe('bikeshed/todo-items-and-technical-debt');
+  });
+
+  it('should build a SARIF 2.1.0 log with a rule per topic', () => {
+    const sarif = buildSarif({ concerns: [], topics: bikeshedTopics, version: '1.2.3', informationUri: 'https://example.com' });
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.$schema).toContain('sarif-2.1.0');
+    expect(sarif.runs).toHaveLength(1);
+    expect(sarif.runs[0].tool.driver).toMatchObject({ name: 'Bikeshed Bot', version: '1.2.3', informationUri: 'https://example.com' });
+    expect(sarif.runs[0].tool.driver.rules.map(rule => rule.id)).toEqual(bikeshedTopics.map(t => topicRuleId(t.topic)));
+    expect(sarif.runs[0].tool.driver.rules[0]).toMatchObject({
+      id: 'bikeshed/naming-conventions',
+      name: 'NamingConventions',
+      properties: { meetingLength: 180, urgency: 'critical' }
+    });
+    expect(sarif.runs[0].results).toEqual([]);
+  });
+
+  it('should locate results at the concern file and line', () => {
+    const sarif = buildSarif({ concerns: [concern], topics: bikeshedTopics });
+    const [result] = sarif.runs[0].results;
+
+    expect(result).toEqual({
+      ruleId: 'bikeshed/naming-conventions',
+      ruleIndex: 0,
+      level: 'warning',
+      message: { text: 'Mixed naming styles.' },
+      properties: { severity: 'MEDIUM', rule: 'naming-conventions' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'src/a.js', uriBaseId: '%SRCROOT%' },
+          region: { startLine: 12 }
+        }
+      }],
+      partialFingerprints: { bikeshedConcernKey: 'naming-conventions|src/a.js' }
+    });
+  });
+
+  it('should point concerns without a line at their file', () => {
+    const sarif = buildSarif({
+      concerns: [{ file: 'src/a.js', codeSnippet: 'the implementation', rule: 'naming-conventions', topic, severity: 'WORTH_DISCUSSING' }],
+      topics: bikeshedTopics
+    });
+    const [result] = sarif.runs[0].results;
+
+    expect(result.locations).toEqual([{
+      physicalLocation: { artifactLocation: { uri: 'src/a.js', uriBaseId: '%SRCROOT%' } }
+    }]);
+    expect(result.level).toBe('note');
+    expect(result.message.text).toBe('This change could use a discussion about naming conventions.');
+  });
+
+  it('should leave out padding concerns about the pull request as a whole', () => {
+    const sarif = buildSarif({
+      concerns: [concern, { file: 'overall approach', rule: 'min-concerns', topic, severity: 'WORTH_DISCUSSING' }],
+      topics: bikeshedTopics
+    });
+
+    expect(sarif.runs[0].results.map(result => result.locations[0].physicalLocation.artifactLocation.uri)).toEqual(['src/a.js']);
+  });
+
+  it('should add rules for topics that only appear in concerns', () => {
+    const custom = { topic: 'semicolon placement', meetingLength: 60, urgency: 'worth discussing' };
+    const sarif = buildSarif({ concerns: [{ ...concern, topic: custom }], topics: bikeshedTopics });
+
+    expect(sarif.runs[0].tool.driver.rules).toHaveLength(bikeshedTopics.length + 1);
+    expect(sarif.runs[0].results[0].ruleIndex).toBe(bikeshedTopics.length);
+  });
+});
@@ -0,0 +1,51 @@
+const { severityRank, meetsSeverity, escalate, assessSeverity, highestSeverity } = require('../src/severity');
+
+describe('severity', () => {
+  it('should rank severities from most to least pressing', () => {
+    expect(severityRank('CRITICAL')).toBe(0);
+    expect(severityRank('WORTH_NOTING')).toBe(6);
+    expect(severityRank('UNKNOWN')).toBe(7);
+    expect(highestSeverity([{ severity: 'MEDIUM' }, { severity: 'HIGH' }])).toBe('HIGH');
+  });
+
+  it('should compare severities against a threshold', () => {
+    expect(meetsSeverity('HIGH', 'MEDIUM')).toBe(true);
+    expect(meetsSeverity('MEDIUM', 'MEDIUM')).toBe(true);
+    expect(meetsSeverity('WORTH_NOTING', 'MEDIUM')).toBe(false);
+    expect(meetsSeverity('CRITICAL', 'none')).toBe(false);
+  });
+
+  it('should escalate up to CRITICAL', () => {
+    expect(escalate('MEDIUM', 1)).toBe('HIGH');
+    expect(escalate('MEDIUM', 5)).toBe('CRITICAL');
+    expect(escalate('WORTH_NOTING', 0)).toBe('WORTH_NOTING');
+  });
+
+  describe('assessSeverity', () => {
+    it('should keep the rule severity without other signals', () => {
+      expect(assessSeverity({ base: 'FOLLOW_UP_NEEDED', linesChanged: 10, largeChangeLines: 300 }))
+        .toEqual({ severity: 'FOLLOW_UP_NEEDED', reasons: [] });
+    });
+
+    it('should fall back to the default rule severity', () => {
+      expect(assessSeverity({}).severity).toBe('WORTH_DISCUSSING');
+    });
+
+    it('should raise the severity for each signal', () => {
+      expect(assessSeverity({
+        base: 'WORTH_NOTING',
+        criticalPath: 'src/auth/**',
+        linesChanged: 420,
+        largeChangeLines: 300,
+        hunkFindings: 2
+      })).toEqual({
+        severity: 'MEDIUM',
+        reasons: ['under critical path src/auth/**', '420 lines changed in the file', '2 findings in the same hunk']
+      });
+    });
+
+    it('should raise critical paths by two levels', () => {
+      expect(assessSeverity({ base: 'MEDIUM', criticalPath: 'db/' }).severity).toBe('CRITICAL');
+    });
+  });
+});
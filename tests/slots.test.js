@@ -0,0 +1,60 @@
+const moment = require('moment-timezone');
+const { findSlot } = require('../src/slots');
+
+describe('findSlot', () => {
+  const zone = 'America/New_York';
+  const at = (value) => moment.tz(value, zone);
+  const base = { duration: 60, preferredHours: [14, 10] };
+
+  it('should pick the earliest preferred hour tomorrow', () => {
+    const slot = findSlot({ ...base, now: at('2026-10-19 16:30') });
+
+    expect(slot.format('YYYY-MM-DD HH:mm')).toBe('2026-10-20 10:00');
+  });
+
+  it('should land on Monday from both Friday and Saturday', () => {
+    expect(findSlot({ ...base, now: at('2026-10-23 09:00') }).format('YYYY-MM-DD')).toBe('2026-10-26');
+    expect(findSlot({ ...base, now: at('2026-10-24 09:00') }).format('YYYY-MM-DD')).toBe('2026-10-26');
+  });
+
+  it('should skip holidays', () => {
+    const slot = findSlot({ ...base, now: at('2026-10-19 09:00'), holidays: ['2026-10-20'] });
+
+    expect(slot.format('YYYY-MM-DD HH:mm')).toBe('2026-10-21 10:00');
+  });
+
+  it('should avoid busy intervals for the whole meeting length', () => {
+    const slot = findSlot({
+      ...base,
+      duration: 180,
+      now: at('2026-10-19 09:00'),
+      busy: [
+        // Overlaps the end of a 10:00-13:00 meeting
+        { start: '2026-10-20T12:30:00-04:00', end: '2026-10-20T13:30:00-04:00' }
+      ]
+    });
+
+    expect(slot.format('YYYY-MM-DD HH:mm')).toBe('2026-10-20 14:00');
+  });
+
+  it('should allow meetings that touch a busy interval', () => {
+    const slot = findSlot({
+      ...base,
+      now: at('2026-10-19 09:00'),
+      busy: [{ start: at('2026-10-20 09:00'), end: at('2026-10-20 10:00') }]
+    });
+
+    expect(slot.format('YYYY-MM-DD HH:mm')).toBe('2026-10-20 10:00');
+  });
+
+  it('should return null when nothing fits within the horizon', () => {
+    const slot = findSlot({
+      ...base,
+      now: at('2026-10-19 09:00'),
+      horizonDays: 2,
+      busy: [{ start: at('2026-10-20 00:00'), end: at('2026-10-22 00:00') }]
+    });
+
+    expect(slot).toBeNull();
+  });
+});
@@ -0,0 +1,167 @@
+const core = require('@actions/core');
+const { StyleConventions, editorconfigRegExp, parseEditorconfig } = require('../src/style');
+
+jest.mock('@actions/core');
+
+describe('style', () => {
+  const repo = { owner: 'test-owner', repo: 'test-repo' };
+  let octokit;
+
+  const withFiles = files => {
+    octokit = {
+      rest: {
+        repos: {
+          getContent: jest.fn(({ path, ref }) => {
+            if (ref !== 'base-sha') throw new Error(`Unexpected ref ${ref}`);
+            return files[path] === undefined ?
+              Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })) :
+              Promise.resolve({ data: { type: 'file', encoding: 'base64', content: Buffer.from(files[path]).toString('base64') } });
+          })
+        }
+      }
+    };
+  };
+  const load = () => StyleConventions.load({ octokit, repo, ref: 'base-sha' });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('editorconfig', () => {
+    it('should match section names like EditorConfig', () => {
+      expect(editorconfigRegExp('*').test('src/a.js')).toBe(true);
+      expect(editorconfigRegExp('*.{js,ts}').test('src/a.ts')).toBe(true);
+      expect(editorconfigRegExp('*.{js,ts}').test('src/a.md')).toBe(false);
+      expect(editorconfigRegExp('lib/**.js').test('lib/a/b.js')).toBe(true);
+      expect(editorconfigRegExp('lib/**.js').test('src/lib/b.js')).toBe(false);
+      expect(editorconfigRegExp('[Mm]akefile').test('sub/Makefile')).toBe(true);
+    });
+
+    it('should parse sections and properties', () => {
+      expect(parseEditorconfig('root = true\n\n# comment\n[*]\nIndent_Style = Space\n; note\n[*.md]\ntrim_trailing_whitespace=false\n'))
+        .toEqual([
+          { name: '*', regexp: expect.any(RegExp), properties: { indent_style: 'space' } },
+          { name: '*.md', regexp: expect.any(RegExp), properties: { trim_trailing_whitespace: 'false' } }
+        ]);
+    });
+
+    it('should apply matching sections in order', async () => {
+      withFiles({
+        '.editorconfig': [
+          '[*]', 'indent_style = space', 'indent_size = 2', 'insert_final_newline = true', 'trim_trailing_whitespace = true',
+          '[*.md]', 'trim_trailing_whitespace = false', 'indent_size = unset',
+          '[Makefile]', 'indent_style = tab'
+        ].join('\n')
+      });
+      const style = await load();
+
+      expect(style.forFile('src/a.js')).toEqual({
+        indentStyle: { value: 'space', file: '.editorconfig', setting: '[*] indent_style = space' },
+        indentSize: { value: 2, file: '.editorconfig', setting: '[*] indent_size = 2' },
+        finalNewline: { value: true, file: '.editorconfig', setting: '[*] insert_final_newline = true' },
+        trimTrailingWhitespace: { value: true, file: '.editorconfig', setting: '[*] trim_trailing_whitespace = true' }
+      });
+      expect(style.forFile('docs/a.md')).toMatchObject({
+        trimTrailingWhitespace: { value: false, setting: '[*.md] trim_trailing_whitespace = false' }
+      });
+      expect(style.forFile('docs/a.md').indentSize).toBeUndefined();
+      expect(style.forFile('Makefile').indentStyle.value).toBe('tab');
+    });
+  });
+
+  describe('eslint', () => {
+    it('should read the style rules and their overrides', async () => {
+      withFiles({
+        '.eslintrc.yml': [
+          'rules:',
+          '  indent: [error, 4]',
+          '  quotes: [warn, single]',
+          '  semi: [error, never]',
+          '  max-len: [error, { code: 100 }]',
+          '  no-trailing-spaces: error',
+          '  eol-last: off',
+          'overrides:',
+          '  - files: ["*.test.js"]',
+          '    rules:',
+          '      max-len: off'
+        ].join('\n')
+      });
+      const style = await load();
+
+      expect(style.forFile('src/a.js')).toEqual({
+        indentStyle: { value: 'space', file: '.eslintrc.yml', setting: 'rules.indent: ["error",4]' },
+        indentSize: { value: 4, file: '.eslintrc.yml', setting: 'rules.indent: ["error",4]' },
+        quotes: { value: 'single', file: '.eslintrc.yml', setting: 'rules.quotes: ["warn","single"]' },
+        semi: { value: false, file: '.eslintrc.yml', setting: 'rules.semi: ["error","never"]' },
+        maxLineLength: { value: 100, file: '.eslintrc.yml', setting: 'rules.max-len: ["error",{"code":100}]' },
+        trimTrailingWhitespace: { value: true, file: '.eslintrc.yml', setting: 'rules.no-trailing-spaces: "error"' }
+      });
+      expect(style.forFile('tests/a.test.js').maxLineLength).toBeUndefined();
+    });
+
+    it('should fall back to eslintConfig in package.json', async () => {
+      withFiles({ 'package.json': JSON.stringify({ eslintConfig: { rules: { '@stylistic/indent': [2, 'tab'] } } }) });
+
+      expect((await load()).forFile('a.js')).toEqual({
+        indentStyle: { value: 'tab', file: 'package.json', setting: 'eslintConfig.rules.@stylistic/indent: [2,"tab"]' }
+      });
+    });
+  });
+
+  describe('prettier', () => {
+    it('should read options and overrides', async () => {
+      withFiles({
+        '.prettierrc': '{ "useTabs": false, "tabWidth": 4, "semi": false, "singleQuote": true, "printWidth": 120, ' +
+          '"overrides": [{ "files": "*.md", "options": { "printWidth": 80 } }] }'
+      });
+      const style = await load();
+
+      expect(style.forFile('a.js')).toEqual({
+        indentStyle: { value: 'space', file: '.prettierrc', setting: 'useTabs: false' },
+        indentSize: { value: 4, file: '.prettierrc', setting: 'tabWidth: 4' },
+        semi: { value: false, file: '.prettierrc', setting: 'semi: false' },
+        quotes: { value: 'single', file: '.prettierrc', setting: 'singleQuote: true' },
+        maxLineLength: { value: 120, file: '.prettierrc', setting: 'printWidth: 120' }
+      });
+      expect(style.forFile('README.md').maxLineLength).toEqual({
+        value: 80, file: '.prettierrc', setting: 'overrides[0].options.printWidth: 80'
+      });
+    });
+
+    it('should prefer the prettier key in package.json', async () => {
+      withFiles({ 'package.json': '{"prettier": {"semi": true}}', '.prettierrc': 'semi: false' });
+
+      expect((await load()).forFile('a.js').semi).toEqual({ value: true, file: 'package.json', setting: 'prettier.semi: true' });
+    });
+  });
+
+  it('should let Prettier win over ESLint and ESLint over .editorconfig', async () => {
+    withFiles({
+      '.editorconfig': '[*]\nindent_size = 8\nmax_line_length = 90\ninsert_final_newline = true',
+      '.eslintrc.json': '{"rules": {"indent": ["error", 2], "max-len": ["error", 100]}}',
+      '.prettierrc.yaml': 'printWidth: 110'
+    });
+
+    const conventions = (await load()).forFile('a.js');
+
+    expect(conventions.indentSize.file).toBe('.eslintrc.json');
+    expect(conventions.maxLineLength.file).toBe('.prettierrc.yaml');
+    expect(conventions.finalNewline.file).toBe('.editorconfig');
+    expect(core.info).toHaveBeenCalledWith('Style conventions from .editorconfig, .eslintrc.json, .prettierrc.yaml');
+  });
+
+  it('should declare nothing without settings', async () => {
+    withFiles({});
+
+    expect((await load()).forFile('a.js')).toEqual({});
+  });
+
+  it('should warn about settings that cannot be parsed', async () => {
+    withFiles({ '.eslintrc.json': '{ "rules": ', '.prettierrc': 'semi: false' });
+
+    const conventions = (await load()).forFile('a.js');
+
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Could not read style settings from .eslintrc.json'));
+    expect(conventions).toEqual({ semi: { value: false, file: '.prettierrc', setting: 'semi: false' } });
+  });
+});
@@ -0,0 +1,88 @@
+const { TemplateSet, defaultMeetingTitles, escapeMarkdown, registerStyle, renderTemplate } = require('../src/templates');
+
+describe('templates', () => {
+  describe('renderTemplate', () => {
+    it('should replace every occurrence of a placeholder', () => {
+      expect(renderTemplate('{FILE}, {FILE} and {TOPIC}', { FILE: 'a.js', TOPIC: 'naming' })).toBe('a.js, a.js and naming');
+    });
+
+    it('should use defaults for missing values', () => {
+      expect(renderTemplate('About {CODE_SNIPPET|this code}', {})).toBe('About this code');
+      expect(renderTemplate('About {CODE_SNIPPET|this code}', { CODE_SNIPPET: 'x' })).toBe('About x');
+      expect(renderTemplate('[{MISSING}]', {})).toBe('[]');
+    });
+
+    it('should keep sections only when their value is set', () => {
+      const template = 'In {FILE}{#LINE_NUMBER} on line {LINE_NUMBER}{/LINE_NUMBER}{^LINE_NUMBER} overall{/LINE_NUMBER}.';
+
+      expect(renderTemplate(template, { FILE: 'a.js', LINE_NUMBER: 3 })).toBe('In a.js on line 3.');
+      expect(renderTemplate(template, { FILE: 'a.js' })).toBe('In a.js overall.');
+    });
+
+    it('should resolve nested sections', () => {
+      const template = '{#FILE}{FILE}{#LINE_NUMBER}:{LINE_NUMBER}{/LINE_NUMBER}{/FILE}';
+
+      expect(renderTemplate(template, { FILE: 'a.js', LINE_NUMBER: 3 })).toBe('a.js:3');
+      expect(renderTemplate(template, { LINE_NUMBER: 3 })).toBe('');
+    });
+
+    it('should escape values but not the template', () => {
+      expect(renderTemplate('**{FILE}**', { FILE: 'my_file*.js' })).toBe('**my\\_file\\*.js**');
+      expect(renderTemplate('{FILE}', { FILE: 'a_b' }, { escape: value => value })).toBe('a_b');
+    });
+
+    it('should not substitute placeholders found in values', () => {
+      expect(renderTemplate('{CODE_SNIPPET} {FILE}', { CODE_SNIPPET: '{FILE}', FILE: 'a.js' })).toBe('{FILE} a.js');
+    });
+  });
+
+  describe('escapeMarkdown', () => {
+    it('should escape Markdown syntax and flatten newlines', () => {
+      expect(escapeMarkdown('# `a` <b> [c] | ~d~ \\')).toBe('\\# \\`a\\` \\<b\\> \\[c\\] \\| \\~d\\~ \\\\');
+      expect(escapeMarkdown('a\nb')).toBe('a b');
+    });
+  });
+
+  describe('TemplateSet', () => {
+    it('should include the built-in styles and meeting titles', () => {
+      const templates = new TemplateSet();
+
+      expect(Object.keys(templates.styles)).toEqual(expect.arrayContaining(['constructive', 'friendly', 'formal']));
+      expect(templates.meetingTitles).toBe(defaultMeetingTitles);
+    });
+
+    it('should add and override styles', () => {
+      const templates = new TemplateSet({ styles: { pirate: ['Arr'], formal: ['Dear sir'] }, meetingTitles: ['Sync'] });
+
+      expect(templates.commentTemplates('pirate')).toEqual(['Arr']);
+      expect(templates.commentTemplates('formal')).toEqual(['Dear sir']);
+      expect(templates.meetingTitles).toEqual(['Sync']);
+    });
+
+    it('should fall back to constructive for unknown styles', () => {
+      const templates = new TemplateSet();
+
+      expect(templates.hasStyle('pirate')).toBe(false);
+      expect(templates.commentTemplates('pirate')).toBe(templates.styles.constructive);
+    });
+
+    it('should parse and validate template files', () => {
+      expect(TemplateSet.parse('styles:\n  pirate: ["Arr"]\n', 'templates.yml')).toEqual({ styles: { pirate: ['Arr'] }, meetingTitles: undefined });
+      expect(() => TemplateSet.parse('styles:\n  pirate: Arr\n', 'templates.yml'))
+        .toThrow('Invalid templates.yml: "styles.pirate" must be a list');
+      expect(() => TemplateSet.parse('styles: [', 'templates.yml')).toThrow('Could not parse templates.yml');
+    });
+  });
+
+  describe('registerStyle', () => {
+    it('should make a style available to every template set', () => {
+      registerStyle('haiku', ['{FILE} waits / {TOPIC} in autumn / let us talk']);
+
+      expect(new TemplateSet().commentTemplates('haiku')).toEqual(['{FILE} waits / {TOPIC} in autumn / let us talk']);
+    });
+
+    it('should reject empty styles', () => {
+      expect(() => registerStyle('empty', [])).toThrow('Style "empty" needs a non-empty list of templates');
+    });
+  });
+});